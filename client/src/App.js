@@ -0,0 +1,192 @@
+import { Game } from './Game.js';
+import { NetworkManager } from './network/NetworkManager.js';
+import { Lobby } from './ui/Lobby.js';
+import { MainMenu } from './ui/MainMenu.js';
+import { TrackEditor } from './editor/TrackEditor.js';
+import { TrackPanel } from './ui/TrackPanel.js';
+import { RecordsScreen } from './ui/RecordsScreen.js';
+import { TRACKS, CUPS } from './tracks/definitions/index.js';
+import { fetchTrack } from './tracks/trackFormat.js';
+import { NETWORK_CONFIG } from './utils/constants.js';
+import { StateMachine } from './utils/StateMachine.js';
+
+// URL parameters that go straight to a race (or the lobby / editor) past the menu
+const DEEP_LINKS = ['players', 'ai', 'track', 'gp', 'timetrial', 'editor', 'online', 'server', 'room'];
+
+// ?track= is a bundled track's id or the URL of a track file
+async function loadTrack(source) {
+  return TRACKS[source] || fetchTrack(source);
+}
+
+// The game from page load to page close, as states:
+//   boot:   reads the URL; links to a mode start it, otherwise on to the menu
+//   menu:   title page, pick a mode
+//   select: track or cup and who's racing, for that mode
+//   lobby:  online rooms, until we're in one
+//   race:   a Game (with its own countdown / racing / paused / results) and the
+//           overlays around it
+// Leaving a state cleans up what it set up; leaving a race disposes its scene,
+// HUDs, input listeners and overlays.
+export class App {
+  constructor(canvas, params) {
+    this.canvas = canvas;
+    this.params = params;
+    this.menu = null;
+    this.lobby = null;
+    this.race = null; // { game, editor, trackPanel } while racing
+
+    this.flow = new StateMachine({
+      boot: { next: ['menu', 'lobby', 'race'], enter: () => this.boot() },
+      menu: {
+        next: ['select', 'lobby', 'race'],
+        enter: () => this.menu.showModes(),
+        exit: () => this.menu.hide(),
+      },
+      select: {
+        next: ['menu', 'race'],
+        enter: (mode) => this.menu.showSetup(mode),
+        exit: () => this.menu.hide(),
+      },
+      lobby: {
+        next: ['menu', 'race'],
+        enter: (options) => this.enterLobby(options),
+        exit: (to) => {
+          // In a room the lobby stays up between races
+          if (to === 'menu') this.closeLobby();
+        },
+      },
+      race: {
+        next: ['menu'],
+        enter: (options) => this.startRace(options),
+        exit: () => this.endRace(),
+      },
+    });
+  }
+
+  start() {
+    return this.flow.transition('boot');
+  }
+
+  // ?players=2..4 for local split-screen, ?ai=1..3 for computer opponents,
+  // ?difficulty=easy|medium|hard, ?rubberband=0 to turn catch-up off.
+  // ?grid=fixed|qualifying|random|reverse orders the grid, ?start=rolling sends it
+  // off moving and ?launch=0 turns the launch boost off. ?items=0 races without items.
+  // ?online opens the lobby for the local server (or ?server=ws://host:port);
+  // ?room=CODE fills in a room to join, ?name= your name, ?track= the track of a new room.
+  // Offline, ?track=canyon or ?track=URL of a track file picks what to race.
+  // ?editor opens the track editor, racing its draft on test drive.
+  // ?gp=classic|endurance races a Grand Prix cup (?gp alone: the first cup), and
+  // ?timetrial races alone against your records on the ?track= picked.
+  // Without any of these, the main menu comes up.
+  async boot() {
+    const { params } = this;
+    // Records can be looked at from anywhere, menu included
+    new RecordsScreen();
+    this.menu = new MainMenu({
+      onMode: (mode) => this.pickMode(mode),
+      onStart: (options) => this.flow.transition('race', options),
+      onBack: () => this.flow.transition('menu'),
+    });
+
+    if (!DEEP_LINKS.some((name) => params.has(name))) {
+      this.flow.transition('menu');
+      return;
+    }
+
+    const options = {
+      playerCount: parseInt(params.get('players'), 10) || 1,
+      opponents: parseInt(params.get('ai'), 10) || 0,
+    };
+    if (params.has('difficulty')) options.difficulty = params.get('difficulty');
+    if (params.has('rubberband')) options.rubberBanding = params.get('rubberband') !== '0';
+    if (params.has('grid')) options.gridOrder = params.get('grid');
+    if (params.has('start')) options.startType = params.get('start');
+    if (params.has('launch')) options.launchBoost = params.get('launch') !== '0';
+    if (params.has('items')) options.items = params.get('items') !== '0';
+    if (params.has('timetrial') && !params.has('gp')) options.timeTrial = true;
+
+    if (params.has('online') || params.has('server') || params.has('room')) {
+      await this.flow.transition('lobby', {
+        name: params.get('name') || '',
+        roomCode: params.get('room') || '',
+        trackId: params.get('track'),
+      });
+      return;
+    }
+
+    if (params.has('editor')) {
+      options.editor = true;
+    } else if (params.has('gp')) {
+      options.grandPrix = CUPS[params.get('gp')] || Object.values(CUPS)[0];
+    } else if (params.has('track')) {
+      try {
+        options.track = await loadTrack(params.get('track'));
+      } catch (e) {
+        options.trackError = e.message;
+      }
+    }
+    await this.flow.transition('race', options);
+  }
+
+  pickMode(mode) {
+    if (mode === 'online') {
+      this.flow.transition('lobby', { onBack: () => this.flow.transition('menu') });
+    } else if (mode === 'editor') {
+      this.flow.transition('race', { editor: true });
+    } else {
+      this.flow.transition('select', mode);
+    }
+  }
+
+  // Races once we're in a room; the lobby then shows itself between races
+  async enterLobby(options) {
+    this.lobby = new Lobby(new NetworkManager(this.params.get('server') || NETWORK_CONFIG.serverUrl), options);
+    const network = await this.lobby.connect();
+    await this.flow.transition('race', { network });
+  }
+
+  closeLobby() {
+    this.lobby.dispose();
+    this.lobby = null;
+  }
+
+  // options: Game options, plus editor (race the editor's draft) and trackError
+  // (a ?track= that didn't load, shown in the track panel)
+  async startRace({ editor = false, trackError = null, ...options }) {
+    const race = { game: null, editor: null, trackPanel: null };
+    this.race = race;
+
+    if (editor) {
+      race.editor = new TrackEditor({
+        onTestDrive: (definition) => race.game.loadTrack(definition),
+        onOpen: () => race.game.setPaused(true),
+        onClose: () => race.game.setPaused(false),
+      });
+      options.track = race.editor.getDefinition();
+    }
+
+    // Online, leaving goes through the lobby
+    const onQuit = options.network ? null : () => this.flow.transition('menu');
+    race.game = new Game(this.canvas, { ...options, onQuit });
+    await race.game.init();
+
+    // A cup picks its own tracks
+    if (!options.network && !options.grandPrix) {
+      race.trackPanel = new TrackPanel({
+        getTrack: () => race.game.track.definition,
+        onLoad: (track) => race.game.loadTrack(track),
+      });
+      if (trackError) race.trackPanel.showError(trackError);
+    }
+    if (race.editor) race.editor.open();
+    race.game.run();
+  }
+
+  endRace() {
+    const { game, editor, trackPanel } = this.race;
+    if (editor) editor.dispose();
+    if (trackPanel) trackPanel.dispose();
+    game.dispose();
+    this.race = null;
+  }
+}
@@ -1,23 +1,158 @@
-import { Engine, Scene, Vector3, HemisphericLight, FollowCamera, DirectionalLight, Color3 } from '@babylonjs/core';
+import { Engine, Scene, Vector3, HemisphericLight, FollowCamera, DirectionalLight, Color3, Viewport } from '@babylonjs/core';
 import { Car } from './entities/Car.js';
 import { InputManager } from './input/InputManager.js';
+import { getGamepadManager } from './input/GamepadManager.js';
 import { Track } from './tracks/Track.js';
-import { CheckpointSystem } from './entities/Checkpoint.js';
+import { CheckpointGates } from './entities/Checkpoint.js';
 import { HUD } from './ui/HUD.js';
-import { ovalTrack } from './tracks/definitions/oval.js';
-import { COLORS } from './utils/constants.js';
+import { ControlsScreen } from './ui/ControlsScreen.js';
+import { PauseMenu } from './ui/PauseMenu.js';
+import { TRACKS, DEFAULT_TRACK_ID } from './tracks/definitions/index.js';
+import { COLORS, CAR_CONFIG, RACE_CONFIG, START_CONFIG, RESPAWN_CONFIG, AI_CONFIG, SIM_CONFIG, NETWORK_CONFIG } from './utils/constants.js';
+import { enablePhysics } from './physics/setupPhysics.js';
+import { RacingLine } from './ai/RacingLine.js';
+import { AIDriver } from './ai/AIDriver.js';
+import { LapRecorder } from './race/LapRecorder.js';
+import { loadGhost, saveGhost, clearGhost, createGhost } from './race/ghosts.js';
+import { GhostCar } from './entities/GhostCar.js';
+import { ItemMeshes } from './entities/ItemMeshes.js';
+import { GhostPanel } from './ui/GhostPanel.js';
+import { GrandPrixScreen } from './ui/GrandPrixScreen.js';
+import { loadGrandPrix } from './race/GrandPrix.js';
+import { TimeTrial } from './race/TimeTrial.js';
+import { SimulationClock, RaceProgress, Countdown, Standings, RaceStart, ItemSystem, orderGrid, respawnKart } from './sim/index.js';
+import { SnapshotBuffer } from './network/SnapshotBuffer.js';
+import { StateMachine } from './utils/StateMachine.js';
+
+const NEUTRAL_INPUT = { steer: 0, throttle: 0, brake: 0, drift: false };
+
+// What a player sees when a hazard or projectile gets them (see onItemHit)
+const ITEM_HIT_MESSAGES = {
+  slow: 'SLOWED',
+  spin: 'SPUN OUT!',
+};
+
+// Screen region for each player, as fractions measured from the top-left corner.
+// Two players split top/bottom; three or four get quadrants.
+const SPLIT_LAYOUTS = {
+  1: [{ x: 0, y: 0, width: 1, height: 1 }],
+  2: [
+    { x: 0, y: 0, width: 1, height: 0.5 },
+    { x: 0, y: 0.5, width: 1, height: 0.5 },
+  ],
+  3: [
+    { x: 0, y: 0, width: 0.5, height: 0.5 },
+    { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+    { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+  ],
+  4: [
+    { x: 0, y: 0, width: 0.5, height: 0.5 },
+    { x: 0.5, y: 0, width: 0.5, height: 0.5 },
+    { x: 0, y: 0.5, width: 0.5, height: 0.5 },
+    { x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+  ],
+};
 
 export class Game {
-  constructor(canvas) {
+  // opponents: AI karts on top of the local players, limited to RACE_CONFIG.maxKarts in total
+  // track: parsed track file raced offline (see tracks/trackFormat.js)
+  // grandPrix: a cup (see CUPS) to race offline as a championship instead of one track
+  // timeTrial: race alone against your records, with split times (offline, one player, no AI)
+  // network: a NetworkManager already in a room (see Lobby) to race online instead
+  // (one local player, no AI)
+  // gridOrder, startType, launchBoost: how races start offline (see START_CONFIG)
+  // items: item boxes and power-ups (offline races on the arcade model, not time trials)
+  // onQuit: back to the main menu from the pause menu (see App)
+  constructor(canvas, {
+    track = TRACKS[DEFAULT_TRACK_ID],
+    playerCount = 1,
+    opponents = 0,
+    difficulty = AI_CONFIG.difficulty,
+    rubberBanding = AI_CONFIG.rubberBanding.enabled,
+    grandPrix = null,
+    timeTrial = false,
+    network = null,
+    gridOrder = START_CONFIG.gridOrder,
+    startType = START_CONFIG.type,
+    launchBoost = START_CONFIG.launchBoost,
+    items = true,
+    onQuit = null,
+  } = {}) {
     this.canvas = canvas;
-    this.engine = new Engine(canvas, true);
+    // Lockstep makes Babylon run scene steps (and physics) in fixed ticks;
+    // onBeforeStepObservable fires once per tick
+    this.engine = new Engine(canvas, true, {
+      deterministicLockstep: true,
+      lockstepMaxSteps: SIM_CONFIG.maxTicksPerFrame,
+      timeStep: 1 / SIM_CONFIG.tickRate,
+    });
+    this.clock = new SimulationClock(SIM_CONFIG.tickRate);
+    this.accumulator = 0; // ms of frame time not yet simulated, mirrors the scene's
+    this.ticksThisFrame = 0;
     this.scene = null;
-    this.car = null;
+    this.trackDefinition = track;
     this.track = null;
-    this.checkpoints = null;
-    this.inputManager = null;
-    this.camera = null;
-    this.hud = null;
+    this.paused = false; // Held still while the track editor is open
+    this.phase = this.createPhases();
+    this.resumePhase = null; // Where the race was when it was paused
+    this.onQuit = onQuit;
+    this.cup = network ? null : grandPrix;
+    this.grandPrix = null; // Cup progress, see initGrandPrix
+    this.grandPrixScreen = null;
+    this.raceScored = false; // This Grand Prix race's points are in
+    this.timeTrialMode = timeTrial && !network;
+    this.timeTrial = null; // Records and splits for the current track, see createTimeTrial
+    this.network = network;
+    this.remotes = new Map(); // Online: other players' karts by session id
+    const solo = network || this.timeTrialMode;
+    this.playerCount = solo ? 1 : Math.max(1, Math.min(RACE_CONFIG.maxLocalPlayers, playerCount));
+    this.opponentCount = solo ? 0 : Math.max(0, Math.min(RACE_CONFIG.maxKarts - this.playerCount, opponents));
+    this.aiOptions = { difficulty, rubberBanding };
+    this.players = [];
+    this.opponents = [];
+    this.standings = null;
+    this.countdown = null;
+    this.gridOrder = gridOrder;
+    this.startOptions = { type: startType, launchBoost };
+    this.lastRace = null; // Best laps and finish order of the last race run, see lineUp
+    this.itemsEnabled = items && !network && !this.timeTrialMode && CAR_CONFIG.mode !== 'physics';
+    this.items = null; // ItemSystem for the current track, see createItems
+    this.itemMeshes = null;
+    // Personal-best ghost, recorded from and replayed against the first player's laps
+    this.lapRecorder = new LapRecorder();
+    this.ghost = null;
+    this.ghostCar = null;
+    this.showGhost = true;
+  }
+
+  // The race's own states. It starts out waiting: offline the countdown follows
+  // straight away, online the room's status leads the way. Only offline races
+  // pause, and resuming goes back to where the race was.
+  createPhases() {
+    const phase = new StateMachine({
+      waiting: { next: ['countdown'] },
+      countdown: { next: ['countdown', 'racing', 'paused', 'waiting'] },
+      racing: { next: ['countdown', 'results', 'paused', 'waiting'] },
+      results: {
+        next: ['countdown', 'paused', 'waiting'],
+        enter: (data, from) => {
+          // Resuming onto the results isn't a new finish
+          if (from === 'paused') return;
+          this.rememberRace();
+          if (this.grandPrix) this.scoreGrandPrixRace();
+        },
+      },
+      paused: {
+        next: ['countdown', 'racing', 'results'],
+        enter: (data, from) => {
+          this.resumePhase = from;
+          this.pauseMenu.show();
+        },
+        exit: () => this.pauseMenu.hide(),
+      },
+    });
+    phase.transition('waiting');
+    return phase;
   }
 
   async init() {
@@ -31,104 +166,953 @@ export class Game {
     const dirLight = new DirectionalLight('dirLight', new Vector3(-1, -2, -1), this.scene);
     dirLight.intensity = 0.4;
 
-    // Create track
-    this.track = new Track(this.scene, ovalTrack);
+    // Physics driving model needs Havok running before track and car attach bodies.
+    // Online races always use the arcade model, which is what the server runs.
+    if (CAR_CONFIG.mode === 'physics' && !this.network) {
+      await enablePhysics(this.scene);
+    }
 
-    // Create HUD first (needed for callbacks)
-    this.hud = new HUD();
+    // Online, the room decides the track (and our grid slot); in a Grand Prix, the cup does
+    let definition = this.trackDefinition;
+    if (this.network) {
+      definition = TRACKS[this.network.getState().trackId];
+    } else if (this.cup) {
+      definition = this.initGrandPrix();
+    }
 
-    // Create checkpoints with callbacks
-    this.checkpoints = new CheckpointSystem(
-      this.scene, 
-      ovalTrack,
-      (lap, lapTime) => this.onLapComplete(lap, lapTime),
-      (totalTime, bestLap) => this.onRaceFinish(totalTime, bestLap)
-    );
+    // Create track
+    this.track = new Track(this.scene, definition);
+    this.gates = new CheckpointGates(this.scene, this.track, { clock: () => this.clock.now() });
+    this.createItems();
+
+    const layout = SPLIT_LAYOUTS[this.playerCount];
+    for (let i = 0; i < this.playerCount; i++) {
+      this.players.push(this.createPlayer(i, layout[i]));
+    }
+    this.scene.activeCameras = this.players.map((player) => player.camera);
+    if (this.timeTrialMode) {
+      this.timeTrial = this.createTimeTrial();
+    }
 
-    // Create car at track start position
-    const startPos = this.track.getStartPosition();
-    const startRot = this.track.getStartRotation();
-    this.car = new Car(this.scene, COLORS.player1, startPos, startRot);
+    // AI karts line up behind the humans
+    if (this.opponentCount > 0) {
+      const racingLine = new RacingLine(this.track.getPath());
+      for (let i = 0; i < this.opponentCount; i++) {
+        this.opponents.push(this.createOpponent(i, racingLine));
+      }
+    }
+    this.standings = new Standings(this.getRacers());
+    this.initGhost();
+    if (this.network) {
+      this.initOnline();
+    }
 
-    this.inputManager = new InputManager(1);
-    this.setupCamera();
+    // Pads can be plugged in or pulled out mid-race; tell the player whose slot it is
+    this.removeGamepadListener = getGamepadManager().onChange((slot, connected) => {
+      const player = this.players[slot];
+      if (player) {
+        player.hud.showMessage(connected ? 'CONTROLLER CONNECTED' : 'CONTROLLER DISCONNECTED', 1500);
+      }
+    });
 
+    this.scene.onBeforeStepObservable.add(() => {
+      this.tick();
+    });
     this.scene.onBeforeRenderObservable.add(() => {
-      this.update();
+      this.renderFrame();
     });
 
-    window.addEventListener('resize', () => this.engine.resize());
+    // Switching to another window or tab pauses the race
+    this.handleResize = () => this.engine.resize();
+    this.handleBlur = () => {
+      if (this.phase.is('countdown', 'racing')) this.pause();
+    };
+    this.handleVisibilityChange = () => {
+      if (document.hidden) this.handleBlur();
+    };
+    window.addEventListener('resize', this.handleResize);
+    window.addEventListener('blur', this.handleBlur);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
 
-    // Start countdown
-    this.startRace();
+    // Rebinding screen; karts ignore input while it is open
+    this.controlsScreen = new ControlsScreen({
+      onClose: () => this.players.forEach((player) => player.inputManager.reloadBindings()),
+    });
+
+    // Esc pauses offline; restarting the race and quitting are done from there
+    this.pauseMenu = null;
+    if (!this.network) {
+      this.pauseMenu = new PauseMenu({
+        onPause: () => this.pause(),
+        onResume: () => this.resume(),
+        canRestart: () => !this.raceScored,
+        onRestart: () => this.restartRace(),
+        onQuit: this.onQuit,
+      });
+    }
+
+    if (this.grandPrix) {
+      this.players.forEach((player) => player.hud.setFinishHint('Cup standings once everyone has finished'));
+    }
+
+    // Start countdown (online, the server starts it once everyone is ready)
+    if (!this.network) {
+      this.startRace();
+    }
   }
 
-  startRace() {
-    this.checkpoints.startCountdown(
-      (count) => this.hud.showMessage(count.toString(), 800),
-      () => this.hud.showMessage('GO!', 1000)
+  // Carries on with a saved cup for the same line-up, or starts it. Returns the
+  // track of the race to drive.
+  initGrandPrix() {
+    this.grandPrix = loadGrandPrix(this.cup, this.getLineup());
+    this.grandPrixScreen = new GrandPrixScreen();
+    return TRACKS[this.grandPrix.getTrackId()];
+  }
+
+  // Everyone's place when the last human crosses the line counts, AI karts still
+  // on track included
+  scoreGrandPrixRace() {
+    this.raceScored = true;
+    this.grandPrix.recordRace(this.standings.getOrder().map((racer) => racer.name));
+    if (this.grandPrix.isComplete()) {
+      this.grandPrixScreen.showPodium(this.grandPrix);
+    } else {
+      this.grandPrixScreen.showStandings(this.grandPrix, TRACKS[this.grandPrix.getTrackId()].name);
+    }
+  }
+
+  // On from the standings to the next track, or from the podium to a new cup
+  nextGrandPrixRace() {
+    if (this.grandPrix.isComplete()) this.grandPrix.restart();
+    this.grandPrixScreen.hide();
+    this.loadTrack(TRACKS[this.grandPrix.getTrackId()]);
+  }
+
+  // Records of the current track at its lap count, set in the first player's kart
+  createTimeTrial() {
+    const kart = { color: this.players[0].color, model: CAR_CONFIG.mode };
+    return new TimeTrial(this.track.model, this.track.definition.laps, kart);
+  }
+
+  initGhost() {
+    const trackId = this.track.definition.id;
+    this.ghost = loadGhost(trackId);
+    this.ghostCar = new GhostCar(this.scene);
+    this.ghostCar.setGhost(this.ghost);
+
+    this.ghostPanel = new GhostPanel({
+      trackId,
+      getGhost: () => this.ghost,
+      onImport: (ghost) => this.setGhost(ghost),
+      onClear: () => {
+        clearGhost(trackId);
+        this.ghost = null;
+        this.ghostCar.setGhost(null);
+      },
+      onToggle: (show) => {
+        this.showGhost = show;
+      },
+    });
+  }
+
+  // Item boxes and whatever's been dropped or fired, on the current track
+  createItems() {
+    if (!this.itemsEnabled) return;
+    this.items = new ItemSystem(this.track.model, {
+      clock: () => this.clock.now(),
+      onHit: (car, effect, took) => this.onItemHit(car, effect, took),
+    });
+    this.itemMeshes = new ItemMeshes(this.scene, this.items);
+  }
+
+  setGhost(ghost) {
+    this.ghost = ghost;
+    saveGhost(ghost);
+    this.ghostCar.setGhost(ghost);
+  }
+
+  // Each local player gets their own bindings, kart, lap tracker, camera and HUD
+  createPlayer(index, viewport) {
+    // Online, the server decides where on the grid we are; name and colour are
+    // picked in the lobby
+    const state = this.network ? this.network.getPlayerState() : null;
+    const slot = state ? state.slot : index;
+    const { name, color } = state || this.getLineup()[index];
+    const multiplayer = this.playerCount > 1;
+    const player = {
+      index,
+      slot,
+      name,
+      color,
+      car: null,
+      checkpoints: null,
+      inputManager: new InputManager(index + 1),
+      camera: null,
+      // Create HUD first (needed for callbacks)
+      hud: new HUD({
+        viewport,
+        playerLabel: multiplayer ? `P${index + 1}` : null,
+        accentColor: color,
+        clock: () => this.clock.now(),
+      }),
+      finishPlace: null,
+      held: {}, // Buttons down last tick, see isFreshPress
+      start: new RaceStart(this.startOptions),
+    };
+
+    // Touch controls only make sense with one player per screen
+    if (!multiplayer) {
+      const touchControls = player.hud.enableTouchControls();
+      touchControls.showItemButton(this.itemsEnabled);
+      player.inputManager.setTouchControls(touchControls);
+    }
+
+    player.checkpoints = this.createPlayerProgress(player);
+
+    // Create car at this player's start slot
+    player.car = new Car(this.scene, color, this.getStartPosition(slot), this.track.getStartRotation(), this.track);
+
+    player.camera = this.createCamera(player, viewport);
+    return player;
+  }
+
+  // Lap tracking with callbacks. Gates flash for the first player's kart.
+  // Online, the room sets the laps and finishing is the server's call (see
+  // onOnlinePlayerChange).
+  createPlayerProgress(player) {
+    return new RaceProgress(this.track.model, {
+      laps: this.network ? this.network.getState().maxLaps : this.track.definition.laps,
+      onLapComplete: (lap, lapTime) => this.onLapComplete(player, lap, lapTime),
+      onRaceFinish: this.network ? null : (totalTime, bestLap) => this.onRaceFinish(player, totalTime, bestLap),
+      onCheckpoint: (cpIndex, direction) => this.onCheckpoint(player, cpIndex, direction),
+      onGatePassed: player.index === 0 ? (cpIndex) => this.gates.flash(cpIndex) : null,
+      onSplit: (sector, splitTime) => this.onSplit(player, sector, splitTime),
+      clock: () => this.clock.now(),
+    });
+  }
+
+  // Computer-controlled kart: same car and lap tracking as a player, driven by an
+  // AIDriver instead of an InputManager, with no camera or HUD
+  createOpponent(number, racingLine) {
+    const index = this.playerCount + number;
+    const { name, color } = this.getLineup()[index];
+    const opponent = {
+      index,
+      slot: index,
+      name,
+      color,
+      car: null,
+      checkpoints: null,
+      driver: null,
+      finishPlace: null,
+      start: new RaceStart(this.startOptions),
+    };
+
+    opponent.checkpoints = this.createOpponentProgress(opponent);
+    opponent.car = new Car(
+      this.scene,
+      color,
+      this.getStartPosition(index),
+      this.track.getStartRotation(),
+      this.track
     );
+    opponent.driver = this.createDriver(opponent, racingLine);
+    return opponent;
+  }
+
+  createOpponentProgress(opponent) {
+    return new RaceProgress(this.track.model, {
+      laps: this.track.definition.laps,
+      onRaceFinish: (totalTime, bestLap) => this.onRaceFinish(opponent, totalTime, bestLap),
+      clock: () => this.clock.now(),
+    });
+  }
+
+  createDriver(opponent, racingLine) {
+    const number = opponent.index - this.playerCount;
+    return new AIDriver(opponent.car, this.track, racingLine, { ...this.aiOptions, seed: number });
+  }
+
+  // Offline names and colours by grid slot: the players, then the AI karts
+  getLineup() {
+    return Array.from({ length: this.getKartCount() }, (_, index) => ({
+      name: index < this.playerCount ? `P${index + 1}` : `CPU${index - this.playerCount + 1}`,
+      color: COLORS[`player${index + 1}`],
+    }));
+  }
+
+  getKartCount() {
+    return this.playerCount + this.opponentCount;
+  }
+
+  // Online grids are laid out for a full room so slots don't move as players join
+  getStartPosition(slot) {
+    return this.track.getStartPosition(slot, this.network ? RACE_CONFIG.maxKarts : this.getKartCount());
+  }
+
+  // Players and opponents together
+  getRacers() {
+    return [...this.players, ...this.opponents];
+  }
+
+  startRace() {
+    this.phase.transition('countdown');
+    this.lineUp();
+    this.standings.reset();
+    const racers = this.getRacers();
+    racers.forEach((racer) => {
+      racer.checkpoints.startCountdown();
+      racer.start.reset();
+    });
+
+    // One countdown drives everyone, so all karts get the same GO
+    this.countdown = new Countdown(() => this.clock.now(), {
+      onTick: (count) => this.showMessageToAll(count.toString(), 800),
+      onGo: (startTime) => {
+        this.showMessageToAll('GO!', 1000);
+        this.phase.transition('racing');
+        racers.forEach((racer) => {
+          racer.checkpoints.beginRacing(startTime);
+          this.onStart(racer, racer.start.go(racer.car, racer.checkpoints));
+        });
+      },
+    });
+    this.countdown.start();
+  }
+
+  // Everyone onto their grid slot, in gridOrder. Qualifying goes by the best laps
+  // of the last race run; reverse by the cup standings in a Grand Prix, otherwise
+  // by the last race's finish order. Before there's a last race, it's players then
+  // AI karts.
+  lineUp() {
+    const racers = this.getRacers();
+    const { bestLaps = new Map(), order = [] } = this.lastRace || {};
+    const standings = this.grandPrix
+      ? this.grandPrix.getStandings()
+        .filter(({ lastPlace }) => lastPlace !== null)
+        .map(({ name }) => racers.find((racer) => racer.name === name))
+      : order;
+
+    orderGrid(racers, this.gridOrder, { bestLaps, standings }).forEach((racer, slot) => {
+      racer.slot = slot;
+      racer.car.reset(this.getStartPosition(slot), this.track.getStartRotation());
+    });
+  }
+
+  // For lining up the next race (see lineUp)
+  rememberRace() {
+    const racers = this.getRacers();
+    this.lastRace = {
+      bestLaps: new Map(racers.map((racer) => [racer, racer.checkpoints.bestLapTime])),
+      order: this.standings.getOrder(),
+    };
+  }
+
+  // A player's jump start or launch at GO (see RaceStart)
+  onStart(racer, result) {
+    if (!racer.hud) return;
+    if (result === 'jump') {
+      racer.hud.showMessage(`JUMP START +${START_CONFIG.jumpStartPenaltyMs / 1000}s`, 1500);
+    } else if (result === 'launch') {
+      racer.hud.showMessage('GREAT START!', 1000);
+    }
+  }
+
+  showMessageToAll(text, duration) {
+    this.players.forEach((player) => player.hud.showMessage(text, duration));
+  }
+
+  onLapComplete(player, lap, lapTime) {
+    const newBest = this.timeTrial ? this.timeTrial.completeLap(lapTime) : false;
+    if (lap < player.checkpoints.getTotalLaps()) {
+      player.hud.showMessage(newBest ? 'NEW BEST LAP!' : `LAP ${lap + 1}`, 1500);
+    }
+
+    // A lap quicker than the stored ghost replaces it
+    if (player === this.players[0]) {
+      const samples = this.lapRecorder.finishLap(lapTime, player.car.getPosition(), player.car.getRotationY());
+      if (!this.ghost || lapTime < this.ghost.lapTime) {
+        this.setGhost(createGhost(this.track.definition.id, lapTime, samples));
+      }
+    }
+  }
+
+  // Time trial: how this gate compares with the best split there
+  onSplit(player, sector, splitTime) {
+    if (!this.timeTrial) return;
+    const delta = this.timeTrial.recordSplit(sector, splitTime);
+    if (delta !== null) player.hud.showSplitDelta(delta);
   }
 
-  onLapComplete(lap, lapTime) {
-    if (lap < this.checkpoints.getTotalLaps()) {
-      this.hud.showMessage(`LAP ${lap + 1}`, 1500);
+  onCheckpoint(player, index, direction) {
+    if (direction === 'backward') {
+      player.hud.showMessage('WRONG WAY', 1000);
+    }
+  }
+
+  // racer is a player or an AI opponent
+  onRaceFinish(racer, totalTime, bestLap) {
+    racer.finishPlace = this.standings.recordFinish(racer, totalTime, bestLap);
+    const multiKart = this.getKartCount() > 1;
+    const results = this.standings.getResults();
+
+    if (this.timeTrial) {
+      this.showTimeTrialFinish(racer, totalTime);
     }
+    if (racer.hud) {
+      racer.hud.showFinish(totalTime, bestLap, multiKart ? racer.finishPlace : null, results);
+    }
+    // Players already on the results screen see the newcomer's time
+    this.players
+      .filter((player) => player !== racer && player.finishPlace !== null)
+      .forEach((player) => player.hud.updateResults(results));
+
+    if (racer.finishPlace === 1 && multiKart) {
+      this.players
+        .filter((other) => other !== racer)
+        .forEach((other) => other.hud.showMessage(`${racer.name} WINS!`, 2000));
+    }
+  }
+
+  showTimeTrialFinish(player, totalTime) {
+    const newRecord = this.timeTrial.finishRace(totalTime, player.checkpoints.lapTimes);
+    const { bestRace } = this.timeTrial.record;
+    const theoretical = this.timeTrial.getTheoreticalBest();
+    const { hud } = player;
+    hud.setFinishHint([
+      newRecord ? 'NEW RECORD!' : `Record ${hud.formatTime(bestRace.time)}`,
+      theoretical ? `Theoretical best lap ${hud.formatTime(theoretical)}` : '',
+      'Press SPACE to restart',
+    ].filter(Boolean).join(' · '));
+  }
+
+  // Over once every human has finished; AI karts still on track don't hold it up
+  isRaceOver() {
+    return this.players.every((player) => player.finishPlace !== null);
   }
 
-  onRaceFinish(totalTime, bestLap) {
-    this.hud.showFinish(totalTime, bestLap);
+  getWinner() {
+    return this.standings.getFinishOrder()[0] || null;
   }
 
-  setupCamera() {
-    this.camera = new FollowCamera('followCam', new Vector3(0, 10, -20), this.scene);
-    this.camera.lockedTarget = this.car.getMesh();
-    this.camera.radius = 18;
-    this.camera.heightOffset = 8;
-    this.camera.rotationOffset = 180;
-    this.camera.cameraAcceleration = 0.08;
-    this.camera.maxCameraSpeed = 25;
+  createCamera(player, viewport) {
+    const camera = new FollowCamera(`followCam${player.index}`, new Vector3(0, 10, -20), this.scene);
+    camera.lockedTarget = player.car.getMesh();
+    camera.radius = 18;
+    camera.heightOffset = 8;
+    camera.rotationOffset = 180;
+    camera.cameraAcceleration = 0.08;
+    camera.maxCameraSpeed = 25;
+    // Babylon viewports are measured from the bottom-left corner
+    camera.viewport = new Viewport(viewport.x, 1 - viewport.y - viewport.height, viewport.width, viewport.height);
+    return camera;
   }
 
-  update() {
-    const dt = this.engine.getDeltaTime() / 1000;
+  // Offline the race holds still while paused, or while the controls screen or
+  // editor is open; online it can't
+  isPaused() {
+    return this.paused || this.controlsScreen.isOpen() || this.phase.is('paused');
+  }
+
+  // Offline only, and not while the editor holds the race
+  pause() {
+    if (this.network || this.paused || !this.phase.can('paused')) return;
+    this.phase.transition('paused');
+  }
+
+  resume() {
+    if (this.phase.is('paused')) this.phase.transition(this.resumePhase);
+  }
+
+  // One fixed simulation step: input, driving, lap tracking and standings
+  tick() {
+    const paused = this.isPaused();
+    if (paused && !this.network) return;
+
+    this.clock.advance();
+    this.ticksThisFrame++;
+    const dt = this.clock.getStep() / 1000;
 
-    // Only allow car control when racing
-    if (this.checkpoints.canMove()) {
-      const input = this.inputManager.getInput();
-      this.car.update(input, dt);
+    if (this.network) {
+      this.tickOnline(dt, paused);
+      return;
+    }
+
+    this.countdown.update();
+    this.getRacers().forEach((racer) => racer.car.beginTick());
+    this.players.forEach((player) => {
+      if (this.isRespawnPressed(player)) this.respawnPlayer(player);
+      if (this.isUseItemPressed(player)) this.useItem(player);
+      this.updatePlayer(player, dt);
+    });
+    this.opponents.forEach((opponent) => this.updateOpponent(opponent, dt));
+    this.standings.update();
+    if (this.items) this.updateItems(dt);
+
+    if (this.phase.is('racing') && this.isRaceOver()) {
+      this.phase.transition('results');
+    }
+  }
+
+  // Once per drawn frame, after the ticks: place meshes between ticks and refresh the HUDs
+  renderFrame() {
+    // Same bookkeeping as Scene.animate in lockstep mode, to know how far into
+    // the next tick this frame is
+    const step = this.clock.getStep();
+    const frameTime = Math.max(Scene.MinDeltaTime, Math.min(this.engine.getDeltaTime(), Scene.MaxDeltaTime));
+    this.accumulator = Math.max(0, this.accumulator + frameTime - this.ticksThisFrame * step);
+    this.ticksThisFrame = 0;
+    const alpha = Math.min(1, this.accumulator / step);
+
+    this.getRacers().forEach((racer) => racer.car.interpolate(alpha));
+    this.placeRemotes();
+    this.players.forEach((player) => this.updateHUD(player));
+    this.updateStandingsHUD();
+    this.gates.update();
+
+    const lead = this.players[0];
+    const lapTime = lead.checkpoints.getCurrentLapTime();
+    this.ghostCar.update(lapTime > 0 ? lapTime + alpha * step : 0, this.showGhost);
+    if (this.itemMeshes) this.itemMeshes.update(this.clock.now());
+
+    // Online, readying up and rematches go through the lobby
+    if (this.isPaused() || this.network) return;
+
+    // Restart (or go on with the Grand Prix) with SPACE or Start on P1's pad once
+    // everyone has finished
+    if (this.phase.is('results') && this.players[0].inputManager.isConfirmPressed()) {
+      if (this.grandPrix) this.nextGrandPrixRace();
+      else this.restartRace();
+    }
+  }
+
+  // input: this tick's input if already read (online), otherwise read here
+  updatePlayer(player, dt, input = null) {
+    const { car, checkpoints, inputManager } = player;
+
+    // Only allow car control when racing. Offline, the countdown watches the
+    // throttle for a jump start or a launch (online the server does).
+    if (checkpoints.canMove()) {
+      car.update(input || inputManager.getInput(), dt);
+    } else if (!this.network && this.countdown.isRunning()) {
+      this.watchStart(player, inputManager.getInput());
     }
 
     // Update checkpoint system
-    this.checkpoints.update(this.car.getPosition());
-
-    // Update HUD
-    this.hud.update(
-      this.car.getSpeed(),
-      this.checkpoints.getCurrentLap(),
-      this.checkpoints.getTotalLaps(),
-      this.checkpoints.getRaceTime(),
-      this.checkpoints.bestLapTime
+    checkpoints.update(car.getPosition());
+
+    if (player === this.players[0] && checkpoints.canMove()) {
+      this.lapRecorder.record(checkpoints.getCurrentLapTime(), car.getPosition(), car.getRotationY());
+    }
+  }
+
+  watchStart(player, input) {
+    if (player.start.watch(input.throttle, this.countdown.getTimeToGo())) {
+      player.hud.showMessage('JUMP START', 800);
+    }
+  }
+
+  // True on the tick `action`'s button goes down. The reset key counts once per
+  // press, so holding it doesn't respawn again as soon as the cooldown is over,
+  // and holding use-item doesn't fire the next item as soon as it's picked up.
+  isFreshPress(player, action, pressed) {
+    const fresh = pressed && !player.held[action];
+    player.held[action] = pressed;
+    return fresh;
+  }
+
+  isRespawnPressed(player) {
+    return this.isFreshPress(player, 'reset', player.inputManager.isResetPressed());
+  }
+
+  isUseItemPressed(player) {
+    return this.isFreshPress(player, 'useItem', player.inputManager.isUseItemPressed());
+  }
+
+  // Only once the race is under way
+  useItem(racer) {
+    if (this.items && racer.checkpoints.canMove()) this.items.use(racer.car);
+  }
+
+  // Boxes, hazards and projectiles against every kart still racing, with its place
+  updateItems(dt) {
+    const racers = this.getRacers()
+      .filter((racer) => racer.checkpoints.canMove())
+      .map((racer) => ({ kart: racer.car, place: this.standings.getPosition(racer) }));
+    this.items.update(racers, dt);
+  }
+
+  // Players hear about hazards and projectiles that hit them, and about the ones
+  // their shield (or respawn immunity) stopped
+  onItemHit(car, effect, took) {
+    const player = this.players.find((candidate) => candidate.car === car);
+    if (player) player.hud.showMessage(took ? ITEM_HIT_MESSAGES[effect] : 'BLOCKED', 1000);
+  }
+
+  // Back to the last gate passed, unless still in the cooldown (see respawnKart)
+  respawnPlayer(player) {
+    if (respawnKart(player.car, player.checkpoints, this.track.model)) {
+      this.onRespawn(player);
+    }
+  }
+
+  // The player's view cuts to black and fades in on the kart's new spot
+  onRespawn(player) {
+    this.snapCamera(player);
+    player.hud.showFade(RESPAWN_CONFIG.fadeMs);
+    player.hud.showMessage(`+${RESPAWN_CONFIG.penaltyMs / 1000}s`, 1000);
+  }
+
+  // Puts a chase camera straight behind its kart instead of letting it swing
+  // across the track to catch up
+  snapCamera(player) {
+    const { camera, car } = player;
+    const position = car.getPosition();
+    const angle = (camera.rotationOffset * Math.PI) / 180 + car.getRotationY();
+    camera.position.copyFromFloats(
+      position.x + Math.sin(angle) * camera.radius,
+      position.y + camera.heightOffset,
+      position.z + Math.cos(angle) * camera.radius
+    );
+  }
+
+  updateHUD(player) {
+    const { car, checkpoints, hud } = player;
+    hud.update(
+      car.getSpeed(),
+      checkpoints.getCurrentLap(),
+      checkpoints.getTotalLaps(),
+      checkpoints.getRaceTime(),
+      // In a time trial, the stored record
+      this.timeTrial ? this.timeTrial.getBestLap() : checkpoints.bestLapTime
     );
+    hud.updateTurbo(car.getDriftLevel(), car.isBoosting());
+    hud.updateSurface(car.getSurface());
+    hud.updateMessages();
+    if (this.items) hud.updateItem(this.items.getItem(car));
+  }
 
-    // Reset with R
-    if (this.inputManager.isResetPressed()) {
-      this.restartRace();
+  updateStandingsHUD() {
+    if (this.network) {
+      this.updateOnlineStandingsHUD();
+      return;
     }
 
-    // Restart with SPACE after finish
-    if (this.checkpoints.isRaceFinished() && this.inputManager.isSpacePressed()) {
-      this.restartRace();
+    const order = this.standings.getOrder();
+    this.players.forEach((player) => {
+      player.hud.updateStandings(
+        this.standings.getPosition(player),
+        this.standings.getCount(),
+        order.map((racer) => ({ name: racer.name, color: racer.color, self: racer === player }))
+      );
+    });
+  }
+
+  updateOpponent(opponent, dt) {
+    const { car, checkpoints, driver } = opponent;
+
+    if (checkpoints.canMove()) {
+      const others = this.getRacers().filter((racer) => racer !== opponent).map((racer) => racer.car);
+      const input = driver.getInput(dt, {
+        others,
+        progress: checkpoints.getProgress(car.getPosition()),
+        targetProgress: this.getLeadingPlayerProgress(),
+      });
+      if (this.items && driver.shouldUseItem(this.items.getItem(car), dt, { others })) this.useItem(opponent);
+      car.update(input, dt);
     }
+
+    checkpoints.update(car.getPosition());
+  }
+
+  // Race distance of the human furthest ahead, which rubber-banding pulls AI karts toward
+  getLeadingPlayerProgress() {
+    return Math.max(...this.players.map((player) => player.checkpoints.getProgress(player.car.getPosition())));
   }
 
   restartRace() {
-    this.car.reset(this.track.getStartPosition(), this.track.getStartRotation());
-    this.checkpoints.reset();
-    this.hud.hideFinish();
+    // The cars go back on the grid in startRace
+    this.getRacers().forEach((racer) => {
+      racer.checkpoints.reset();
+      racer.finishPlace = null;
+      if (racer.hud) racer.hud.hideFinish();
+      if (racer.driver) racer.driver.reset();
+    });
+    this.lapRecorder.reset();
+    if (this.timeTrial) this.timeTrial.reset();
+    if (this.items) this.items.reset();
+    this.raceScored = false;
     this.startRace();
   }
 
+  // The editor holds the race still while it is open, pause menu or not
+  setPaused(paused) {
+    if (paused) this.resume();
+    this.paused = paused;
+  }
+
+  // Races another track from the grid (a loaded track file or an editor draft)
+  loadTrack(definition) {
+    this.changeTrack(definition);
+    this.restartRace();
+  }
+
+  // Swaps in another track (the host's pick online, or one loaded offline). Lap
+  // tracking, item boxes and AI racing lines are rebuilt for it; putting the karts
+  // back on the grid is up to the caller.
+  changeTrack(definition) {
+    this.gates.dispose();
+    this.track.dispose();
+    this.track = new Track(this.scene, definition);
+    this.gates = new CheckpointGates(this.scene, this.track, { clock: () => this.clock.now() });
+    if (this.itemMeshes) this.itemMeshes.dispose();
+    this.createItems();
+
+    this.players.forEach((player) => {
+      player.car.setTrack(this.track);
+      player.checkpoints = this.createPlayerProgress(player);
+    });
+    const racingLine = this.opponents.length > 0 ? new RacingLine(this.track.getPath()) : null;
+    this.opponents.forEach((opponent) => {
+      opponent.car.setTrack(this.track);
+      opponent.checkpoints = this.createOpponentProgress(opponent);
+      opponent.driver = this.createDriver(opponent, racingLine);
+    });
+    this.remotes.forEach((remote) => remote.car.setTrack(this.track));
+
+    // Each track has its own personal-best ghost
+    this.ghost = loadGhost(definition.id);
+    this.ghostCar.setGhost(this.ghost);
+    this.ghostPanel.setTrack(definition.id);
+    this.lapRecorder.reset();
+    if (this.timeTrial) this.timeTrial = this.createTimeTrial();
+  }
+
+  // === ONLINE ===
+  // The server runs the race; this client sends its inputs every tick and predicts
+  // its own kart with the same simulation so it responds instantly. Each server
+  // update for our kart is the truth: we snap to it and replay the inputs it hasn't
+  // seen yet. Other karts are drawn slightly in the past, between two updates.
+  // Between races the Lobby is on screen; the game follows the host's track and
+  // lap choices behind it.
+
+  initOnline() {
+    const local = this.players[0];
+    const sessionId = this.network.getSessionId();
+    local.inputSeq = 0;
+    local.pendingInputs = []; // { seq, input } sent but not yet applied by the server
+    local.serverState = null;
+    local.state = this.network.getPlayerState();
+    local.respawns = local.state.respawns; // Server's count; a new one means it moved us
+    local.respawnPending = false;
+    local.jumpStart = false; // The server caught us early in this countdown
+    local.hud.setFinishHint('Back to the lobby once everyone has finished');
+
+    this.network.onPlayerAdd((state, id) => {
+      if (id === sessionId) {
+        this.network.onPlayerChange(state, () => {
+          local.serverState = state.toJSON();
+          if (state.respawns !== local.respawns) this.onOnlineRespawn(local, state);
+          if (state.jumpStart && !local.jumpStart) local.hud.showMessage('JUMP START', 800);
+          local.jumpStart = state.jumpStart;
+          this.onOnlinePlayerChange(local, state);
+        });
+        return;
+      }
+      this.addRemote(id, state);
+    });
+    this.network.onPlayerRemove((state, id) => this.removeRemote(id));
+    this.network.onPlayerLeft((name, disconnected) => {
+      local.hud.showMessage(`${name} ${disconnected ? 'DISCONNECTED' : 'LEFT'}`, 2000);
+    });
+    this.network.onCountdown((count) => {
+      if (count > 0) local.hud.showMessage(count.toString(), 800);
+    });
+    this.network.onStatusChange((status) => this.onOnlineStatus(status));
+    this.network.onSettingsChange((trackId, laps) => this.onOnlineSettings(trackId, laps));
+  }
+
+  // Host picked another track or race length: rebuild behind the lobby
+  onOnlineSettings(trackId, laps) {
+    const local = this.players[0];
+    const trackChanged = trackId !== this.track.definition.id;
+    if (!trackChanged && laps === local.checkpoints.getTotalLaps()) return;
+
+    if (trackChanged) {
+      this.changeTrack(TRACKS[trackId]);
+    } else {
+      local.checkpoints = this.createPlayerProgress(local);
+    }
+    local.car.reset(this.getStartPosition(local.slot), this.track.getStartRotation());
+    local.serverState = null;
+    local.pendingInputs = [];
+  }
+
+  addRemote(id, state) {
+    const remote = {
+      id,
+      slot: state.slot,
+      name: state.name,
+      color: state.color,
+      state,
+      car: new Car(this.scene, state.color, this.getStartPosition(state.slot), this.track.getStartRotation(), this.track),
+      buffer: new SnapshotBuffer(),
+      respawns: state.respawns,
+      finishPlace: null,
+    };
+    remote.buffer.push(performance.now(), state);
+    this.network.onPlayerChange(state, () => {
+      // A respawn is a jump, not something to blend across
+      if (state.respawns !== remote.respawns) {
+        remote.respawns = state.respawns;
+        remote.buffer.clear();
+      }
+      remote.buffer.push(performance.now(), state);
+      this.onOnlinePlayerChange(remote, state);
+    });
+    this.remotes.set(id, remote);
+  }
+
+  removeRemote(id) {
+    const remote = this.remotes.get(id);
+    if (!remote) return;
+    remote.car.dispose();
+    this.remotes.delete(id);
+  }
+
+  onOnlineStatus(status) {
+    const local = this.players[0];
+    const phase = status === 'finished' ? 'results' : status;
+    if (!this.phase.is(phase)) this.phase.transition(phase);
+    if (status === 'waiting') {
+      // Just joined, or the room is back on the grid for another race
+      local.car.reset(this.getStartPosition(local.slot), this.track.getStartRotation());
+      local.checkpoints.reset();
+      local.pendingInputs = [];
+      local.serverState = null;
+      local.finishPlace = null;
+      local.hud.hideFinish();
+      this.remotes.forEach((remote) => {
+        remote.finishPlace = null;
+      });
+      this.lapRecorder.reset();
+    } else if (status === 'countdown') {
+      local.checkpoints.startCountdown();
+    } else if (status === 'racing') {
+      local.checkpoints.beginRacing(this.clock.now());
+      local.hud.showMessage('GO!', 1000);
+      // The server's jump start penalty goes on our own race clock too
+      if (local.jumpStart) {
+        local.checkpoints.addPenalty(START_CONFIG.jumpStartPenaltyMs);
+        this.onStart(local, 'jump');
+      }
+    }
+  }
+
+  // Finishes come from the server, so every client agrees on the order
+  onOnlinePlayerChange(racer, state) {
+    // Name and colour can change in the lobby
+    racer.name = state.name;
+    if (racer.color !== state.color) {
+      racer.color = state.color;
+      racer.car.setColor(state.color);
+    }
+
+    if (!state.finished || racer.finishPlace !== null) return;
+
+    racer.finishPlace = state.position;
+    const local = this.players[0];
+    const results = this.getOnlineResults();
+    if (racer === local) {
+      local.hud.showFinish(state.finishTime, state.bestLap, state.position, results);
+    } else if (local.finishPlace !== null) {
+      local.hud.updateResults(results);
+    }
+    if (racer !== local && state.position === 1) {
+      local.hud.showMessage(`${racer.name} WINS!`, 2000);
+    }
+  }
+
+  tickOnline(dt, paused) {
+    const player = this.players[0];
+    player.car.beginTick();
+    this.reconcile(player, dt);
+
+    const input = paused ? NEUTRAL_INPUT : player.inputManager.getInput();
+    // Respawning is the server's call, made in order with the inputs
+    const respawn = this.isRespawnPressed(player) && !paused && player.checkpoints.canRespawn();
+    player.inputSeq++;
+    player.pendingInputs.push({ seq: player.inputSeq, input });
+    this.network.sendInput(player.inputSeq, { ...input, respawn });
+
+    this.updatePlayer(player, dt, input);
+  }
+
+  // Snap to the server's latest state for our kart and replay what it hasn't applied
+  reconcile(player, dt) {
+    const { serverState } = player;
+    if (!serverState) return;
+
+    player.serverState = null;
+    player.pendingInputs = player.pendingInputs.filter(({ seq }) => seq > serverState.lastInput);
+    player.car.kart.setState(serverState);
+    if (player.checkpoints.canMove()) {
+      player.pendingInputs.forEach(({ input }) => player.car.kart.update(input, dt));
+    }
+    if (player.respawnPending) {
+      player.respawnPending = false;
+      player.car.snapMesh();
+      this.onRespawn(player);
+    }
+  }
+
+  // The server put our kart back at the last gate: take the same penalty and
+  // cooldown locally, and fade in once reconcile has moved the kart there
+  onOnlineRespawn(player, state) {
+    player.respawns = state.respawns;
+    if (!player.checkpoints.canMove()) return;
+    player.checkpoints.respawned(state);
+    player.respawnPending = true;
+  }
+
+  placeRemotes() {
+    const time = performance.now() - NETWORK_CONFIG.interpolationDelay;
+    this.remotes.forEach((remote) => {
+      const transform = remote.buffer.sample(time);
+      if (transform) remote.car.placeAt(transform);
+    });
+  }
+
+  getOnlineRacers() {
+    return [this.players[0], ...this.remotes.values()]
+      .sort((a, b) => a.state.position - b.state.position);
+  }
+
+  updateOnlineStandingsHUD() {
+    const local = this.players[0];
+    const racers = this.getOnlineRacers();
+    local.hud.updateStandings(
+      local.state.position,
+      racers.length,
+      racers.map((racer) => ({ name: racer.name, color: racer.color, self: racer === local }))
+    );
+  }
+
+  // Same rows as Standings.getResults, from the server's state
+  getOnlineResults() {
+    const racers = this.getOnlineRacers();
+    const winner = racers.find((racer) => racer.state.finished && racer.state.position === 1);
+    return racers.map(({ name, color, state }) => ({
+      position: state.position,
+      name,
+      color,
+      finished: state.finished,
+      totalTime: state.finished ? state.finishTime : null,
+      bestLap: state.finished ? state.bestLap : null,
+      gap: state.finished && winner ? state.finishTime - winner.state.finishTime : null,
+    }));
+  }
+
   run() {
     if (!this.scene) return;
     this.engine.runRenderLoop(() => {
@@ -139,4 +1123,23 @@ export class Game {
   getScene() {
     return this.scene;
   }
+
+  // Leaving the race (see App): the scene and engine, HUDs, input listeners and
+  // every overlay the race put up
+  dispose() {
+    this.engine.stopRenderLoop();
+    window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('blur', this.handleBlur);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.removeGamepadListener();
+    this.players.forEach((player) => {
+      player.hud.dispose();
+      player.inputManager.dispose();
+    });
+    [this.controlsScreen, this.ghostPanel, this.pauseMenu, this.grandPrixScreen]
+      .filter(Boolean)
+      .forEach((overlay) => overlay.dispose());
+    this.scene.dispose();
+    this.engine.dispose();
+  }
 }
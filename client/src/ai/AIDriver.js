@@ -0,0 +1,171 @@
+import { AI_CONFIG, CAR_CONFIG } from '../utils/constants.js';
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Drives one kart by producing the same input object a player's InputManager
+// does: steers toward a point a little way down the racing line, holds the
+// line's target speed, dodges karts ahead and reverses out when stuck. Also
+// decides when to use the kart's item (see shouldUseItem).
+// Works on a Car or a bare sim Kart, and a Track or RaceTrack.
+export class AIDriver {
+  // seed de-syncs the wander between karts; fixed, so races replay identically
+  constructor(car, track, racingLine, {
+    difficulty = AI_CONFIG.difficulty,
+    rubberBanding = AI_CONFIG.rubberBanding.enabled,
+    seed = 0,
+  } = {}) {
+    this.car = car;
+    this.path = track.getPath();
+    this.line = racingLine;
+    this.skill = AI_CONFIG.difficulties[difficulty] || AI_CONFIG.difficulties.medium;
+    this.rubberBanding = rubberBanding;
+    this.time = 0;
+    this.seed = seed * 2.4;
+    this.stuckTimer = 0;
+    this.reverseTimer = 0;
+    this.itemTime = 0; // Seconds the current item has been held
+  }
+
+  // others: the other karts (Car or Kart objects)
+  // progress / targetProgress: this kart's and the leading human's race distance,
+  // used for rubber-banding (see RaceProgress.getProgress)
+  getInput(deltaTime, { others = [], progress = 0, targetProgress = null } = {}) {
+    this.time += deltaTime;
+
+    const position = this.car.getPosition();
+    const heading = this.car.getRotationY();
+    const speed = this.car.getSpeed();
+    const speedScale = this.getSpeedScale(progress, targetProgress);
+    this.car.setTopSpeedScale(Math.max(1, speedScale));
+
+    if (this.updateStuck(speed, deltaTime)) {
+      return { steer: 0, throttle: 0, brake: 1, drift: false };
+    }
+
+    const { distance } = this.path.project(position.x, position.z);
+    const lookahead = AI_CONFIG.lookahead + Math.max(0, speed) * AI_CONFIG.lookaheadPerSpeed;
+    const target = this.line.getPointAtDistance(distance + lookahead);
+
+    // Lateral position to aim for: the racing line (less of it on easier settings),
+    // a gentle wander, and a sidestep around whoever is in the way
+    const forward = { x: Math.sin(heading), z: Math.cos(heading) };
+    const right = { x: Math.cos(heading), z: -Math.sin(heading) };
+    const wobble = Math.sin(this.time * 0.7 + this.seed) * this.skill.wobble * target.halfWidth;
+    const blocker = this.findBlocker(position, forward, right, others);
+    let offset = target.offset * this.skill.lineFollow + wobble;
+    if (blocker) {
+      offset += this.getDodge(blocker, target, offset);
+    }
+    const limit = Math.max(0, target.halfWidth - CAR_CONFIG.width);
+    offset = Math.max(-limit, Math.min(limit, offset));
+
+    const aimX = target.x + target.normal.x * (offset - target.offset);
+    const aimZ = target.z + target.normal.z * (offset - target.offset);
+    const error = wrapAngle(Math.atan2(aimX - position.x, aimZ - position.z) - heading);
+    const steer = Math.max(-1, Math.min(1, error * AI_CONFIG.steerGain * this.skill.steerGain));
+
+    // Speed: the line's limit for where we'll be shortly, scaled by skill
+    const upcoming = this.line.getPointAtDistance(distance + Math.max(0, speed) * 0.3);
+    let targetSpeed = upcoming.speed * this.skill.speedFactor * speedScale;
+    if (blocker && blocker.along < AI_CONFIG.avoidDistance * 0.4) {
+      // Too close to get round: tuck in behind
+      targetSpeed = Math.min(targetSpeed, blocker.car.getSpeed());
+    }
+
+    const throttle = speed < targetSpeed ? Math.min(1, (targetSpeed - speed) / 4 + 0.3) : 0;
+    const brake = speed > targetSpeed + 2 ? Math.min(1, (speed - targetSpeed) / 8) : 0;
+    return { steer, throttle, brake, drift: false };
+  }
+
+  // Nearest kart ahead and roughly in our path, with its offset in our frame
+  findBlocker(position, forward, right, others) {
+    let blocker = null;
+    others.forEach((car) => {
+      const other = car.getPosition();
+      const dx = other.x - position.x;
+      const dz = other.z - position.z;
+      const along = dx * forward.x + dz * forward.z;
+      const side = dx * right.x + dz * right.z;
+      if (along <= 0 || along > AI_CONFIG.avoidDistance || Math.abs(side) > AI_CONFIG.avoidWidth) return;
+      if (!blocker || along < blocker.along) {
+        blocker = { car, along, side };
+      }
+    });
+    return blocker;
+  }
+
+  // Whether to use `item` (an ITEMS name, or null) this tick. Items are held a
+  // moment first; then a projectile waits for a kart lined up ahead, a hazard for
+  // one close behind, and boosts and shields go straight away. Anything held past
+  // itemMaxHold is used regardless.
+  shouldUseItem(item, deltaTime, { others = [] } = {}) {
+    if (!item) {
+      this.itemTime = 0;
+      return false;
+    }
+    this.itemTime += deltaTime;
+    if (this.itemTime < AI_CONFIG.itemDelay) return false;
+    if (this.itemTime >= AI_CONFIG.itemMaxHold) return true;
+
+    const position = this.car.getPosition();
+    const heading = this.car.getRotationY();
+    const forward = { x: Math.sin(heading), z: Math.cos(heading) };
+    const right = { x: Math.cos(heading), z: -Math.sin(heading) };
+    const inLine = (maxAlong, minAlong) => others.some((car) => {
+      const other = car.getPosition();
+      const dx = other.x - position.x;
+      const dz = other.z - position.z;
+      const along = dx * forward.x + dz * forward.z;
+      const side = dx * right.x + dz * right.z;
+      return along > minAlong && along < maxAlong && Math.abs(side) < AI_CONFIG.aimWidth;
+    });
+
+    if (item === 'projectile') return inLine(AI_CONFIG.aimDistance, 0);
+    if (item === 'hazard') return inLine(0, -AI_CONFIG.avoidDistance);
+    return true;
+  }
+
+  // Sidestep away from the blocker, toward whichever side of the track has room
+  getDodge(blocker, target, offset) {
+    const amount = (AI_CONFIG.avoidWidth - Math.abs(blocker.side)) * (1 - blocker.along / AI_CONFIG.avoidDistance);
+    let direction = blocker.side > 0 ? -1 : 1;
+    const room = target.halfWidth - CAR_CONFIG.width - Math.abs(offset);
+    if (Math.sign(offset) === direction && room < amount) {
+      direction = -direction;
+    }
+    return direction * amount * 2;
+  }
+
+  // Behind the leading human: up to maxBoost faster. Ahead: up to maxSlow slower.
+  getSpeedScale(progress, targetProgress) {
+    if (!this.rubberBanding || targetProgress === null) return 1;
+    const { range, maxBoost, maxSlow } = AI_CONFIG.rubberBanding;
+    const gap = Math.max(-1, Math.min(1, (targetProgress - progress) / range));
+    return 1 + (gap > 0 ? gap * maxBoost : gap * maxSlow);
+  }
+
+  // Pinned against a wall or another kart: back off for a moment, then carry on
+  updateStuck(speed, deltaTime) {
+    if (this.reverseTimer > 0) {
+      this.reverseTimer -= deltaTime;
+      return true;
+    }
+    this.stuckTimer = Math.abs(speed) < 1 ? this.stuckTimer + deltaTime : 0;
+    if (this.stuckTimer > AI_CONFIG.stuckTime) {
+      this.stuckTimer = 0;
+      this.reverseTimer = AI_CONFIG.reverseTime;
+      return true;
+    }
+    return false;
+  }
+
+  reset() {
+    this.time = 0;
+    this.stuckTimer = 0;
+    this.reverseTimer = 0;
+    this.itemTime = 0;
+    this.car.setTopSpeedScale(1);
+  }
+}
@@ -0,0 +1,108 @@
+import { CAR_CONFIG, AI_CONFIG } from '../utils/constants.js';
+
+// Signed curvature through three points (negative = turning right)
+function curvature(a, b, c) {
+  const abx = b.x - a.x;
+  const abz = b.z - a.z;
+  const bcx = c.x - b.x;
+  const bcz = c.z - b.z;
+  const cross = abx * bcz - abz * bcx;
+  const denominator = Math.hypot(abx, abz) * Math.hypot(bcx, bcz) * Math.hypot(c.x - a.x, c.z - a.z);
+  return denominator > 0 ? (2 * cross) / denominator : 0;
+}
+
+// Highest speed at which the arcade model can still turn tightly enough for a
+// corner of the given curvature (turn rate drops off with speed, see Car.update)
+function cornerSpeed(k) {
+  const turnSpeed = CAR_CONFIG.turnSpeed * AI_CONFIG.turnHeadroom;
+  const falloff = (turnSpeed * (1 - CAR_CONFIG.highSpeedTurnFactor)) / CAR_CONFIG.maxSpeed;
+  return Math.min(CAR_CONFIG.maxSpeed, turnSpeed / (Math.abs(k) + falloff));
+}
+
+// Racing line derived from a TrackPath: for every centerline sample a lateral
+// offset that smooths corners out, and a target speed that brakes in time for
+// them. Pure data like TrackPath, indexed by centerline distance.
+export class RacingLine {
+  constructor(path) {
+    this.path = path;
+    this.points = [];
+    this.build();
+  }
+
+  build() {
+    const samples = this.path.getSamples();
+    const count = samples.length;
+    const { lineMargin, lineIterations } = AI_CONFIG;
+
+    // Shortest line round the lap: repeatedly pull each point toward the midpoint of
+    // its neighbours, keeping it on its own cross-section of the track and
+    // lineMargin clear of the edges. The kart's turn rate, not grip, limits
+    // cornering, so cutting to the inside of a bend is quicker than a wide arc.
+    const usable = samples.map((sample) => Math.max(0, sample.width / 2 - lineMargin));
+    const offsets = new Array(count).fill(0);
+    const at = (i) => {
+      const sample = samples[(i + count) % count];
+      const offset = offsets[(i + count) % count];
+      return { x: sample.x + sample.normal.x * offset, z: sample.z + sample.normal.z * offset };
+    };
+    for (let iteration = 0; iteration < lineIterations; iteration++) {
+      for (let i = 0; i < count; i++) {
+        const before = at(i - 1);
+        const after = at(i + 1);
+        const { normal } = samples[i];
+        const offset = ((before.x + after.x) / 2 - samples[i].x) * normal.x
+          + ((before.z + after.z) / 2 - samples[i].z) * normal.z;
+        offsets[i] = Math.max(-usable[i], Math.min(usable[i], offset));
+      }
+    }
+
+    this.points = samples.map((sample, i) => ({
+      x: sample.x + sample.normal.x * offsets[i],
+      z: sample.z + sample.normal.z * offsets[i],
+      offset: offsets[i],
+      distance: sample.distance,
+    }));
+
+    // Speed from the line's own curvature, then a backwards pass so the kart
+    // starts braking early enough to make each corner
+    const speeds = this.points.map((point, i) => cornerSpeed(curvature(
+      this.points[(i - 2 + count) % count], point, this.points[(i + 2) % count]
+    )));
+    const deceleration = CAR_CONFIG.brakeForce * AI_CONFIG.brakeEffort;
+    for (let pass = 0; pass < 2; pass++) {
+      for (let i = count - 1; i >= 0; i--) {
+        const next = (i + 1) % count;
+        const gap = next === 0 ? this.path.getLength() - this.points[i].distance : this.points[next].distance - this.points[i].distance;
+        speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[next] * speeds[next] + 2 * deceleration * gap));
+      }
+    }
+    this.points.forEach((point, i) => {
+      point.speed = speeds[i];
+    });
+  }
+
+  // Line point, offset and target speed at a centerline distance (wraps around)
+  getPointAtDistance(distance) {
+    const length = this.path.getLength();
+    const d = ((distance % length) + length) % length;
+    const count = this.points.length;
+
+    let i = 0;
+    while (i < count - 1 && this.points[i + 1].distance <= d) i++;
+    const a = this.points[i];
+    const b = this.points[(i + 1) % count];
+    const end = i === count - 1 ? length : b.distance;
+    const t = (d - a.distance) / ((end - a.distance) || 1);
+
+    const center = this.path.getPointAtDistance(d);
+    const offset = a.offset + (b.offset - a.offset) * t;
+    return {
+      x: center.x + center.normal.x * offset,
+      z: center.z + center.normal.z * offset,
+      offset,
+      normal: center.normal,
+      halfWidth: center.width / 2,
+      speed: a.speed + (b.speed - a.speed) * t,
+    };
+  }
+}
@@ -0,0 +1,322 @@
+import { RaceTrack } from '../sim/RaceTrack.js';
+import { COLORS, SURFACES, PROPS, RACE_CONFIG, CAR_CONFIG } from '../utils/constants.js';
+import { toDefinition } from './drafts.js';
+
+const GRID_SPACING = 10; // m
+const HANDLE_RADIUS = 6; // px
+
+// Top-down 2D drawing of a draft for the track editor, with its own pan and zoom.
+// World +X is screen right and world +Z is screen up, which is how the track
+// looks from above in Babylon's left-handed coordinates.
+export class EditorCanvas {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.center = { x: 0, z: 0 };
+    this.scale = 4; // px per metre
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = this.canvas.clientWidth * ratio;
+    this.canvas.height = this.canvas.clientHeight * ratio;
+    this.ratio = ratio;
+  }
+
+  // === VIEW ===
+
+  toScreen(x, z) {
+    return {
+      x: (x - this.center.x) * this.scale + this.canvas.clientWidth / 2,
+      y: this.canvas.clientHeight / 2 - (z - this.center.z) * this.scale,
+    };
+  }
+
+  toWorld(screenX, screenY) {
+    return {
+      x: (screenX - this.canvas.clientWidth / 2) / this.scale + this.center.x,
+      z: (this.canvas.clientHeight / 2 - screenY) / this.scale + this.center.z,
+    };
+  }
+
+  pan(dx, dy) {
+    this.center.x -= dx / this.scale;
+    this.center.z += dy / this.scale;
+  }
+
+  // Zooms keeping the world point under the cursor where it is
+  zoomAt(screenX, screenY, factor) {
+    const before = this.toWorld(screenX, screenY);
+    this.scale = Math.max(0.5, Math.min(40, this.scale * factor));
+    const after = this.toWorld(screenX, screenY);
+    this.center.x += before.x - after.x;
+    this.center.z += before.z - after.z;
+  }
+
+  fit(draft) {
+    const { minX, maxX, minZ, maxZ } = new RaceTrack(toDefinition(draft)).getPath().getBounds();
+    this.center = { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 };
+    const margin = 40; // px
+    this.scale = Math.max(0.5, Math.min(
+      (this.canvas.clientWidth - margin * 2) / (maxX - minX),
+      (this.canvas.clientHeight - margin * 2) / (maxZ - minZ)
+    ));
+  }
+
+  // === DRAWING ===
+
+  // selection: { kind, index } of the highlighted item, or null
+  draw(draft, selection) {
+    const { ctx } = this;
+    if (!ctx) return;
+
+    ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+    ctx.fillStyle = '#2E5E2E';
+    ctx.fillRect(0, 0, this.canvas.clientWidth, this.canvas.clientHeight);
+    this.drawGrid();
+
+    let track;
+    try {
+      track = new RaceTrack(toDefinition(draft));
+    } catch (e) {
+      return; // Not enough points to make a track; the panel says why
+    }
+    const samples = track.getPath().getSamples();
+
+    // Runoff, then asphalt, then zones on top
+    this.fillBand(samples, 'wallLeft', 'wallRight', COLORS.grass);
+    this.fillBand(samples, 'left', 'right', COLORS.track);
+    this.drawSurfaces(draft, track);
+    this.strokeLoop(samples.map((s) => s.wallLeft), COLORS.wall, 2);
+    this.strokeLoop(samples.map((s) => s.wallRight), COLORS.wall, 2);
+    ctx.setLineDash([6, 6]);
+    this.strokeLoop(samples, 'rgba(255, 255, 255, 0.5)', 1);
+    ctx.setLineDash([]);
+
+    this.drawStartGrid(track, selection);
+    this.drawGates(draft, selection);
+    this.drawProps(draft, selection);
+    this.drawPoints(draft, selection);
+  }
+
+  drawGrid() {
+    const { ctx } = this;
+    const topLeft = this.toWorld(0, 0);
+    const bottomRight = this.toWorld(this.canvas.clientWidth, this.canvas.clientHeight);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = Math.ceil(topLeft.x / GRID_SPACING) * GRID_SPACING; x <= bottomRight.x; x += GRID_SPACING) {
+      const { x: sx } = this.toScreen(x, 0);
+      ctx.moveTo(sx, 0);
+      ctx.lineTo(sx, this.canvas.clientHeight);
+    }
+    for (let z = Math.ceil(bottomRight.z / GRID_SPACING) * GRID_SPACING; z <= topLeft.z; z += GRID_SPACING) {
+      const { y: sy } = this.toScreen(0, z);
+      ctx.moveTo(0, sy);
+      ctx.lineTo(this.canvas.clientWidth, sy);
+    }
+    ctx.stroke();
+  }
+
+  // Ring between two closed edge lines of the samples
+  fillBand(samples, leftKey, rightKey, color) {
+    const { ctx } = this;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    [leftKey, rightKey].forEach((key) => {
+      samples.forEach((sample, i) => {
+        const p = this.toScreen(sample[key].x, sample[key].z);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.closePath();
+    });
+    ctx.fill('evenodd');
+  }
+
+  strokeLoop(points, color, width) {
+    const { ctx } = this;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      const p = this.toScreen(point.x, point.z);
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  // Same zone shapes as Track.buildSurfaceZones
+  drawSurfaces(draft, track) {
+    const { ctx } = this;
+    const path = track.getPath();
+    const length = path.getLength();
+
+    draft.surfaces.forEach((zone) => {
+      const surface = SURFACES[zone.type];
+      if (!surface) return;
+
+      const [minLateral, maxLateral] = zone.lateral || [-1, 1];
+      const start = zone.from * length;
+      const span = zone.to >= zone.from ? (zone.to - zone.from) * length : (1 - zone.from + zone.to) * length;
+      const steps = Math.max(1, Math.ceil(span / 2));
+      const left = [];
+      const right = [];
+      for (let i = 0; i <= steps; i++) {
+        const point = path.getPointAtDistance(start + (i / steps) * span);
+        const half = point.width / 2;
+        left.push(this.toScreen(point.x + point.normal.x * half * minLateral, point.z + point.normal.z * half * minLateral));
+        right.push(this.toScreen(point.x + point.normal.x * half * maxLateral, point.z + point.normal.z * half * maxLateral));
+      }
+
+      ctx.fillStyle = surface.color;
+      ctx.beginPath();
+      [...left, ...right.reverse()].forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.fill();
+    });
+  }
+
+  drawStartGrid(track, selection) {
+    const { ctx } = this;
+    const rotation = track.getStartRotation();
+    for (let slot = 0; slot < RACE_CONFIG.maxKarts; slot++) {
+      const position = track.getStartPosition(slot, RACE_CONFIG.maxKarts);
+      const p = this.toScreen(position.x, position.z);
+      ctx.save();
+      ctx.translate(p.x, p.y);
+      // Kart-sized box pointing up the screen, turned to the start heading
+      ctx.rotate(rotation);
+      ctx.fillStyle = COLORS[`player${slot + 1}`];
+      const width = CAR_CONFIG.width * this.scale;
+      const length = CAR_CONFIG.length * this.scale;
+      ctx.fillRect(-width / 2, -length / 2, width, length);
+      ctx.restore();
+    }
+
+    const start = track.getStartPoint();
+    this.drawHandle(start.x, start.z, '#FFFFFF', selection && selection.kind === 'start', true);
+  }
+
+  drawGates(draft, selection) {
+    const { ctx } = this;
+    draft.checkpoints.forEach((gate, index) => {
+      const a = this.toScreen(gate.a.x, gate.a.z);
+      const b = this.toScreen(gate.b.x, gate.b.z);
+      const selected = selection && selection.kind === 'gate' && selection.index === index;
+
+      ctx.strokeStyle = index === 0 ? COLORS.checkpoint : '#FFFF00';
+      ctx.lineWidth = selected ? 4 : 2;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+
+      ctx.fillStyle = 'white';
+      ctx.font = '12px sans-serif';
+      ctx.fillText(index === 0 ? 'START' : String(index), b.x + 6, b.y);
+
+      // The start/finish gate follows the start line, so only the others have handles
+      if (index > 0) {
+        this.drawHandle(gate.a.x, gate.a.z, '#FFFF00', selected);
+        this.drawHandle(gate.b.x, gate.b.z, '#FFFF00', selected);
+      }
+    });
+  }
+
+  drawProps(draft, selection) {
+    const { ctx } = this;
+    draft.props.forEach((prop, index) => {
+      const config = PROPS[prop.type];
+      if (!config) return;
+
+      const p = this.toScreen(prop.x, prop.z);
+      const radius = Math.max(3, config.radius * (prop.scale || 1) * this.scale);
+      ctx.fillStyle = config.color;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      if (selection && selection.kind === 'prop' && selection.index === index) {
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    });
+  }
+
+  drawPoints(draft, selection) {
+    draft.centerline.forEach((point, index) => {
+      const selected = selection && selection.kind === 'point' && selection.index === index;
+      // Points with their own width stand out
+      this.drawHandle(point.x, point.z, point.width !== undefined ? '#90CAF9' : '#2196F3', selected);
+    });
+  }
+
+  drawHandle(x, z, color, selected, square = false) {
+    const { ctx } = this;
+    const p = this.toScreen(x, z);
+    const size = selected ? HANDLE_RADIUS + 2 : HANDLE_RADIUS;
+    ctx.fillStyle = color;
+    ctx.strokeStyle = selected ? 'white' : 'rgba(0, 0, 0, 0.6)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (square) {
+      ctx.rect(p.x - size, p.y - size, size * 2, size * 2);
+    } else {
+      ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // === HIT TESTING ===
+
+  // Topmost item under a screen point: { kind, index, end? } or null.
+  // Handles win over props, props over gate lines.
+  hitTest(draft, screenX, screenY) {
+    const near = (x, z, radius = HANDLE_RADIUS + 3) => {
+      const p = this.toScreen(x, z);
+      return Math.hypot(p.x - screenX, p.y - screenY) <= radius;
+    };
+
+    for (let i = draft.checkpoints.length - 1; i > 0; i--) {
+      const gate = draft.checkpoints[i];
+      if (near(gate.a.x, gate.a.z)) return { kind: 'gate', index: i, end: 'a' };
+      if (near(gate.b.x, gate.b.z)) return { kind: 'gate', index: i, end: 'b' };
+    }
+    for (let i = draft.centerline.length - 1; i >= 0; i--) {
+      if (near(draft.centerline[i].x, draft.centerline[i].z)) return { kind: 'point', index: i };
+    }
+
+    let start = null;
+    try {
+      start = new RaceTrack(toDefinition(draft)).getStartPoint();
+    } catch (e) {
+      // No track yet
+    }
+    if (start && near(start.x, start.z)) return { kind: 'start', index: 0 };
+
+    for (let i = draft.props.length - 1; i >= 0; i--) {
+      const prop = draft.props[i];
+      const radius = Math.max(HANDLE_RADIUS, (PROPS[prop.type]?.radius || 1) * (prop.scale || 1) * this.scale);
+      if (near(prop.x, prop.z, radius)) return { kind: 'prop', index: i };
+    }
+
+    // Anywhere along a gate line grabs the whole gate
+    const world = this.toWorld(screenX, screenY);
+    const tolerance = (HANDLE_RADIUS + 3) / this.scale;
+    for (let i = draft.checkpoints.length - 1; i > 0; i--) {
+      const { a, b } = draft.checkpoints[i];
+      const abx = b.x - a.x;
+      const abz = b.z - a.z;
+      const t = Math.max(0, Math.min(1, ((world.x - a.x) * abx + (world.z - a.z) * abz) / (abx * abx + abz * abz || 1)));
+      if (Math.hypot(world.x - (a.x + abx * t), world.z - (a.z + abz * t)) <= tolerance) {
+        return { kind: 'gate', index: i, end: null };
+      }
+    }
+    return null;
+  }
+}
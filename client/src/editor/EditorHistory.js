@@ -0,0 +1,39 @@
+// Undo / redo for the track editor, as whole-draft snapshots. Drafts are a few
+// dozen points, so copying the lot is simpler than recording each kind of edit.
+export class EditorHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Call with the draft as it is, just before changing it
+  record(draft) {
+    this.undoStack.push(JSON.stringify(draft));
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  // Returns the previous draft, or null when there's nothing to undo
+  undo(current) {
+    if (!this.canUndo()) return null;
+    this.redoStack.push(JSON.stringify(current));
+    return JSON.parse(this.undoStack.pop());
+  }
+
+  redo(current) {
+    if (!this.canRedo()) return null;
+    this.undoStack.push(JSON.stringify(current));
+    return JSON.parse(this.redoStack.pop());
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+}
@@ -0,0 +1,642 @@
+import { TRACKS } from '../tracks/definitions/index.js';
+import { RaceTrack } from '../sim/RaceTrack.js';
+import { exportTrack } from '../tracks/trackFormat.js';
+import { PROPS } from '../utils/constants.js';
+import { addToolbarButton } from '../ui/toolbar.js';
+import { EditorCanvas } from './EditorCanvas.js';
+import { EditorHistory } from './EditorHistory.js';
+import {
+  createDraft,
+  createBlankDraft,
+  loadDraft,
+  saveDraft,
+  validateDraft,
+  toDefinition,
+  placeStartGate,
+  sortGates,
+  addGate,
+  insertPoint,
+  lapFractionAt,
+} from './drafts.js';
+
+const TOOLS = {
+  select: 'Select',
+  point: 'Add point',
+  gate: 'Add gate',
+  prop: 'Add prop',
+};
+
+// Number fields of the track itself: [key, label, min, max]
+const TRACK_FIELDS = [
+  ['width', 'Width', 4, 60],
+  ['runoff', 'Runoff', 0, 20],
+  ['wallHeight', 'Wall height', 0.5, 10],
+  ['laps', 'Laps', 1, 20],
+];
+
+let stylesInjected = false;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Track editor (?editor): a top-down view of the draft track with a side panel.
+// Select drags centerline points, gates (by an end or the whole line), the start
+// line and props, and pans on empty ground; the other tools add points, gates and
+// props where you click. Scrolling zooms, or over a point changes its width.
+// Every change can be undone and is saved in the browser as you go.
+//   onTestDrive(definition): race the draft now
+//   onOpen() / onClose():    the editor was brought up over the game / put away
+export class TrackEditor {
+  constructor({ onTestDrive, onOpen = null, onClose = null }) {
+    this.onTestDrive = onTestDrive;
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+    this.draft = loadDraft() || createDraft(TRACKS.oval);
+    this.history = new EditorHistory();
+    this.tool = 'select';
+    this.propType = Object.keys(PROPS)[0];
+    this.selection = null; // { kind: 'point' | 'gate' | 'start' | 'prop', index, end? }
+    this.drag = null;
+    this.fitted = false;
+
+    this.injectStyles();
+    this.createPanel();
+    this.view = new EditorCanvas(this.canvasEl);
+    this.bindCanvas();
+
+    this.handleResize = () => {
+      if (this.isOpen()) this.resize();
+    };
+    this.handleKeyDown = (e) => this.onKeyDown(e);
+    window.addEventListener('resize', this.handleResize);
+    window.addEventListener('keydown', this.handleKeyDown);
+    this.toolbarButton = addToolbarButton('EDITOR', () => (this.isOpen() ? this.close() : this.open()));
+  }
+
+  createPanel() {
+    this.container = document.createElement('div');
+    this.container.className = 'track-editor hidden';
+    this.container.innerHTML = `
+      <div class="editor-panel">
+        <div class="editor-title">TRACK EDITOR</div>
+        <div class="editor-tools">
+          ${Object.entries(TOOLS).map(([tool, label]) => `<button data-tool="${tool}">${label}</button>`).join('')}
+        </div>
+        <label class="editor-field editor-prop-type">Prop
+          <select>${Object.keys(PROPS).map((type) => `<option value="${type}">${type}</option>`).join('')}</select>
+        </label>
+        <div class="editor-section editor-selection"></div>
+        <div class="editor-section">
+          <label class="editor-field">Id <input data-track="id"></label>
+          <label class="editor-field">Name <input data-track="name"></label>
+          ${TRACK_FIELDS.map(([key, label, min, max]) => `
+            <label class="editor-field">${label} <input type="number" data-track="${key}" min="${min}" max="${max}" step="any"></label>
+          `).join('')}
+          <div class="editor-field">Start from
+            <select class="editor-template">
+              <option value="">Blank circle</option>
+              ${Object.values(TRACKS).map((track) => `<option value="${track.id}">${track.name}</option>`).join('')}
+            </select>
+            <button class="editor-load">Load</button>
+          </div>
+        </div>
+        <div class="editor-actions">
+          <button class="editor-undo">Undo</button>
+          <button class="editor-redo">Redo</button>
+          <button class="editor-fit">Fit</button>
+          <button class="editor-export">Export</button>
+          <button class="editor-drive">Test drive</button>
+        </div>
+        <div class="editor-message"></div>
+      </div>
+      <canvas class="editor-canvas"></canvas>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.canvasEl = this.container.querySelector('.editor-canvas');
+    this.selectionEl = this.container.querySelector('.editor-selection');
+    this.propTypeEl = this.container.querySelector('.editor-prop-type');
+    this.undoEl = this.container.querySelector('.editor-undo');
+    this.redoEl = this.container.querySelector('.editor-redo');
+    this.messageEl = this.container.querySelector('.editor-message');
+
+    this.container.querySelectorAll('[data-tool]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.tool = button.dataset.tool;
+        this.renderPanel();
+      });
+    });
+    this.propTypeEl.querySelector('select').addEventListener('change', (e) => {
+      this.propType = e.target.value;
+    });
+
+    this.container.querySelectorAll('[data-track]').forEach((input) => {
+      input.addEventListener('change', () => this.setTrackField(input.dataset.track, input));
+    });
+    this.container.querySelector('.editor-load').addEventListener('click', () => {
+      const id = this.container.querySelector('.editor-template').value;
+      this.replaceDraft(id ? createDraft(TRACKS[id]) : createBlankDraft());
+    });
+
+    this.undoEl.addEventListener('click', () => this.undo());
+    this.redoEl.addEventListener('click', () => this.redo());
+    this.container.querySelector('.editor-fit').addEventListener('click', () => {
+      this.view.fit(this.draft);
+      this.draw();
+    });
+    this.container.querySelector('.editor-export').addEventListener('click', () => this.exportDraft());
+    this.container.querySelector('.editor-drive').addEventListener('click', () => this.testDrive());
+  }
+
+  bindCanvas() {
+    this.canvasEl.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvasEl.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvasEl.addEventListener('pointerup', () => this.onPointerUp());
+    this.canvasEl.addEventListener('pointercancel', () => this.onPointerUp());
+    this.canvasEl.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+  }
+
+  // === EDITING ===
+
+  // Every discrete edit goes through here so it can be undone
+  change(mutate) {
+    this.history.record(this.draft);
+    const result = mutate(this.draft);
+    this.commit();
+    return result;
+  }
+
+  // Keeps the start/finish gate on the start line, saves and redraws
+  commit() {
+    placeStartGate(this.draft);
+    saveDraft(this.draft);
+    this.render();
+  }
+
+  replaceDraft(draft) {
+    this.history.record(this.draft);
+    this.draft = draft;
+    this.selection = null;
+    this.commit();
+    this.view.fit(this.draft);
+    this.draw();
+  }
+
+  undo() {
+    this.restore(this.history.undo(this.draft));
+  }
+
+  redo() {
+    this.restore(this.history.redo(this.draft));
+  }
+
+  restore(draft) {
+    if (!draft) return;
+    this.draft = draft;
+    this.selection = null;
+    saveDraft(this.draft);
+    this.render();
+  }
+
+  setTrackField(key, input) {
+    if (input.type === 'number') {
+      const value = Number(input.value);
+      if (!Number.isFinite(value) || value < Number(input.min) || value > Number(input.max)) {
+        this.showMessage(`${key} must be between ${input.min} and ${input.max}.`);
+        this.renderPanel();
+        return;
+      }
+      this.change((draft) => {
+        draft[key] = key === 'laps' ? Math.round(value) : value;
+      });
+    } else {
+      this.change((draft) => {
+        draft[key] = input.value.trim();
+      });
+    }
+  }
+
+  select(selection) {
+    this.selection = selection;
+    this.renderPanel();
+  }
+
+  deleteSelection() {
+    const { selection, draft } = this;
+    if (!selection) return;
+
+    if (selection.kind === 'point') {
+      if (draft.centerline.length <= 3) {
+        this.showMessage('A track needs at least 3 points.');
+        return;
+      }
+      this.change((d) => d.centerline.splice(selection.index, 1));
+    } else if (selection.kind === 'gate' && selection.index > 0) {
+      this.change((d) => d.checkpoints.splice(selection.index, 1));
+    } else if (selection.kind === 'prop') {
+      this.change((d) => d.props.splice(selection.index, 1));
+    } else {
+      return;
+    }
+    this.select(null);
+  }
+
+  // === POINTER ===
+
+  getPointer(e) {
+    const rect = this.canvasEl.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  onPointerDown(e) {
+    const screen = this.getPointer(e);
+    const world = this.view.toWorld(screen.x, screen.y);
+    if (this.canvasEl.setPointerCapture) this.canvasEl.setPointerCapture(e.pointerId);
+
+    // Any button but the left one always pans
+    if (e.button !== 0) {
+      this.drag = { mode: 'pan', last: screen };
+      return;
+    }
+
+    if (this.tool === 'point') {
+      const index = this.change((draft) => insertPoint(draft, world.x, world.z));
+      this.startItemDrag({ kind: 'point', index }, world);
+    } else if (this.tool === 'gate') {
+      const track = new RaceTrack(toDefinition(this.draft));
+      if (!track.isInsideWalls(world)) {
+        this.showMessage('Gates go across the track: click between the walls.');
+        return;
+      }
+      const index = this.change((draft) => addGate(draft, world.x, world.z));
+      this.select({ kind: 'gate', index, end: null });
+    } else if (this.tool === 'prop') {
+      const index = this.change((draft) => draft.props.push({ type: this.propType, x: round(world.x), z: round(world.z) }) - 1);
+      this.startItemDrag({ kind: 'prop', index }, world);
+    } else {
+      const hit = this.view.hitTest(this.draft, screen.x, screen.y);
+      if (hit) {
+        this.startItemDrag(hit, world);
+      } else {
+        this.select(null);
+        this.drag = { mode: 'pan', last: screen };
+      }
+    }
+  }
+
+  startItemDrag(hit, world) {
+    this.select(hit);
+    this.drag = { mode: 'item', hit, last: world, moved: false };
+  }
+
+  onPointerMove(e) {
+    if (!this.drag) return;
+    const screen = this.getPointer(e);
+
+    if (this.drag.mode === 'pan') {
+      this.view.pan(screen.x - this.drag.last.x, screen.y - this.drag.last.y);
+      this.drag.last = screen;
+      this.draw();
+      return;
+    }
+
+    // One undo step per drag, taken when it first moves
+    const world = this.view.toWorld(screen.x, screen.y);
+    if (!this.drag.moved) {
+      this.history.record(this.draft);
+      this.drag.moved = true;
+    }
+    this.moveItem(this.drag.hit, world, { x: world.x - this.drag.last.x, z: world.z - this.drag.last.z });
+    this.drag.last = world;
+    placeStartGate(this.draft);
+    this.draw();
+  }
+
+  moveItem({ kind, index, end }, world, delta) {
+    const { draft } = this;
+    if (kind === 'point' || kind === 'prop') {
+      const item = kind === 'point' ? draft.centerline[index] : draft.props[index];
+      item.x = round(world.x);
+      item.z = round(world.z);
+    } else if (kind === 'start') {
+      draft.start = lapFractionAt(draft, world.x, world.z);
+    } else if (kind === 'gate' && end) {
+      draft.checkpoints[index][end] = { x: round(world.x), z: round(world.z) };
+    } else if (kind === 'gate') {
+      const gate = draft.checkpoints[index];
+      gate.a = { x: round(gate.a.x + delta.x), z: round(gate.a.z + delta.z) };
+      gate.b = { x: round(gate.b.x + delta.x), z: round(gate.b.z + delta.z) };
+    }
+  }
+
+  onPointerUp() {
+    const { drag } = this;
+    this.drag = null;
+    if (!drag || drag.mode !== 'item' || !drag.moved) return;
+
+    // A gate dragged past another (or points reshaping the lap) can change the order
+    if (drag.hit.kind === 'gate' || drag.hit.kind === 'point') {
+      const gate = drag.hit.kind === 'gate' ? this.draft.checkpoints[drag.hit.index] : null;
+      sortGates(this.draft);
+      if (gate) this.selection = { ...drag.hit, index: this.draft.checkpoints.indexOf(gate) };
+    }
+    this.commit();
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    const screen = this.getPointer(e);
+    const hit = this.view.hitTest(this.draft, screen.x, screen.y);
+    const up = e.deltaY < 0;
+
+    if (hit && hit.kind === 'point') {
+      this.change((draft) => {
+        const point = draft.centerline[hit.index];
+        point.width = Math.max(4, Math.min(60, (point.width ?? draft.width) + (up ? 1 : -1)));
+      });
+      return;
+    }
+    this.view.zoomAt(screen.x, screen.y, up ? 1.1 : 1 / 1.1);
+    this.draw();
+  }
+
+  onKeyDown(e) {
+    if (!this.isOpen()) return;
+    // Typing in the panel's fields keeps its usual keys
+    if (['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.code === 'KeyZ') {
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    } else if (mod && e.code === 'KeyY') {
+      this.redo();
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+      this.deleteSelection();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  // === PANEL ===
+
+  render() {
+    this.renderPanel();
+    this.draw();
+  }
+
+  draw() {
+    this.view.draw(this.draft, this.selection);
+  }
+
+  renderPanel() {
+    this.container.querySelectorAll('[data-tool]').forEach((button) => {
+      button.classList.toggle('active', button.dataset.tool === this.tool);
+    });
+    this.propTypeEl.classList.toggle('hidden', this.tool !== 'prop');
+
+    this.container.querySelectorAll('[data-track]').forEach((input) => {
+      if (document.activeElement !== input) input.value = this.draft[input.dataset.track];
+    });
+    this.undoEl.disabled = !this.history.canUndo();
+    this.redoEl.disabled = !this.history.canRedo();
+    this.renderSelection();
+  }
+
+  renderSelection() {
+    const { selection, draft } = this;
+    const el = this.selectionEl;
+
+    if (!selection) {
+      el.innerHTML = `<div class="editor-hint">Click a point, gate, prop or the start line to edit it.
+        Drag empty ground to pan, scroll to zoom. Scroll over a point to change its width.</div>`;
+      return;
+    }
+
+    if (selection.kind === 'point') {
+      const point = draft.centerline[selection.index];
+      el.innerHTML = `
+        <div class="editor-subtitle">Point ${selection.index + 1}</div>
+        <label class="editor-field">Width <input type="number" min="4" max="60" step="any" placeholder="${draft.width}"></label>
+        <button class="editor-delete">Delete</button>
+      `;
+      const input = el.querySelector('input');
+      input.value = point.width ?? '';
+      input.addEventListener('change', () => {
+        const value = Number(input.value);
+        this.change((d) => {
+          // Empty goes back to the track's width
+          if (input.value === '' || !(value >= 4 && value <= 60)) delete d.centerline[selection.index].width;
+          else d.centerline[selection.index].width = value;
+        });
+      });
+    } else if (selection.kind === 'gate') {
+      el.innerHTML = selection.index === 0
+        ? '<div class="editor-subtitle">Start / finish gate</div><div class="editor-hint">Follows the start line.</div>'
+        : `<div class="editor-subtitle">Gate ${selection.index}</div><button class="editor-delete">Delete</button>`;
+    } else if (selection.kind === 'start') {
+      el.innerHTML = `
+        <div class="editor-subtitle">Start line</div>
+        <div class="editor-hint">${Math.round(draft.start * 100)}% round the lap. Drag it along the track; the grid and the start/finish gate follow.</div>
+      `;
+    } else if (selection.kind === 'prop') {
+      const prop = draft.props[selection.index];
+      el.innerHTML = `
+        <div class="editor-subtitle">Prop</div>
+        <label class="editor-field">Type <select>${Object.keys(PROPS).map((type) => `<option value="${type}">${type}</option>`).join('')}</select></label>
+        <label class="editor-field">Rotation <input type="number" data-prop="rotation" step="15"></label>
+        <label class="editor-field">Scale <input type="number" data-prop="scale" min="0.2" max="5" step="0.1"></label>
+        <button class="editor-delete">Delete</button>
+      `;
+      const typeEl = el.querySelector('select');
+      typeEl.value = prop.type;
+      typeEl.addEventListener('change', () => this.change((d) => {
+        d.props[selection.index].type = typeEl.value;
+      }));
+      // Rotation is edited in degrees, stored in radians
+      const rotationEl = el.querySelector('[data-prop="rotation"]');
+      rotationEl.value = Math.round(((prop.rotation || 0) * 180) / Math.PI);
+      rotationEl.addEventListener('change', () => this.change((d) => {
+        d.props[selection.index].rotation = round(((Number(rotationEl.value) || 0) * Math.PI) / 180);
+      }));
+      const scaleEl = el.querySelector('[data-prop="scale"]');
+      scaleEl.value = prop.scale || 1;
+      scaleEl.addEventListener('change', () => this.change((d) => {
+        d.props[selection.index].scale = Math.max(0.2, Math.min(5, Number(scaleEl.value) || 1));
+      }));
+    }
+
+    const deleteEl = el.querySelector('.editor-delete');
+    if (deleteEl) deleteEl.addEventListener('click', () => this.deleteSelection());
+  }
+
+  showMessage(text) {
+    this.messageEl.textContent = text;
+  }
+
+  // === OPEN / CLOSE ===
+
+  testDrive() {
+    const problems = validateDraft(this.draft);
+    if (problems.length > 0) {
+      this.showMessage(problems.join('\n'));
+      return;
+    }
+    this.showMessage('');
+    this.close();
+    this.onTestDrive(toDefinition(this.draft));
+  }
+
+  exportDraft() {
+    const problems = validateDraft(this.draft);
+    if (problems.length > 0) {
+      this.showMessage(problems.join('\n'));
+      return;
+    }
+    this.showMessage('');
+    exportTrack(toDefinition(this.draft));
+  }
+
+  // Draft as a definition for the game to start on
+  getDefinition() {
+    return toDefinition(this.draft);
+  }
+
+  open() {
+    this.container.classList.remove('hidden');
+    this.resize();
+    if (!this.fitted) {
+      this.view.fit(this.draft);
+      this.fitted = true;
+    }
+    this.render();
+    if (this.onOpen) this.onOpen();
+  }
+
+  close() {
+    this.container.classList.add('hidden');
+    this.drag = null;
+    if (this.onClose) this.onClose();
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  resize() {
+    this.view.resize();
+    this.draw();
+  }
+
+  // The draft stays saved for next time
+  dispose() {
+    window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.toolbarButton.remove();
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .track-editor {
+        position: absolute;
+        inset: 0;
+        z-index: 120;
+        display: flex;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .track-editor.hidden,
+      .track-editor .hidden {
+        display: none;
+      }
+      .editor-panel {
+        width: 260px;
+        flex-shrink: 0;
+        overflow-y: auto;
+        padding: 16px;
+        background: rgba(0, 0, 0, 0.9);
+        font-size: 13px;
+      }
+      .editor-canvas {
+        flex: 1;
+        min-width: 0;
+        height: 100%;
+        cursor: crosshair;
+        touch-action: none;
+      }
+      .editor-title {
+        font-size: 20px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 12px;
+      }
+      .editor-subtitle {
+        font-weight: bold;
+        margin-bottom: 6px;
+      }
+      .editor-tools,
+      .editor-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-bottom: 12px;
+      }
+      .editor-section {
+        padding: 10px 0;
+        border-top: 1px solid #333;
+      }
+      .editor-field {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-bottom: 6px;
+        color: #aaa;
+      }
+      .track-editor input,
+      .track-editor select {
+        width: 120px;
+        padding: 4px 6px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        background: #222;
+        color: white;
+      }
+      .track-editor button {
+        padding: 5px 10px;
+        border: none;
+        border-radius: 5px;
+        background: #444;
+        color: white;
+        font-size: 12px;
+        cursor: pointer;
+      }
+      .track-editor button.active,
+      .track-editor .editor-drive {
+        background: #2196F3;
+      }
+      .track-editor button:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+      .editor-hint {
+        color: #888;
+        line-height: 1.4;
+      }
+      .editor-message {
+        color: #FF5252;
+        white-space: pre-line;
+        min-height: 18px;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,130 @@
+// Track editor drafts. A draft is a track file (see tracks/trackFormat.js) that's
+// being edited: plain data, saved to localStorage as it changes and exported as
+// JSON to load in the game or drop into tracks/definitions/.
+//
+// The first checkpoint is always the start/finish line: the editor keeps it
+// across the track at `start` and keeps the other gates in lap order.
+import { RaceTrack } from '../sim/RaceTrack.js';
+import { TRACK_FORMAT, TRACK_VERSION, validateTrack, migrateTrack } from '../tracks/trackFormat.js';
+
+const STORAGE_KEY = 'kart-racer.editor-draft';
+const GATE_OVERHANG = 1; // Gates reach this far past the walls so karts can't slip by
+
+const TRACK_DEFAULTS = {
+  width: 14,
+  runoff: 2,
+  wallHeight: 2,
+  laps: 3,
+  start: 0,
+};
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Editable copy of a definition, with every optional field filled in
+export function createDraft(definition) {
+  const draft = JSON.parse(JSON.stringify({ ...TRACK_DEFAULTS, ...definition }));
+  draft.checkpoints = draft.checkpoints || [];
+  draft.surfaces = draft.surfaces || [];
+  draft.props = draft.props || [];
+  placeStartGate(draft);
+  return draft;
+}
+
+// A small circle to start from scratch
+export function createBlankDraft() {
+  const centerline = Array.from({ length: 8 }, (_, i) => {
+    const angle = (i / 8) * Math.PI * 2;
+    return { x: round(Math.cos(angle) * 40), z: round(Math.sin(angle) * 40) };
+  });
+  return createDraft({ id: 'custom', name: 'Custom Track', centerline });
+}
+
+export function loadDraft() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? createDraft(migrateTrack(JSON.parse(raw))) : null;
+  } catch (e) {
+    console.warn('Ignoring unreadable editor draft', e);
+    return null;
+  }
+}
+
+export function saveDraft(draft) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+  } catch (e) {
+    console.warn('Could not save editor draft', e);
+  }
+}
+
+// Problems that would stop the draft being raced, as messages for the player
+export function validateDraft(draft) {
+  return validateTrack(toDefinition(draft));
+}
+
+// The draft as a track file, which Track and RaceTrack can use
+export function toDefinition(draft) {
+  return { ...JSON.parse(JSON.stringify(draft)), format: TRACK_FORMAT, version: TRACK_VERSION };
+}
+
+// Re-centres the start/finish gate on the start line
+export function placeStartGate(draft) {
+  if (draft.centerline.length < 3) return;
+
+  const track = new RaceTrack(toDefinition(draft));
+  draft.checkpoints[0] = gateAcross(track.getStartPoint());
+}
+
+function gateAcross(point) {
+  const half = point.wallOffset + GATE_OVERHANG;
+  return {
+    a: { x: round(point.x - point.normal.x * half), z: round(point.z - point.normal.z * half) },
+    b: { x: round(point.x + point.normal.x * half), z: round(point.z + point.normal.z * half) },
+  };
+}
+
+// Distance along the lap from the start line to a gate's middle
+function gateDistance(track, gate) {
+  const length = track.getPath().getLength();
+  const { distance } = track.getPath().project((gate.a.x + gate.b.x) / 2, (gate.a.z + gate.b.z) / 2);
+  return (distance - track.getStartDistance() + length) % length;
+}
+
+// Puts the gates after the start/finish line back in the order a lap crosses them
+export function sortGates(draft) {
+  const track = new RaceTrack(toDefinition(draft));
+  const [startGate, ...rest] = draft.checkpoints;
+  rest.sort((a, b) => gateDistance(track, a) - gateDistance(track, b));
+  draft.checkpoints = [startGate, ...rest];
+}
+
+// New gate across the track at the point nearest (x, z); returns its index
+export function addGate(draft, x, z) {
+  const track = new RaceTrack(toDefinition(draft));
+  const { distance } = track.getPath().project(x, z);
+  const gate = gateAcross(track.getPath().getPointAtDistance(distance));
+  draft.checkpoints.push(gate);
+  sortGates(draft);
+  return draft.checkpoints.indexOf(gate);
+}
+
+// New centerline point at (x, z), between the two points whose stretch of track
+// is nearest; returns its index
+export function insertPoint(draft, x, z) {
+  const track = new RaceTrack(toDefinition(draft));
+  const path = track.getPath();
+  const samplesPerSegment = path.getSamples().length / draft.centerline.length;
+  const { index } = path.project(x, z);
+  const at = Math.floor(index / samplesPerSegment) + 1;
+  draft.centerline.splice(at, 0, { x: round(x), z: round(z) });
+  return at;
+}
+
+// Where along the lap (0..1) the point on the centerline nearest (x, z) is
+export function lapFractionAt(draft, x, z) {
+  const path = new RaceTrack(toDefinition(draft)).getPath();
+  return round(path.project(x, z).distance / path.getLength(), 4);
+}
@@ -1,11 +1,20 @@
 import { Vector3, MeshBuilder, StandardMaterial, Color3 } from '@babylonjs/core';
-import { CAR_CONFIG } from '../utils/constants.js';
+import { CAR_CONFIG, PHYSICS_CONFIG } from '../utils/constants.js';
+import { RaycastVehicle } from '../physics/RaycastVehicle.js';
+import { Kart } from '../sim/Kart.js';
 
+// A kart on screen. In arcade mode the driving itself is a Kart from the
+// simulation package and this class only draws it; in physics mode Havok drives
+// the mesh through a RaycastVehicle instead.
 export class Car {
-  constructor(scene, color, startPosition, startRotation = 0) {
+  constructor(scene, color, startPosition, startRotation = 0, track = null) {
     this.scene = scene;
-    this.currentSpeed = 0;
-    this.rotation = startRotation;
+    this.kart = new Kart(track ? track.model : null, startPosition, startRotation);
+
+    // Last tick's transform; the mesh is drawn between it and the current one
+    // (see interpolate)
+    this.previousPosition = this.getPosition();
+    this.previousRotation = startRotation;
 
     // Main body is the root mesh (physics will be on this)
     this.mesh = MeshBuilder.CreateBox('carBody', {
@@ -13,8 +22,7 @@ export class Car {
       height: CAR_CONFIG.height,
       depth: CAR_CONFIG.length * 0.5,
     }, scene);
-    this.mesh.position = startPosition.clone();
-    this.mesh.position.y = CAR_CONFIG.height / 2 + 0.1;
+    this.mesh.position = this.getPosition();
     this.mesh.rotation.y = startRotation;
 
     const bodyMat = new StandardMaterial('bodyMat', scene);
@@ -64,9 +72,22 @@ export class Car {
 
     // Add wheels
     this.createWheels();
+    this.createShield();
+
+    // Physics mode hands the chassis to Havok; needs physics enabled on the scene first
+    this.vehicle = null;
+    if (CAR_CONFIG.mode === 'physics') {
+      if (scene.getPhysicsEngine()) {
+        this.mesh.position.y = PHYSICS_CONFIG.spawnHeight;
+        this.vehicle = new RaycastVehicle(scene, this.mesh, this.wheels);
+      } else {
+        console.warn('CAR_CONFIG.mode is "physics" but the scene has no physics engine; using arcade');
+      }
+    }
   }
 
   createWheels() {
+    this.wheels = [];
     const wheelPositions = [
       { x: -0.9, z: 1.2 },
       { x: 0.9, z: 1.2 },
@@ -91,91 +112,147 @@ export class Car {
       const mat = new StandardMaterial(`wheelMat${i}`, this.scene);
       mat.diffuseColor = Color3.FromHexString('#222222');
       wheel.material = mat;
+      this.wheels.push(wheel);
     });
   }
 
-  update(input, deltaTime) {
-    // === STEERING ===
-    // Q/E rotates the car - responsive turning even at low speeds
-    const minSpeedToTurn = 0.5;
-    if (Math.abs(this.currentSpeed) > minSpeedToTurn) {
-      // Q = left (negative rotation), E = right (positive rotation)
-      const turnDirection = (input.turnRight ? 1 : 0) - (input.turnLeft ? 1 : 0);
-      
-      // Full turn rate always - arcade style!
-      const turnRate = CAR_CONFIG.turnSpeed;
-      
-      // Reverse steering when going backwards
-      const reverseMultiplier = this.currentSpeed >= 0 ? 1 : -1;
-      
-      this.rotation += turnDirection * turnRate * reverseMultiplier * deltaTime;
-    }
+  // See-through bubble around the kart while a shield item is up
+  createShield() {
+    this.shield = MeshBuilder.CreateSphere('shield', { diameter: CAR_CONFIG.length * 1.3, segments: 12 }, this.scene);
+    this.shield.parent = this.mesh;
+    this.shield.isPickable = false;
 
-    // === ACCELERATION ===
-    if (input.accelerate) {
-      this.currentSpeed += CAR_CONFIG.acceleration * deltaTime;
-    } else if (input.brake) {
-      this.currentSpeed -= CAR_CONFIG.brakeForce * deltaTime;
-    } else {
-      // Natural deceleration (friction)
-      if (this.currentSpeed > 0) {
-        this.currentSpeed = Math.max(0, this.currentSpeed - CAR_CONFIG.deceleration * deltaTime);
-      } else if (this.currentSpeed < 0) {
-        this.currentSpeed = Math.min(0, this.currentSpeed + CAR_CONFIG.deceleration * deltaTime);
-      }
-    }
+    const mat = new StandardMaterial('shieldMat', this.scene);
+    mat.diffuseColor = Color3.FromHexString('#66CCFF');
+    mat.emissiveColor = Color3.FromHexString('#66CCFF').scale(0.5);
+    mat.alpha = 0.3;
+    this.shield.material = mat;
+    this.shield.isVisible = false;
+  }
 
-    // Clamp speed
-    const maxReverse = CAR_CONFIG.maxSpeed * 0.3;
-    this.currentSpeed = Math.max(-maxReverse, Math.min(CAR_CONFIG.maxSpeed, this.currentSpeed));
+  // Called at the start of every simulation tick, whether or not the kart is
+  // updated in it, so a parked kart doesn't keep interpolating from a stale spot
+  beginTick() {
+    const { x, y, z } = this.kart.position;
+    this.previousPosition.copyFromFloats(x, y, z);
+    this.previousRotation = this.kart.rotation;
+  }
 
-    // === MOVEMENT ===
-    // Calculate forward direction from our rotation
-    const forward = new Vector3(
-      Math.sin(this.rotation),
-      0,
-      Math.cos(this.rotation)
+  // Places the mesh `alpha` (0..1) of the way from the previous tick to the current one.
+  // The physics model moves its own mesh, so there is nothing to do there.
+  interpolate(alpha) {
+    if (this.vehicle) return;
+    const { position, rotation } = this.kart;
+    const from = this.previousPosition;
+    this.mesh.position.copyFromFloats(
+      from.x + (position.x - from.x) * alpha,
+      from.y + (position.y - from.y) * alpha,
+      from.z + (position.z - from.z) * alpha
     );
+    this.mesh.rotation.y = this.previousRotation + (rotation - this.previousRotation) * alpha;
+
+    // Blinks while immune after a respawn
+    this.setVisible(!this.kart.isImmune() || Math.floor(this.kart.immunity * 8) % 2 === 0);
+    this.shield.isVisible = this.mesh.isVisible && this.kart.isShielded();
+  }
+
+  setVisible(visible) {
+    if (this.mesh.isVisible === visible) return;
+    [this.mesh, ...this.mesh.getChildMeshes()].forEach((mesh) => {
+      mesh.isVisible = visible;
+    });
+  }
 
-    // Calculate new position
-    const moveAmount = forward.scale(this.currentSpeed * deltaTime);
-    const newPos = this.mesh.position.add(moveAmount);
-
-    // Simple oval track collision (keep car between inner and outer radius)
-    const distFromCenter = Math.sqrt(newPos.x * newPos.x + newPos.z * newPos.z);
-    const innerRadius = 25 + 2; // track inner + car buffer
-    const outerRadius = 45 - 2; // track outer - car buffer
-
-    if (distFromCenter >= innerRadius && distFromCenter <= outerRadius) {
-      // Within track bounds - allow movement
-      this.mesh.position = newPos;
-    } else {
-      // Hit wall - stop and push back slightly
-      this.currentSpeed *= -0.3; // Bounce back
-      
-      // Push car back into valid area
-      const angle = Math.atan2(this.mesh.position.x, this.mesh.position.z);
-      const clampedDist = Math.max(innerRadius + 1, Math.min(outerRadius - 1, distFromCenter));
-      this.mesh.position.x = Math.sin(angle) * clampedDist;
-      this.mesh.position.z = Math.cos(angle) * clampedDist;
+  // Online, other players' karts are placed from network snapshots instead of driven
+  placeAt({ x, y, z, rotation }) {
+    this.kart.position = { x, y, z };
+    this.kart.rotation = rotation;
+    this.mesh.position.copyFromFloats(x, y, z);
+    this.mesh.rotation.y = rotation;
+  }
+
+  update(input, deltaTime) {
+    if (this.vehicle) {
+      this.vehicle.setInput(input);
+      return;
     }
+    this.kart.update(input, deltaTime);
+  }
+
+  getSurface() {
+    return this.kart.getSurface();
+  }
 
-    // Apply rotation to mesh
-    this.mesh.rotation.y = this.rotation;
-    this.mesh.rotation.x = 0;
-    this.mesh.rotation.z = 0;
+  isAirborne() {
+    return this.kart.isAirborne();
+  }
+
+  getDriftLevel() {
+    return this.kart.getDriftLevel();
+  }
+
+  isDrifting() {
+    return this.kart.isDrifting();
+  }
+
+  isBoosting() {
+    return this.kart.isBoosting();
+  }
+
+  // A launch boost; the Havok model has no boosts
+  boost(seconds) {
+    if (!this.vehicle) this.kart.boost(seconds);
+  }
+
+  // An item effect (see Kart.applyEffect); the Havok model shrugs them off.
+  // Returns whether it took.
+  applyEffect(name) {
+    return this.vehicle ? false : this.kart.applyEffect(name);
+  }
+
+  isSpinning() {
+    return this.kart.isSpinning();
+  }
+
+  isSlowed() {
+    return this.kart.isSlowed();
+  }
+
+  isShielded() {
+    return this.kart.isShielded();
+  }
+
+  // Under way at GO in a rolling start
+  setForwardSpeed(speed) {
+    if (this.vehicle) this.vehicle.setForwardSpeed(speed);
+    else this.kart.setForwardSpeed(speed);
   }
 
   getPosition() {
-    return this.mesh.position.clone();
+    if (this.vehicle) return this.mesh.position.clone();
+    const { x, y, z } = this.kart.position;
+    return new Vector3(x, y, z);
   }
 
   getRotationY() {
-    return this.rotation;
+    return this.vehicle ? this.vehicle.getHeading() : this.kart.getRotationY();
   }
 
   getSpeed() {
-    return this.currentSpeed;
+    return this.vehicle ? this.vehicle.getForwardSpeed() : this.kart.getSpeed();
+  }
+
+  setTopSpeedScale(scale) {
+    this.kart.setTopSpeedScale(scale);
+  }
+
+  setTrack(track) {
+    this.kart.setTrack(track.model);
+  }
+
+  // Body and nose share the material
+  setColor(color) {
+    this.mesh.material.diffuseColor = Color3.FromHexString(color);
   }
 
   getMesh() {
@@ -183,10 +260,39 @@ export class Car {
   }
 
   reset(position, rotation) {
-    this.mesh.position = position.clone();
-    this.mesh.position.y = CAR_CONFIG.height / 2 + 0.1;
-    this.rotation = rotation;
-    this.mesh.rotation.y = rotation;
-    this.currentSpeed = 0;
+    if (this.vehicle) {
+      const spawn = position.clone();
+      spawn.y = PHYSICS_CONFIG.spawnHeight;
+      this.vehicle.reset(spawn, rotation);
+      return;
+    }
+
+    this.kart.reset(position, rotation);
+    this.snapMesh();
+  }
+
+  // Back on the track after the reset key (see respawnKart). The physics model is
+  // just put down there.
+  respawn(position, rotation, immunity) {
+    if (this.vehicle) {
+      this.reset(new Vector3(position.x, position.y, position.z), rotation);
+      return;
+    }
+
+    this.kart.respawn(position, rotation, immunity);
+    this.snapMesh();
+  }
+
+  // Moves the mesh straight to the kart, with nothing to interpolate from
+  snapMesh() {
+    this.previousPosition = this.getPosition();
+    this.previousRotation = this.kart.rotation;
+    this.mesh.position.copyFrom(this.previousPosition);
+    this.mesh.rotation.y = this.kart.rotation;
+  }
+
+  dispose() {
+    if (this.vehicle) this.vehicle.dispose();
+    this.mesh.dispose(false, true);
   }
 }
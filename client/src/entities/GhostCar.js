@@ -0,0 +1,90 @@
+import { MeshBuilder, StandardMaterial, Color3, TransformNode } from '@babylonjs/core';
+import { CAR_CONFIG } from '../utils/constants.js';
+
+function lerpAngle(a, b, t) {
+  const delta = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+  return a + delta * t;
+}
+
+// Translucent replay of a recorded lap. Purely visual: no physics body, no
+// collisions, not pickable, and never seen by the wall or checkpoint code.
+export class GhostCar {
+  constructor(scene) {
+    this.scene = scene;
+    this.ghost = null;
+    this.cursor = 0; // Sample index the last lookup landed on
+
+    this.root = new TransformNode('ghost', scene);
+    this.root.position.y = CAR_CONFIG.height / 2 + 0.1;
+
+    const material = new StandardMaterial('ghostMat', scene);
+    material.diffuseColor = Color3.White();
+    material.emissiveColor = new Color3(0.6, 0.8, 1);
+    material.alpha = 0.35;
+    this.material = material;
+
+    // Same silhouette as Car: body plus a narrower nose showing the heading
+    const body = MeshBuilder.CreateBox('ghostBody', {
+      width: CAR_CONFIG.width,
+      height: CAR_CONFIG.height,
+      depth: CAR_CONFIG.length * 0.5,
+    }, scene);
+    const nose = MeshBuilder.CreateBox('ghostNose', {
+      width: CAR_CONFIG.width * 0.5,
+      height: CAR_CONFIG.height * 0.6,
+      depth: CAR_CONFIG.length * 0.4,
+    }, scene);
+    nose.position.z = CAR_CONFIG.length * 0.45;
+    nose.position.y = -0.1;
+
+    this.meshes = [body, nose];
+    this.meshes.forEach((mesh) => {
+      mesh.parent = this.root;
+      mesh.material = material;
+      mesh.isPickable = false;
+    });
+
+    this.root.setEnabled(false);
+  }
+
+  setGhost(ghost) {
+    this.ghost = ghost;
+    this.cursor = 0;
+    if (!ghost) this.root.setEnabled(false);
+  }
+
+  getGhost() {
+    return this.ghost;
+  }
+
+  // Puts the ghost where it was `lapTime` ms into its lap; hidden before the lap
+  // starts and once the recording runs out
+  update(lapTime, visible = true) {
+    const samples = this.ghost ? this.ghost.samples : null;
+    const last = samples ? samples[samples.length - 1] : null;
+    if (!visible || !samples || lapTime <= 0 || lapTime > last[0]) {
+      this.root.setEnabled(false);
+      return;
+    }
+
+    // Laps are replayed forwards, so walk on from the last lookup instead of searching
+    if (samples[this.cursor][0] > lapTime) this.cursor = 0;
+    while (this.cursor < samples.length - 2 && samples[this.cursor + 1][0] <= lapTime) {
+      this.cursor++;
+    }
+
+    const [t0, x0, z0, r0] = samples[this.cursor];
+    const [t1, x1, z1, r1] = samples[this.cursor + 1];
+    const t = Math.max(0, Math.min(1, (lapTime - t0) / ((t1 - t0) || 1)));
+    this.root.position.x = x0 + (x1 - x0) * t;
+    this.root.position.z = z0 + (z1 - z0) * t;
+    this.root.rotation.y = lerpAngle(r0, r1, t);
+    this.root.setEnabled(true);
+  }
+
+  dispose() {
+    this.meshes.forEach((mesh) => mesh.dispose());
+    this.material.dispose();
+    this.root.dispose();
+  }
+}
@@ -0,0 +1,75 @@
+import { MeshBuilder, StandardMaterial, Color3 } from '@babylonjs/core';
+import { ITEM_CONFIG } from '../utils/constants.js';
+
+function createMaterial(scene, name, color, alpha = 1) {
+  const material = new StandardMaterial(name, scene);
+  material.diffuseColor = Color3.FromHexString(color);
+  material.emissiveColor = Color3.FromHexString(color).scale(0.3);
+  material.alpha = alpha;
+  return material;
+}
+
+// Draws an ItemSystem: its boxes (spinning, gone while they respawn), and the
+// hazards and projectiles on the track. Hazard and projectile meshes are pooled
+// and reused from frame to frame. Purely visual, like the gates.
+export class ItemMeshes {
+  constructor(scene, items) {
+    this.scene = scene;
+    this.items = items;
+    this.boxMaterial = createMaterial(scene, 'itemBoxMat', '#FFB300', 0.8);
+    this.hazardMaterial = createMaterial(scene, 'hazardMat', '#3E2723');
+    this.projectileMaterial = createMaterial(scene, 'projectileMat', '#E53935');
+
+    this.boxes = items.getBoxes().map(({ position }, i) => {
+      const box = MeshBuilder.CreateBox(`itemBox${i}`, { size: 1.2 }, scene);
+      box.position.set(position.x, 1, position.z);
+      box.rotation.x = Math.PI / 4;
+      box.material = this.boxMaterial;
+      box.isPickable = false;
+      return box;
+    });
+    this.hazards = [];
+    this.projectiles = [];
+  }
+
+  // Every frame; time (ms) turns the boxes
+  update(time) {
+    this.items.getBoxes().forEach(({ active }, i) => {
+      const box = this.boxes[i];
+      box.isVisible = active;
+      box.rotation.y = time / 500;
+    });
+
+    this.place(this.hazards, this.items.getHazards(), () => {
+      const radius = ITEM_CONFIG.hazardRadius;
+      const mesh = MeshBuilder.CreateCylinder('hazard', { diameter: radius * 2, height: 0.1 }, this.scene);
+      mesh.material = this.hazardMaterial;
+      return mesh;
+    }, 0.1);
+    this.place(this.projectiles, this.items.getProjectiles(), () => {
+      const mesh = MeshBuilder.CreateSphere('projectile', { diameter: 1, segments: 8 }, this.scene);
+      mesh.material = this.projectileMaterial;
+      return mesh;
+    }, 0.8);
+  }
+
+  // One mesh from `pool` on each of `things`, made with create() when the pool
+  // runs short; the rest are hidden
+  place(pool, things, create, height) {
+    while (pool.length < things.length) {
+      const mesh = create();
+      mesh.isPickable = false;
+      pool.push(mesh);
+    }
+    pool.forEach((mesh, i) => {
+      const thing = things[i];
+      mesh.isVisible = Boolean(thing);
+      if (thing) mesh.position.set(thing.position.x, height, thing.position.z);
+    });
+  }
+
+  dispose() {
+    [...this.boxes, ...this.hazards, ...this.projectiles].forEach((mesh) => mesh.dispose());
+    [this.boxMaterial, this.hazardMaterial, this.projectileMaterial].forEach((material) => material.dispose());
+  }
+}
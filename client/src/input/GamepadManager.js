@@ -0,0 +1,121 @@
+import { INPUT_CONFIG } from '../utils/constants.js';
+
+// Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const START_BUTTON = 9;
+const STEER_AXIS = 0;
+
+// Rescales so the output starts at 0 at the edge of the deadzone and still reaches 1
+function applyDeadzone(value, deadzone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// Hands connected pads out to player slots in the order they connect. A pad that
+// disconnects frees its slot, so plugging it back in picks the same slot again
+// as long as no other pad took it in the meantime.
+export class GamepadManager {
+  constructor(slotCount = INPUT_CONFIG.maxGamepads) {
+    this.slots = new Array(slotCount).fill(null); // gamepad.index per player slot
+    this.listeners = [];
+    this.supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+
+    if (!this.supported) return;
+
+    window.addEventListener('gamepadconnected', (e) => this.assign(e.gamepad));
+    window.addEventListener('gamepaddisconnected', (e) => this.release(e.gamepad));
+
+    // Pads that were already connected before the page loaded
+    this.getGamepads().forEach((gamepad) => this.assign(gamepad));
+  }
+
+  getGamepads() {
+    return Array.from(navigator.getGamepads()).filter(Boolean);
+  }
+
+  assign(gamepad) {
+    if (this.slots.includes(gamepad.index)) return;
+    const slot = this.slots.indexOf(null);
+    if (slot === -1) return;
+
+    this.slots[slot] = gamepad.index;
+    this.notify(slot, true, gamepad);
+  }
+
+  release(gamepad) {
+    const slot = this.slots.indexOf(gamepad.index);
+    if (slot === -1) return;
+
+    this.slots[slot] = null;
+    this.notify(slot, false, gamepad);
+  }
+
+  // callback(slot, connected, gamepad); slot is 0-based
+  onChange(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  notify(slot, connected, gamepad) {
+    this.listeners.forEach((listener) => listener(slot, connected, gamepad));
+  }
+
+  // Pads have to be polled every frame; the event objects don't update
+  getGamepad(slot) {
+    if (!this.supported || this.slots[slot] == null) return null;
+    const gamepad = navigator.getGamepads()[this.slots[slot]];
+    return gamepad && gamepad.connected ? gamepad : null;
+  }
+
+  isConnected(slot) {
+    return this.getGamepad(slot) !== null;
+  }
+
+  // Analog state for a slot in the same shape as keyboard input, or null with no pad.
+  // pad maps each action to a button index (see input/bindings.js).
+  getState(slot, pad) {
+    const gamepad = this.getGamepad(slot);
+    if (!gamepad) return null;
+
+    const button = (action) => gamepad.buttons[pad[action]] || { pressed: false, value: 0 };
+    const pressed = (action) => button(action).pressed;
+    // Triggers report 0..1; buttons without a value count as a full press
+    const analog = (action) => {
+      const { value, pressed: down } = button(action);
+      if (value > 0) return applyDeadzone(value, INPUT_CONFIG.triggerDeadzone);
+      return down ? 1 : 0;
+    };
+
+    const stick = applyDeadzone(gamepad.axes[STEER_AXIS] || 0, INPUT_CONFIG.stickDeadzone);
+    const buttons = (pressed('turnRight') ? 1 : 0) - (pressed('turnLeft') ? 1 : 0);
+
+    return {
+      steer: Math.max(-1, Math.min(1, stick + buttons)),
+      throttle: analog('accelerate'),
+      brake: analog('brake'),
+      drift: pressed('drift'),
+      useItem: pressed('useItem'),
+      reset: pressed('reset'),
+      confirm: gamepad.buttons[START_BUTTON] ? gamepad.buttons[START_BUTTON].pressed : false,
+    };
+  }
+
+  // Index of the first held button on a slot's pad, or -1; used when rebinding
+  getPressedButton(slot) {
+    const gamepad = this.getGamepad(slot);
+    if (!gamepad) return -1;
+    return gamepad.buttons.findIndex((button) => button.pressed);
+  }
+}
+
+let sharedManager = null;
+
+// One manager for the whole page so every player sees the same slot assignment
+export function getGamepadManager() {
+  if (!sharedManager) {
+    sharedManager = new GamepadManager();
+  }
+  return sharedManager;
+}
@@ -1,54 +1,96 @@
-const DEFAULT_BINDINGS = {
-  accelerate: 'KeyW',
-  brake: 'KeyS',
-  turnLeft: 'KeyQ',
-  turnRight: 'KeyE',
-  reset: 'KeyR',
-};
-
-const PLAYER2_BINDINGS = {
-  accelerate: 'ArrowUp',
-  brake: 'ArrowDown',
-  turnLeft: 'ArrowLeft',
-  turnRight: 'ArrowRight',
-  reset: 'Backspace',
-};
+import { getGamepadManager } from './GamepadManager.js';
+import { loadBindings } from './bindings.js';
 
+// Per-player input from that player's keys, the gamepad assigned to their slot and
+// optional on-screen touch controls.
+// getInput() returns { steer: -1..1, throttle: 0..1, brake: 0..1, drift }; keys
+// count as full deflection. Bindings come from localStorage (see input/bindings.js).
 export class InputManager {
   constructor(playerNumber = 1) {
     this.keysPressed = new Set();
-    this.bindings = playerNumber === 1 ? DEFAULT_BINDINGS : PLAYER2_BINDINGS;
+    this.slot = playerNumber - 1;
+    this.gamepads = getGamepadManager();
+    this.touch = null;
+    this.reloadBindings();
 
-    window.addEventListener('keydown', (e) => {
+    this.onKeyDown = (e) => {
       this.keysPressed.add(e.code);
-    });
-
-    window.addEventListener('keyup', (e) => {
-      this.keysPressed.delete(e.code);
-    });
-
-    // Prevent default for arrow keys (scrolling)
-    window.addEventListener('keydown', (e) => {
+      // Prevent default for arrow keys (scrolling)
       if (e.code.startsWith('Arrow')) {
         e.preventDefault();
       }
-    });
+    };
+    this.onKeyUp = (e) => {
+      this.keysPressed.delete(e.code);
+    };
+    // Keys held while switching away never get their keyup
+    this.onBlur = () => {
+      this.keysPressed.clear();
+    };
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+  }
+
+  // Picks up changes saved from the controls screen
+  reloadBindings() {
+    const bindings = loadBindings();
+    this.bindings = bindings[this.slot] || bindings[0];
+  }
+
+  setTouchControls(touch) {
+    this.touch = touch;
+  }
+
+  // Gamepad and touch states for this player, whichever are present
+  getExtraSources() {
+    const pad = this.gamepads.getState(this.slot, this.bindings.pad);
+    const touch = this.touch ? this.touch.getState() : null;
+    return [pad, touch].filter(Boolean);
+  }
+
+  isKeyDown(action) {
+    return this.keysPressed.has(this.bindings.keys[action]);
   }
 
   getInput() {
-    return {
-      accelerate: this.keysPressed.has(this.bindings.accelerate),
-      brake: this.keysPressed.has(this.bindings.brake),
-      turnLeft: this.keysPressed.has(this.bindings.turnLeft),
-      turnRight: this.keysPressed.has(this.bindings.turnRight),
+    const keys = {
+      steer: (this.isKeyDown('turnRight') ? 1 : 0) - (this.isKeyDown('turnLeft') ? 1 : 0),
+      throttle: this.isKeyDown('accelerate') ? 1 : 0,
+      brake: this.isKeyDown('brake') ? 1 : 0,
+      drift: this.isKeyDown('drift'),
     };
+
+    // Several devices at once: steering adds up, otherwise whichever is pushed further wins
+    return this.getExtraSources().reduce((input, source) => ({
+      steer: Math.max(-1, Math.min(1, input.steer + source.steer)),
+      throttle: Math.max(input.throttle, source.throttle),
+      brake: Math.max(input.brake, source.brake),
+      drift: input.drift || source.drift,
+    }), keys);
+  }
+
+  hasGamepad() {
+    return this.gamepads.isConnected(this.slot);
   }
 
   isResetPressed() {
-    return this.keysPressed.has(this.bindings.reset);
+    return this.isKeyDown('reset') || this.getExtraSources().some((source) => source.reset);
+  }
+
+  isUseItemPressed() {
+    return this.isKeyDown('useItem') || this.getExtraSources().some((source) => source.useItem);
   }
 
-  isSpacePressed() {
-    return this.keysPressed.has('Space');
+  // Space on the keyboard, Start on the pad
+  isConfirmPressed() {
+    const pad = this.gamepads.getState(this.slot, this.bindings.pad);
+    return this.keysPressed.has('Space') || Boolean(pad && pad.confirm);
   }
 }
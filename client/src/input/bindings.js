@@ -0,0 +1,153 @@
+// Per-player control bindings: a keyboard code and a gamepad button index for each
+// action. Defaults live here; player changes are saved to localStorage.
+
+const STORAGE_KEY = 'kart-racer.bindings';
+
+export const ACTIONS = ['accelerate', 'brake', 'turnLeft', 'turnRight', 'drift', 'useItem', 'reset'];
+
+export const ACTION_LABELS = {
+  accelerate: 'Accelerate',
+  brake: 'Brake / Reverse',
+  turnLeft: 'Turn Left',
+  turnRight: 'Turn Right',
+  drift: 'Drift',
+  useItem: 'Use Item',
+  reset: 'Respawn',
+};
+
+// Standard Gamepad mapping button indices (https://w3c.github.io/gamepad/#remapping)
+const DEFAULT_PAD = {
+  accelerate: 7, // Right trigger
+  brake: 6, // Left trigger
+  turnLeft: 14, // D-pad left (the left stick always steers as well)
+  turnRight: 15, // D-pad right
+  drift: 5, // Right bumper
+  useItem: 4, // Left bumper
+  reset: 3, // Y
+};
+
+const DEFAULT_KEYS = [
+  {
+    accelerate: 'KeyW',
+    brake: 'KeyS',
+    turnLeft: 'KeyA',
+    turnRight: 'KeyD',
+    drift: 'ShiftLeft',
+    useItem: 'KeyE',
+    reset: 'KeyR',
+  },
+  {
+    accelerate: 'ArrowUp',
+    brake: 'ArrowDown',
+    turnLeft: 'ArrowLeft',
+    turnRight: 'ArrowRight',
+    drift: 'ShiftRight',
+    useItem: 'ControlRight',
+    reset: 'Backspace',
+  },
+  {
+    accelerate: 'KeyI',
+    brake: 'KeyK',
+    turnLeft: 'KeyJ',
+    turnRight: 'KeyL',
+    drift: 'KeyH',
+    useItem: 'KeyO',
+    reset: 'KeyU',
+  },
+  {
+    accelerate: 'Numpad8',
+    brake: 'Numpad5',
+    turnLeft: 'Numpad4',
+    turnRight: 'Numpad6',
+    drift: 'Numpad0',
+    useItem: 'NumpadAdd',
+    reset: 'NumpadEnter',
+  },
+];
+
+const PAD_BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home',
+];
+
+export function getDefaultBindings() {
+  return DEFAULT_KEYS.map((keys) => ({ keys: { ...keys }, pad: { ...DEFAULT_PAD } }));
+}
+
+// Saved bindings merged over the defaults, so actions added later still get a binding
+export function loadBindings() {
+  const defaults = getDefaultBindings();
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    console.warn('Ignoring unreadable saved bindings', e);
+  }
+  if (!Array.isArray(saved)) return defaults;
+
+  return defaults.map((binding, i) => ({
+    keys: { ...binding.keys, ...(saved[i] && saved[i].keys) },
+    pad: { ...binding.pad, ...(saved[i] && saved[i].pad) },
+  }));
+}
+
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (e) {
+    console.warn('Could not save bindings', e);
+  }
+}
+
+export function resetBindings() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear saved bindings', e);
+  }
+  return getDefaultBindings();
+}
+
+// Every binding that shares its input with another one. Keyboard keys clash across
+// all players; pad buttons only within a player, since each player has their own pad.
+// Returns [{ player, device: 'keys' | 'pad', action }] for each clashing binding.
+export function findConflicts(bindings) {
+  const conflicts = [];
+  const collect = (device, groupOf) => {
+    const groups = new Map();
+    bindings.forEach((binding, player) => {
+      ACTIONS.forEach((action) => {
+        const value = binding[device][action];
+        if (value == null) return;
+        const group = groupOf(player, value);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push({ player, device, action });
+      });
+    });
+    groups.forEach((entries) => {
+      if (entries.length > 1) conflicts.push(...entries);
+    });
+  };
+
+  collect('keys', (player, code) => code);
+  collect('pad', (player, button) => `${player}:${button}`);
+  return conflicts;
+}
+
+// "KeyW" -> "W", "ArrowUp" -> "↑", "ShiftLeft" -> "Left Shift"
+export function formatKey(code) {
+  if (!code) return '—';
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  if (arrows[code]) return arrows[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Numpad ${code.slice(6)}`;
+  const side = code.match(/^(Shift|Control|Alt|Meta)(Left|Right)$/);
+  if (side) return `${side[2]} ${side[1]}`;
+  return code;
+}
+
+export function formatPadButton(index) {
+  if (index == null) return '—';
+  return PAD_BUTTON_LABELS[index] || `Button ${index}`;
+}
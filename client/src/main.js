@@ -1,12 +1,11 @@
-import { Game } from './Game.js';
+import { App } from './App.js';
 
 async function init() {
   const canvas = document.getElementById('game-canvas');
   if (!canvas) throw new Error('Canvas not found');
 
-  const game = new Game(canvas);
-  await game.init();
-  game.run();
+  // See App.boot for the URL parameters
+  await new App(canvas, new URLSearchParams(window.location.search)).start();
 }
 
 init().catch(console.error);
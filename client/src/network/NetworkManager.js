@@ -0,0 +1,148 @@
+import { Client } from 'colyseus.js';
+import { NETWORK_CONFIG } from '../utils/constants.js';
+
+const CONSENTED_CLOSE_CODE = 4000; // Colyseus close code for room.leave()
+
+// Connection to a RaceRoom on the Colyseus server (see server/). Wraps the
+// colyseus.js client so the game deals in racers and race status rather than
+// rooms and schemas.
+export class NetworkManager {
+  constructor(url = NETWORK_CONFIG.serverUrl) {
+    this.url = url;
+    this.client = new Client(url);
+    this.room = null;
+  }
+
+  // Opens a new room; others join it with getRoomCode().
+  // options: { name, color, trackId, laps }
+  async create(options = {}) {
+    return this.connect(() => this.client.create('race', options));
+  }
+
+  // options: { name, color }
+  async joinByCode(code, options = {}) {
+    const roomCode = String(code).trim().toUpperCase();
+    return this.connect(() => this.client.joinById(roomCode, options), roomCode);
+  }
+
+  // Resolves once the first full state has arrived. Matchmaking errors are
+  // rethrown with a message fit to show the player.
+  async connect(request, roomCode = '') {
+    try {
+      this.room = await request();
+    } catch (error) {
+      throw new Error(this.describeError(error, roomCode));
+    }
+    await new Promise((resolve) => this.room.onStateChange.once(resolve));
+    return this.room;
+  }
+
+  describeError(error, roomCode) {
+    const message = (error && error.message) || '';
+    if (/not found/.test(message)) return `There is no room with code ${roomCode}.`;
+    // Colyseus locks a room once it is full
+    if (/locked/.test(message)) return `Room ${roomCode} is full.`;
+    if (!message || error instanceof Event || /ECONNREFUSED|WebSocket|fetch/i.test(message)) {
+      return `Can't reach the race server at ${this.url}.`;
+    }
+    return message;
+  }
+
+  isInRoom() {
+    return this.room !== null;
+  }
+
+  getRoomCode() {
+    return this.room.roomId;
+  }
+
+  getSessionId() {
+    return this.room.sessionId;
+  }
+
+  getState() {
+    return this.room.state;
+  }
+
+  getStatus() {
+    return this.room.state.status;
+  }
+
+  getPlayerState(sessionId = this.getSessionId()) {
+    return this.room.state.players.get(sessionId);
+  }
+
+  isHost() {
+    return this.room.state.hostId === this.getSessionId();
+  }
+
+  sendInput(seq, input) {
+    this.room.send('input', { seq, ...input });
+  }
+
+  sendReady(ready = true) {
+    this.room.send('ready', { ready });
+  }
+
+  sendProfile({ name, color }) {
+    this.room.send('profile', { name, color });
+  }
+
+  // Host only
+  sendSettings({ trackId, laps }) {
+    this.room.send('settings', { trackId, laps });
+  }
+
+  // cb(playerState, sessionId); fires for players already in the room too
+  onPlayerAdd(cb) {
+    this.room.state.players.onAdd(cb);
+  }
+
+  onPlayerRemove(cb) {
+    this.room.state.players.onRemove(cb);
+  }
+
+  // cb(playerState) after each patch that changed the player
+  onPlayerChange(playerState, cb) {
+    playerState.onChange(() => cb(playerState));
+  }
+
+  // cb() after every patch
+  onStateChange(cb) {
+    this.room.onStateChange(cb);
+  }
+
+  onStatusChange(cb) {
+    this.room.state.listen('status', cb);
+  }
+
+  onCountdown(cb) {
+    this.room.state.listen('countdown', cb);
+  }
+
+  // cb(trackId, maxLaps) when the host changes either (and once straight away)
+  onSettingsChange(cb) {
+    const notify = () => cb(this.room.state.trackId, this.room.state.maxLaps);
+    this.room.state.listen('trackId', notify, false);
+    this.room.state.listen('maxLaps', notify, false);
+    notify();
+  }
+
+  onHostChange(cb) {
+    this.room.state.listen('hostId', cb);
+  }
+
+  // cb(name, disconnected): another player left, or dropped without leaving
+  onPlayerLeft(cb) {
+    this.room.onMessage('left', ({ name, disconnected }) => cb(name, disconnected));
+  }
+
+  // cb(consented): our own connection closed; consented when we left on purpose
+  onDisconnect(cb) {
+    this.room.onLeave((code) => cb(code === CONSENTED_CLOSE_CODE));
+  }
+
+  async leave() {
+    if (this.room) await this.room.leave();
+  }
+}
@@ -0,0 +1,42 @@
+// Recent network snapshots of a remote kart, so it can be drawn a little in the
+// past (NETWORK_CONFIG.interpolationDelay) by blending the two snapshots around
+// that moment instead of jumping at every patch.
+const MAX_SNAPSHOTS = 20;
+
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = []; // { time, x, y, z, rotation }, oldest first
+  }
+
+  push(time, { x, y, z, rotation }) {
+    this.snapshots.push({ time, x, y, z, rotation });
+    if (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  // Transform at `time`; holds the oldest / newest snapshot outside the buffered range
+  sample(time) {
+    const { snapshots } = this;
+    if (snapshots.length === 0) return null;
+
+    let i = snapshots.length - 1;
+    while (i > 0 && snapshots[i - 1].time > time) i--;
+    const after = snapshots[i];
+    const before = snapshots[i - 1];
+    if (!before || time >= after.time) return after;
+
+    const t = (time - before.time) / ((after.time - before.time) || 1);
+    const lerp = (a, b) => a + (b - a) * Math.max(0, t);
+    return {
+      x: lerp(before.x, after.x),
+      y: lerp(before.y, after.y),
+      z: lerp(before.z, after.z),
+      rotation: lerp(before.rotation, after.rotation),
+    };
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
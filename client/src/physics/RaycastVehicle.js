@@ -0,0 +1,215 @@
+import {
+  Vector3,
+  Quaternion,
+  PhysicsAggregate,
+  PhysicsShapeType,
+  PhysicsRaycastResult,
+} from '@babylonjs/core';
+import { CAR_CONFIG, PHYSICS_CONFIG } from '../utils/constants.js';
+
+const NEUTRAL_INPUT = {
+  steer: 0,
+  throttle: 0,
+  brake: 0,
+  drift: false,
+};
+
+// Rigid-body chassis on Havok held up by four raycast wheels. Each physics step
+// every wheel casts a ray down, pushes the chassis up with a spring-damper, and
+// applies drive, brake and lateral grip forces at its contact point.
+export class RaycastVehicle {
+  constructor(scene, chassis, wheelMeshes) {
+    this.scene = scene;
+    this.chassis = chassis;
+    this.input = NEUTRAL_INPUT;
+    this.steerAngle = 0;
+    this.raycastResult = new PhysicsRaycastResult();
+
+    this.aggregate = new PhysicsAggregate(chassis, PhysicsShapeType.BOX, {
+      mass: PHYSICS_CONFIG.mass,
+      friction: PHYSICS_CONFIG.chassisFriction,
+      restitution: PHYSICS_CONFIG.chassisRestitution,
+    }, scene);
+    this.body = this.aggregate.body;
+    this.body.setMassProperties({
+      mass: PHYSICS_CONFIG.mass,
+      centerOfMass: new Vector3(0, PHYSICS_CONFIG.centerOfMassHeight, 0),
+    });
+    this.body.setAngularDamping(PHYSICS_CONFIG.angularDamping);
+
+    // Wheel mounts sit just under the chassis so the rays never hit it
+    const mountY = -CAR_CONFIG.height / 2 - 0.05;
+    this.wheels = wheelMeshes.map((mesh) => ({
+      mesh,
+      mount: new Vector3(mesh.position.x, mountY, mesh.position.z),
+      restY: mesh.position.y,
+      front: mesh.position.z > 0,
+      compression: 0,
+      grounded: false,
+    }));
+
+    this.physicsObserver = scene.onBeforePhysicsObservable.add(() => {
+      // With the engine in lockstep, physics advances one fixed tick at a time;
+      // otherwise by the frame delta (capped at 0.1s by the engine)
+      const engine = scene.getEngine();
+      this.step(engine.isDeterministicLockStep()
+        ? engine.getTimeStep() / 1000
+        : Math.min(0.1, engine.getDeltaTime() / 1000));
+    });
+  }
+
+  // Input is consumed by the next physics step, so a car that stops receiving
+  // updates (countdown, finished) coasts with nothing pressed.
+  setInput(input) {
+    this.input = input;
+  }
+
+  step(dt) {
+    if (dt <= 0) return;
+
+    const input = this.input;
+    this.input = NEUTRAL_INPUT;
+
+    const world = this.chassis.computeWorldMatrix(true);
+    const up = Vector3.TransformNormal(Vector3.Up(), world).normalize();
+    const forward = Vector3.TransformNormal(Vector3.Forward(), world).normalize();
+    const right = Vector3.TransformNormal(Vector3.Right(), world).normalize();
+
+    const steerTarget = input.steer * PHYSICS_CONFIG.maxSteerAngle;
+    const steerBlend = Math.min(1, PHYSICS_CONFIG.steerSpeed * dt);
+    this.steerAngle += (steerTarget - this.steerAngle) * steerBlend;
+
+    const forwardSpeed = this.getForwardSpeed();
+    const drive = this.getDriveForce(input, forwardSpeed);
+    const rayLength = PHYSICS_CONFIG.suspensionRestLength + PHYSICS_CONFIG.wheelRadius;
+    const engine = this.scene.getPhysicsEngine();
+
+    this.wheels.forEach((wheel) => {
+      const origin = Vector3.TransformCoordinates(wheel.mount, world);
+      const target = origin.add(up.scale(-rayLength));
+
+      engine.raycastToRef(origin, target, this.raycastResult);
+      wheel.grounded = this.raycastResult.hasHit;
+      if (!wheel.grounded) {
+        wheel.compression = 0;
+        return;
+      }
+
+      const hitDistance = Vector3.Distance(origin, this.raycastResult.hitPointWorld);
+      wheel.compression = Math.max(0, rayLength - hitDistance);
+      const contact = this.raycastResult.hitPointWorld.clone();
+      const pointVelocity = this.getPointVelocity(contact);
+
+      // === SUSPENSION ===
+      const springVelocity = Vector3.Dot(pointVelocity, up);
+      const suspension = Math.max(0,
+        wheel.compression * PHYSICS_CONFIG.suspensionStiffness -
+        springVelocity * PHYSICS_CONFIG.suspensionDamping
+      );
+      this.body.applyForce(up.scale(suspension), origin);
+
+      // Front wheels turn with the steering, rear wheels stay straight
+      const wheelForward = wheel.front
+        ? forward.scale(Math.cos(this.steerAngle)).add(right.scale(Math.sin(this.steerAngle)))
+        : forward;
+      const wheelSide = Vector3.Cross(up, wheelForward).normalize();
+
+      // === GRIP ===
+      // Cancel sideways slip, limited by how hard the tyre is pressed into the ground
+      const maxGrip = suspension * PHYSICS_CONFIG.gripCoefficient;
+      const slip = Vector3.Dot(pointVelocity, wheelSide);
+      const lateral = Math.max(-maxGrip, Math.min(maxGrip, -slip * PHYSICS_CONFIG.lateralStiffness));
+
+      // === DRIVE / BRAKE ===
+      const rolling = -Vector3.Dot(pointVelocity, wheelForward) * PHYSICS_CONFIG.rollingResistance;
+      const longitudinal = (wheel.front ? 0 : drive) + rolling;
+
+      // Tyre forces act at the mount (roughly center-of-mass height) rather than the
+      // contact patch, so braking and cornering don't pitch or roll the chassis over
+      this.body.applyForce(wheelSide.scale(lateral).add(wheelForward.scale(longitudinal)), origin);
+    });
+
+    this.updateWheelMeshes();
+  }
+
+  // Rear-wheel drive, scaled by how far the throttle / brake is pressed.
+  // Brake slows the car down first, then becomes reverse.
+  getDriveForce(input, forwardSpeed) {
+    const driveWheels = this.wheels.filter((wheel) => !wheel.front && wheel.grounded).length;
+    if (driveWheels === 0) return 0;
+
+    let force = 0;
+    if (input.throttle > 0) {
+      const headroom = Math.max(0, 1 - forwardSpeed / CAR_CONFIG.maxSpeed);
+      force = PHYSICS_CONFIG.engineForce * headroom * input.throttle;
+    } else if (input.brake > 0) {
+      if (forwardSpeed > 0.5) {
+        force = -PHYSICS_CONFIG.brakeForce * input.brake;
+      } else {
+        const maxReverse = CAR_CONFIG.maxSpeed * 0.3;
+        const headroom = Math.max(0, 1 + forwardSpeed / maxReverse);
+        force = -PHYSICS_CONFIG.engineForce * 0.5 * headroom * input.brake;
+      }
+    }
+    return force / driveWheels;
+  }
+
+  getPointVelocity(point) {
+    const linear = new Vector3();
+    const angular = new Vector3();
+    this.body.getLinearVelocityToRef(linear);
+    this.body.getAngularVelocityToRef(angular);
+    const offset = point.subtract(this.body.getObjectCenterWorld());
+    return linear.add(Vector3.Cross(angular, offset));
+  }
+
+  updateWheelMeshes() {
+    this.wheels.forEach((wheel) => {
+      wheel.mesh.position.y = wheel.restY + wheel.compression;
+      if (wheel.front) {
+        wheel.mesh.rotation.y = this.steerAngle;
+      }
+    });
+  }
+
+  getForwardSpeed() {
+    const velocity = new Vector3();
+    this.body.getLinearVelocityToRef(velocity);
+    const world = this.chassis.computeWorldMatrix(true);
+    const forward = Vector3.TransformNormal(Vector3.Forward(), world).normalize();
+    return Vector3.Dot(velocity, forward);
+  }
+
+  // Straight ahead at `speed`, spin and sideways slide cleared
+  setForwardSpeed(speed) {
+    const world = this.chassis.computeWorldMatrix(true);
+    const forward = Vector3.TransformNormal(Vector3.Forward(), world).normalize();
+    this.body.setLinearVelocity(forward.scale(speed));
+    this.body.setAngularVelocity(Vector3.Zero());
+  }
+
+  getHeading() {
+    const rotation = this.chassis.rotationQuaternion;
+    return rotation ? rotation.toEulerAngles().y : this.chassis.rotation.y;
+  }
+
+  // Teleport: let the mesh transform drive the body for one step, then hand back to physics
+  reset(position, rotation) {
+    this.body.disablePreStep = false;
+    this.chassis.position.copyFrom(position);
+    this.chassis.rotationQuaternion = Quaternion.RotationYawPitchRoll(rotation, 0, 0);
+    this.body.setLinearVelocity(Vector3.Zero());
+    this.body.setAngularVelocity(Vector3.Zero());
+    this.steerAngle = 0;
+    this.input = NEUTRAL_INPUT;
+
+    this.scene.onAfterPhysicsObservable.addOnce(() => {
+      this.body.disablePreStep = true;
+    });
+  }
+
+  dispose() {
+    this.scene.onBeforePhysicsObservable.remove(this.physicsObserver);
+    this.aggregate.dispose();
+  }
+}
@@ -0,0 +1,12 @@
+import HavokPhysics from '@babylonjs/havok';
+import { HavokPlugin, Vector3 } from '@babylonjs/core';
+import { PHYSICS_CONFIG } from '../utils/constants.js';
+
+// Loads the Havok WASM module and turns on physics for the scene.
+// Must run before Track and Car are created so they can attach bodies.
+export async function enablePhysics(scene) {
+  const havok = await HavokPhysics();
+  const plugin = new HavokPlugin(true, havok);
+  scene.enablePhysics(new Vector3(0, PHYSICS_CONFIG.gravity, 0), plugin);
+  return plugin;
+}
@@ -0,0 +1,125 @@
+import { RACE_CONFIG } from '../utils/constants.js';
+
+// Grand Prix: a cup's tracks raced in order, with points for every finishing place.
+// Racers are { name, color } and known by name. Progress is saved in localStorage
+// after each race, so a cup carries on where it was after a reload.
+const STORAGE_KEY = 'kart-racer.grand-prix';
+const SAVE_VERSION = 1;
+
+export class GrandPrix {
+  // cup: { id, name, tracks: [trackId, ...] } (see tracks/definitions/index.js)
+  constructor(cup, racers, { points = RACE_CONFIG.grandPrixPoints } = {}) {
+    this.cup = cup;
+    this.points = points;
+    this.racers = racers.map(({ name, color }) => ({ name, color, points: 0, places: [] }));
+    this.raceIndex = 0; // Race being driven; equal to the track count once the cup is over
+  }
+
+  getCup() {
+    return this.cup;
+  }
+
+  // Track of the race being driven (or up next)
+  getTrackId() {
+    return this.cup.tracks[this.raceIndex];
+  }
+
+  // 1-based number of the race being driven
+  getRaceNumber() {
+    return this.raceIndex + 1;
+  }
+
+  getRaceCount() {
+    return this.cup.tracks.length;
+  }
+
+  isComplete() {
+    return this.raceIndex >= this.cup.tracks.length;
+  }
+
+  // Scores a finished race. order: racer names from first to last, including
+  // anyone still on track when it ended (placed where they were running).
+  recordRace(order) {
+    order.forEach((name, i) => {
+      const racer = this.racers.find((entry) => entry.name === name);
+      if (!racer) return;
+      racer.places.push(i + 1);
+      racer.points += this.points[i] || 0;
+    });
+    this.raceIndex++;
+    this.save();
+  }
+
+  // Racers by points; ties go to more wins, then the better place in the last race.
+  // Each row also has the last race's place and the points it scored.
+  getStandings() {
+    const wins = (racer) => racer.places.filter((place) => place === 1).length;
+    const lastPlace = (racer) => racer.places[racer.places.length - 1] || Infinity;
+
+    return [...this.racers]
+      .sort((a, b) => (b.points - a.points) || (wins(b) - wins(a)) || (lastPlace(a) - lastPlace(b)))
+      .map((racer, i) => {
+        const place = racer.places[racer.places.length - 1] || null;
+        return {
+          position: i + 1,
+          name: racer.name,
+          color: racer.color,
+          points: racer.points,
+          lastPlace: place,
+          lastPoints: place ? this.points[place - 1] || 0 : 0,
+        };
+      });
+  }
+
+  // Back to the first race with no points
+  restart() {
+    this.racers.forEach((racer) => {
+      racer.points = 0;
+      racer.places = [];
+    });
+    this.raceIndex = 0;
+    this.save();
+  }
+
+  save() {
+    const data = {
+      version: SAVE_VERSION,
+      cupId: this.cup.id,
+      raceIndex: this.raceIndex,
+      racers: this.racers,
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn('Could not save Grand Prix', e);
+    }
+  }
+}
+
+// The saved Grand Prix if it is this cup with the same racers and not over yet,
+// otherwise a fresh one
+export function loadGrandPrix(cup, racers) {
+  const grandPrix = new GrandPrix(cup, racers);
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    const names = racers.map(({ name }) => name).join();
+    const resumable = data
+      && data.version === SAVE_VERSION
+      && data.cupId === cup.id
+      && data.raceIndex < cup.tracks.length
+      && Array.isArray(data.racers)
+      && data.racers.map(({ name }) => name).join() === names;
+    if (resumable) {
+      grandPrix.raceIndex = data.raceIndex;
+      grandPrix.racers.forEach((racer, i) => {
+        racer.points = data.racers[i].points;
+        racer.places = data.racers[i].places;
+      });
+    }
+  } catch (e) {
+    console.warn('Ignoring unreadable Grand Prix save', e);
+  }
+  grandPrix.save();
+  return grandPrix;
+}
@@ -0,0 +1,25 @@
+// Samples a kart's position and heading every tick of the lap being driven, so a
+// finished lap can be kept as a ghost (see race/ghosts.js)
+export class LapRecorder {
+  constructor() {
+    this.samples = [];
+  }
+
+  // lapTime: ms since the lap started
+  record(lapTime, position, rotation) {
+    this.samples.push([lapTime, position.x, position.z, rotation]);
+  }
+
+  // Closes the lap at the moment the line was crossed and starts a fresh one.
+  // Returns the finished lap's samples.
+  finishLap(lapTime, position, rotation) {
+    const samples = this.samples;
+    samples.push([lapTime, position.x, position.z, rotation]);
+    this.samples = [];
+    return samples;
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
@@ -0,0 +1,78 @@
+import { createRecord, loadRecord, saveRecord, getTheoreticalBest } from './records.js';
+
+// One time trial session on a track: collects the splits of the lap being driven,
+// compares them with the stored best splits and updates the track's record
+// (see records.js) as laps and races are completed.
+//   kart: { color, model } stored with new bests
+export class TimeTrial {
+  constructor(track, laps, kart) {
+    this.kart = kart;
+    this.sectorCount = track.getGates().length;
+    this.record = loadRecord(track.definition.id, laps) || createRecord(track.definition.id, track.definition.name, laps);
+    this.record.trackName = track.definition.name;
+    // Splits from a different set of gates (the track was edited) can't be compared
+    if (this.record.bestSplits.length !== this.sectorCount) {
+      this.record.bestSplits = [];
+      this.record.bestSectors = [];
+    }
+    this.splits = []; // This lap's, by sector
+  }
+
+  // A gate passed in order; returns the split against the best one (ms, negative
+  // is faster), or null if there's nothing to compare with yet
+  recordSplit(sector, splitTime) {
+    this.splits[sector] = splitTime;
+    const best = this.record.bestSplits[sector];
+    return best == null ? null : splitTime - best;
+  }
+
+  // Folds a completed lap's splits and sectors into the record. Returns true for
+  // a new best lap.
+  completeLap(lapTime) {
+    const { record } = this;
+    const splits = this.splits;
+    this.splits = [];
+
+    // Only a lap with every split (not one that started mid-lap) counts towards them
+    if (splits.filter((time) => time != null).length === this.sectorCount) {
+      splits.forEach((split, i) => {
+        const sector = split - (i > 0 ? splits[i - 1] : 0);
+        if (record.bestSplits[i] == null || split < record.bestSplits[i]) record.bestSplits[i] = split;
+        if (record.bestSectors[i] == null || sector < record.bestSectors[i]) record.bestSectors[i] = sector;
+      });
+    }
+
+    const newBest = !record.bestLap || lapTime < record.bestLap.time;
+    if (newBest) record.bestLap = this.createEntry(lapTime);
+    saveRecord(record);
+    return newBest;
+  }
+
+  // Returns true for a new best race
+  finishRace(totalTime, lapTimes) {
+    const { record } = this;
+    const newBest = !record.bestRace || totalTime < record.bestRace.time;
+    if (newBest) {
+      record.bestRace = { ...this.createEntry(totalTime), lapTimes: [...lapTimes] };
+      saveRecord(record);
+    }
+    return newBest;
+  }
+
+  createEntry(time) {
+    return { time, date: new Date().toISOString(), kart: { ...this.kart } };
+  }
+
+  // Drops the lap being driven (the race was restarted)
+  reset() {
+    this.splits = [];
+  }
+
+  getBestLap() {
+    return this.record.bestLap ? this.record.bestLap.time : null;
+  }
+
+  getTheoreticalBest() {
+    return getTheoreticalBest(this.record);
+  }
+}
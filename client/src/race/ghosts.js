@@ -0,0 +1,83 @@
+// Personal-best ghost laps: stored per track in localStorage and shareable as JSON
+// files. A ghost is
+//   { version, trackId, lapTime, recordedAt, samples: [[t, x, z, rotation], ...] }
+// with t in ms since the start of the lap.
+
+const STORAGE_PREFIX = 'kart-racer.ghost.';
+export const GHOST_VERSION = 1;
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export function createGhost(trackId, lapTime, samples) {
+  return {
+    version: GHOST_VERSION,
+    trackId,
+    lapTime,
+    recordedAt: new Date().toISOString(),
+    // Centimetres and milliradians are plenty, and keep the JSON small
+    samples: samples.map(([t, x, z, rotation]) => [Math.round(t), round(x, 2), round(z, 2), round(rotation, 3)]),
+  };
+}
+
+// Throws with a readable message when the data isn't a usable ghost
+export function validateGhost(data) {
+  if (!data || typeof data !== 'object') throw new Error('Ghost file is not a JSON object');
+  if (data.version !== GHOST_VERSION) throw new Error(`Unsupported ghost version: ${data.version}`);
+  if (typeof data.trackId !== 'string') throw new Error('Ghost has no track id');
+  if (!(data.lapTime > 0)) throw new Error('Ghost has no lap time');
+  if (!Array.isArray(data.samples) || data.samples.length < 2) throw new Error('Ghost has no samples');
+  const valid = data.samples.every((sample) => Array.isArray(sample) && sample.length === 4 && sample.every(Number.isFinite));
+  if (!valid) throw new Error('Ghost samples are malformed');
+  return data;
+}
+
+export function loadGhost(trackId) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + trackId);
+    return raw ? validateGhost(JSON.parse(raw)) : null;
+  } catch (e) {
+    console.warn(`Ignoring unreadable ghost for ${trackId}`, e);
+    return null;
+  }
+}
+
+export function saveGhost(ghost) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + ghost.trackId, JSON.stringify(ghost));
+  } catch (e) {
+    console.warn('Could not save ghost', e);
+  }
+}
+
+export function clearGhost(trackId) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + trackId);
+  } catch (e) {
+    console.warn('Could not clear ghost', e);
+  }
+}
+
+export function exportGhost(ghost) {
+  const blob = new Blob([JSON.stringify(ghost)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ghost-${ghost.trackId}-${Math.round(ghost.lapTime)}ms.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Resolves with the validated ghost from a File (e.g. from an <input type="file">)
+export async function importGhost(file) {
+  const text = await file.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Ghost file is not valid JSON');
+  }
+  return validateGhost(data);
+}
@@ -0,0 +1,62 @@
+// Time trial records, kept in localStorage for every track and lap count:
+//   { trackId, trackName, laps,
+//     bestLap: { time, date, kart }, bestRace: { time, date, kart, lapTimes },
+//     bestSplits: [ms into the lap at each gate], bestSectors: [ms per sector] }
+// where kart is { color, model } and bestLap / bestRace are null until set.
+// Splits and sectors are each the best of any completed lap, so the sum of the
+// best sectors (the theoretical best) can beat the best lap.
+
+const STORAGE_KEY = 'kart-racer.records';
+export const RECORDS_VERSION = 1;
+
+function recordKey(trackId, laps) {
+  return `${trackId}:${laps}`;
+}
+
+function readAll() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && data.version === RECORDS_VERSION ? data.records : {};
+  } catch (e) {
+    console.warn('Ignoring unreadable time trial records', e);
+    return {};
+  }
+}
+
+export function createRecord(trackId, trackName, laps) {
+  return { trackId, trackName, laps, bestLap: null, bestRace: null, bestSplits: [], bestSectors: [] };
+}
+
+// Records for every track and lap count, by track name then laps
+export function loadRecords() {
+  return Object.values(readAll()).sort((a, b) => a.trackName.localeCompare(b.trackName) || a.laps - b.laps);
+}
+
+export function loadRecord(trackId, laps) {
+  return readAll()[recordKey(trackId, laps)] || null;
+}
+
+export function saveRecord(record) {
+  const records = readAll();
+  records[recordKey(record.trackId, record.laps)] = record;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: RECORDS_VERSION, records }));
+  } catch (e) {
+    console.warn('Could not save time trial records', e);
+  }
+}
+
+export function clearRecords() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear time trial records', e);
+  }
+}
+
+// Sum of the best sectors, once a lap has been completed
+export function getTheoreticalBest(record) {
+  if (record.bestSectors.length === 0) return null;
+  return record.bestSectors.reduce((sum, time) => sum + time, 0);
+}
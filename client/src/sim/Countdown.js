@@ -0,0 +1,52 @@
+import { RACE_CONFIG } from '../utils/constants.js';
+
+const LEAD_IN = 500; // ms before the first number
+const INTERVAL = 1000; // ms per number
+
+// Pre-race countdown on the simulation clock: 3, 2, 1 a second apart, then GO.
+// update() is called every tick and fires the callbacks as their times pass, so
+// the start is as deterministic as the rest of the race.
+//   onTick(count), onGo(startTime)
+export class Countdown {
+  constructor(clock, { from = RACE_CONFIG.countdownSeconds, onTick, onGo } = {}) {
+    this.clock = clock;
+    this.from = from;
+    this.onTick = onTick;
+    this.onGo = onGo;
+    this.startTime = null;
+    this.announced = 0; // numbers shown so far
+  }
+
+  start() {
+    this.startTime = this.clock();
+    this.announced = 0;
+  }
+
+  isRunning() {
+    return this.startTime !== null;
+  }
+
+  // ms left until GO while running
+  getTimeToGo() {
+    return LEAD_IN + this.from * INTERVAL - (this.clock() - this.startTime);
+  }
+
+  update() {
+    if (!this.isRunning()) return;
+
+    const elapsed = this.clock() - this.startTime;
+    while (this.announced < this.from && elapsed >= LEAD_IN + this.announced * INTERVAL) {
+      if (this.onTick) this.onTick(this.from - this.announced);
+      this.announced++;
+    }
+
+    if (elapsed >= LEAD_IN + this.from * INTERVAL) {
+      this.startTime = null;
+      if (this.onGo) this.onGo(this.clock());
+    }
+  }
+
+  stop() {
+    this.startTime = null;
+  }
+}
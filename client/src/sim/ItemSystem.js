@@ -0,0 +1,165 @@
+import { CAR_CONFIG, ITEM_CONFIG } from '../utils/constants.js';
+import { groundDistance } from './geometry.js';
+
+export const ITEMS = Object.keys(ITEM_CONFIG.odds);
+
+// What using each item does; kart is whoever used it
+const USES = {
+  boost: (items, kart) => kart.applyEffect('boost'),
+  shield: (items, kart) => kart.applyEffect('shield'),
+  hazard: (items, kart) => items.dropHazard(kart),
+  projectile: (items, kart) => items.fireProjectile(kart),
+};
+
+// Item boxes, the item each kart holds and whatever's been dropped or fired, on a
+// RaceTrack. Driving through a box breaks it for ITEM_CONFIG.boxRespawnMs and
+// gives an empty-handed kart an item, picked with odds by race position. A hazard
+// slows the first kart over it; a projectile flies straight until it spins out a
+// kart or hits a wall. Everything happens to karts through applyEffect, so a kart
+// is a Kart, or a Car in the browser. Times come from `clock` (ms).
+//   onPickup(kart, item)
+//   onHit(kart, effect, took): took is false when a shield or immunity stopped it
+export class ItemSystem {
+  constructor(track, { clock = () => performance.now(), random = Math.random, onPickup, onHit } = {}) {
+    this.track = track;
+    this.clock = clock;
+    this.random = random;
+    this.onPickup = onPickup;
+    this.onHit = onHit;
+    this.boxes = track.getItemBoxes().map((position) => ({ position, respawnAt: null }));
+    this.reset();
+  }
+
+  // Empty hands, nothing on the track and every box back
+  reset() {
+    this.held = new Map(); // kart -> item
+    this.hazards = []; // { position, expiresAt }, oldest first
+    this.projectiles = []; // { owner, position, velocity, expiresAt }
+    this.boxes.forEach((box) => {
+      box.respawnAt = null;
+    });
+  }
+
+  // Every tick, with the karts racing as [{ kart, place }] (place is 1-based)
+  update(racers, deltaTime) {
+    const now = this.clock();
+    this.updateBoxes(racers, now);
+    this.updateHazards(racers, now);
+    this.updateProjectiles(racers, deltaTime, now);
+  }
+
+  updateBoxes(racers, now) {
+    this.boxes.forEach((box) => {
+      if (box.respawnAt !== null && now >= box.respawnAt) box.respawnAt = null;
+      if (box.respawnAt !== null) return;
+
+      const racer = racers.find(({ kart }) => groundDistance(kart.getPosition(), box.position) <= ITEM_CONFIG.pickupRadius);
+      if (!racer) return;
+      box.respawnAt = now + ITEM_CONFIG.boxRespawnMs;
+      if (this.held.has(racer.kart)) return;
+
+      const item = this.rollItem(racer.place, racers.length);
+      this.held.set(racer.kart, item);
+      if (this.onPickup) this.onPickup(racer.kart, item);
+    });
+  }
+
+  // Karts in the air pass over hazards
+  updateHazards(racers, now) {
+    this.hazards = this.hazards.filter((hazard) => {
+      if (now >= hazard.expiresAt) return false;
+      const racer = racers.find(({ kart }) => !kart.isAirborne()
+        && groundDistance(kart.getPosition(), hazard.position) <= ITEM_CONFIG.hazardRadius);
+      if (!racer) return true;
+      this.hit(racer.kart, 'slow');
+      return false;
+    });
+  }
+
+  updateProjectiles(racers, deltaTime, now) {
+    this.projectiles = this.projectiles.filter((projectile) => {
+      const { position, velocity } = projectile;
+      position.x += velocity.x * deltaTime;
+      position.z += velocity.z * deltaTime;
+      if (now >= projectile.expiresAt || !this.track.isInsideWalls(position)) return false;
+
+      const racer = racers.find(({ kart }) => kart !== projectile.owner
+        && groundDistance(kart.getPosition(), position) <= ITEM_CONFIG.projectileRadius);
+      if (!racer) return true;
+      this.hit(racer.kart, 'spin');
+      return false;
+    });
+  }
+
+  hit(kart, effect) {
+    const took = kart.applyEffect(effect);
+    if (this.onHit) this.onHit(kart, effect, took);
+  }
+
+  // A random item from ITEM_CONFIG.odds, using the column for `place` of `count`
+  // karts: the leader gets the first, last place the last and everyone else one
+  // in between
+  rollItem(place, count) {
+    const columns = ITEM_CONFIG.odds[ITEMS[0]].length;
+    const column = count > 1 ? Math.round(((place - 1) / (count - 1)) * (columns - 1)) : 0;
+    const weights = ITEMS.map((item) => ITEM_CONFIG.odds[item][column]);
+    let roll = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    return ITEMS.find((item, i) => {
+      roll -= weights[i];
+      return roll < 0;
+    }) || ITEMS[weights.findLastIndex((weight) => weight > 0)];
+  }
+
+  // Uses the kart's item, if it has one. Returns the item used, or null.
+  use(kart) {
+    const item = this.held.get(kart);
+    if (!item) return null;
+    this.held.delete(kart);
+    USES[item](this, kart);
+    return item;
+  }
+
+  dropHazard(kart) {
+    const heading = kart.getRotationY();
+    const { x, z } = kart.getPosition();
+    const back = ITEM_CONFIG.hazardDropDistance;
+    this.hazards.push({
+      position: { x: x - Math.sin(heading) * back, y: 0, z: z - Math.cos(heading) * back },
+      expiresAt: this.clock() + ITEM_CONFIG.hazardLifeMs,
+    });
+    if (this.hazards.length > ITEM_CONFIG.maxHazards) this.hazards.shift();
+  }
+
+  // Off the kart's nose, at projectileSpeed on top of the kart's own
+  fireProjectile(kart) {
+    const heading = kart.getRotationY();
+    const forward = { x: Math.sin(heading), z: Math.cos(heading) };
+    const { x, z } = kart.getPosition();
+    const ahead = CAR_CONFIG.length;
+    const speed = ITEM_CONFIG.projectileSpeed + Math.max(0, kart.getSpeed());
+    this.projectiles.push({
+      owner: kart,
+      position: { x: x + forward.x * ahead, y: 0, z: z + forward.z * ahead },
+      velocity: { x: forward.x * speed, z: forward.z * speed },
+      expiresAt: this.clock() + ITEM_CONFIG.projectileLifeMs,
+    });
+  }
+
+  // The kart's item, or null
+  getItem(kart) {
+    return this.held.get(kart) || null;
+  }
+
+  // [{ position, active }]; a box that's been broken is inactive until it's back
+  getBoxes() {
+    return this.boxes.map(({ position, respawnAt }) => ({ position, active: respawnAt === null }));
+  }
+
+  getHazards() {
+    return this.hazards;
+  }
+
+  getProjectiles() {
+    return this.projectiles;
+  }
+}
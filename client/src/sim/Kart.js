@@ -0,0 +1,409 @@
+import { CAR_CONFIG, SURFACES, EFFECTS } from '../utils/constants.js';
+
+const GROUND_Y = CAR_CONFIG.height / 2 + 0.1;
+
+// The timer each effect runs on (see applyEffect)
+const EFFECT_TIMERS = {
+  boost: 'boostTimer',
+  shield: 'shieldTimer',
+  slow: 'slowTimer',
+  spin: 'spinTimer',
+};
+
+// What a spinning kart's driver gets to do
+const NO_INPUT = { steer: 0, throttle: 0, brake: 0, drift: false };
+
+function asphalt() {
+  return { type: 'asphalt', ...SURFACES.asphalt };
+}
+
+// Arcade kart kinematics: steering, throttle, drift / mini-turbo, surfaces, jump
+// pads, wall sliding and item effects. Plain numbers only, so it runs the same in the browser
+// (under Car, which draws it) and in Node.
+// track is a RaceTrack, or null for an open field with no walls.
+export class Kart {
+  constructor(track, startPosition, startRotation = 0) {
+    this.track = track;
+    this.position = { x: startPosition.x, y: GROUND_Y, z: startPosition.z };
+    this.rotation = startRotation;
+    this.velocity = { x: 0, z: 0 };
+    this.currentSpeed = 0;
+
+    // Drift / mini-turbo state
+    this.driftDirection = 0; // -1 left, 1 right, 0 not drifting
+    this.driftTime = 0;
+    this.boostTimer = 0;
+    this.topSpeedScale = 1; // Set by AI rubber-banding
+
+    // Surface under the kart, and jump pad state
+    this.surface = asphalt();
+    this.airborne = false;
+    this.verticalSpeed = 0;
+
+    // Seconds left of the immunity after a respawn (see respawn)
+    this.immunity = 0;
+
+    // Seconds left of item effects (see applyEffect); boosts use boostTimer
+    this.spinTimer = 0;
+    this.slowTimer = 0;
+    this.shieldTimer = 0;
+  }
+
+  update(controls, deltaTime) {
+    // === EFFECTS ===
+    const input = this.updateEffects(controls, deltaTime);
+
+    // Analog input: steer -1..1, throttle / brake 0..1 (keys give full deflection)
+    const { steer, throttle, brake } = input;
+
+    // === SURFACE ===
+    // Airborne karts keep the surface they took off from until they land
+    if (!this.airborne) {
+      this.updateSurface();
+    }
+    // Just respawned: grass and mud don't hold the kart back while it gets going
+    this.immunity = Math.max(0, this.immunity - deltaTime);
+    const surface = this.immunity > 0 && this.surface.slow ? asphalt() : this.surface;
+
+    // === DRIFT ===
+    this.updateDrift(input, steer, deltaTime);
+
+    // === STEERING ===
+    // Steering rotates the car - responsive turning even at low speeds
+    const minSpeedToTurn = 0.5;
+    if (!this.airborne && Math.abs(this.currentSpeed) > minSpeedToTurn) {
+      // Turning gets harder the faster you go
+      const speedRatio = Math.min(1, Math.abs(this.currentSpeed) / CAR_CONFIG.maxSpeed);
+      const turnRate = CAR_CONFIG.turnSpeed * (1 - (1 - CAR_CONFIG.highSpeedTurnFactor) * speedRatio);
+
+      // While drifting the car always turns into the drift; steering only tightens or widens it
+      const turnDirection = this.driftDirection !== 0
+        ? this.driftDirection * (CAR_CONFIG.driftTurnBase + steer * this.driftDirection * CAR_CONFIG.driftTurnRange)
+        : steer;
+
+      // Reverse steering when going backwards
+      const reverseMultiplier = this.currentSpeed >= 0 ? 1 : -1;
+
+      this.rotation += turnDirection * turnRate * reverseMultiplier * deltaTime;
+    }
+
+    // Split the velocity into what points along the new heading and what is now sliding sideways
+    const forward = { x: Math.sin(this.rotation), z: Math.cos(this.rotation) };
+    const right = { x: Math.cos(this.rotation), z: -Math.sin(this.rotation) };
+    this.currentSpeed = this.velocity.x * forward.x + this.velocity.z * forward.z;
+    let lateralSpeed = this.velocity.x * right.x + this.velocity.z * right.z;
+
+    // === ACCELERATION ===
+    const boosting = this.boostTimer > 0;
+    const topSpeed = CAR_CONFIG.maxSpeed * this.topSpeedScale
+      * (boosting ? CAR_CONFIG.boostSpeedMultiplier : surface.topSpeed)
+      * (this.slowTimer > 0 ? EFFECTS.slow.topSpeed : 1);
+    if (this.airborne) {
+      // No traction in the air: keep flying at the take-off speed
+      this.boostTimer = Math.max(0, this.boostTimer - deltaTime);
+    } else if (boosting) {
+      this.boostTimer = Math.max(0, this.boostTimer - deltaTime);
+      this.currentSpeed += CAR_CONFIG.boostAcceleration * deltaTime;
+    } else if (throttle > 0) {
+      this.currentSpeed += CAR_CONFIG.acceleration * throttle * deltaTime;
+    } else if (brake > 0) {
+      this.currentSpeed -= CAR_CONFIG.brakeForce * brake * deltaTime;
+    } else {
+      // Natural deceleration (friction), stronger on grass and mud, weaker on ice
+      const deceleration = CAR_CONFIG.deceleration * surface.friction;
+      if (this.currentSpeed > 0) {
+        this.currentSpeed = Math.max(0, this.currentSpeed - deceleration * deltaTime);
+      } else if (this.currentSpeed < 0) {
+        this.currentSpeed = Math.min(0, this.currentSpeed + deceleration * deltaTime);
+      }
+    }
+
+    // Clamp speed. Above top speed (boost ended, rolled onto grass) bleed off gradually
+    // instead of snapping.
+    const maxReverse = CAR_CONFIG.maxSpeed * 0.3 * surface.topSpeed;
+    if (!this.airborne && this.currentSpeed > topSpeed) {
+      this.currentSpeed = Math.max(topSpeed, this.currentSpeed - CAR_CONFIG.brakeForce * deltaTime);
+    }
+    this.currentSpeed = Math.max(-maxReverse, this.currentSpeed);
+
+    // === GRIP ===
+    // Tyres kill sideways sliding quickly; drifting lets the kart slide out
+    if (!this.airborne) {
+      const grip = (this.driftDirection !== 0 ? CAR_CONFIG.driftGrip : CAR_CONFIG.grip) * surface.grip;
+      lateralSpeed *= Math.exp(-grip * deltaTime);
+    }
+
+    this.velocity = {
+      x: forward.x * this.currentSpeed + right.x * lateralSpeed,
+      z: forward.z * this.currentSpeed + right.z * lateralSpeed,
+    };
+
+    // === MOVEMENT ===
+    const newPos = {
+      x: this.position.x + this.velocity.x * deltaTime,
+      y: this.position.y,
+      z: this.position.z + this.velocity.z * deltaTime,
+    };
+    this.updateJump(newPos, deltaTime);
+    this.position = this.resolveWallCollision(newPos);
+    this.currentSpeed = this.velocity.x * forward.x + this.velocity.z * forward.z;
+  }
+
+  // Counts the effect timers down. A spinning kart turns on the spot and ignores
+  // its driver; returns the input to drive with.
+  updateEffects(input, deltaTime) {
+    this.slowTimer = Math.max(0, this.slowTimer - deltaTime);
+    this.shieldTimer = Math.max(0, this.shieldTimer - deltaTime);
+    if (this.spinTimer <= 0) return input;
+
+    this.spinTimer = Math.max(0, this.spinTimer - deltaTime);
+    this.rotation += EFFECTS.spin.turnRate * deltaTime;
+    return NO_INPUT;
+  }
+
+  // Looks up the surface under the kart and fires boost / jump pads on the way in
+  updateSurface() {
+    const previous = this.surface;
+    this.surface = this.track ? this.track.getSurfaceAt(this.position) : asphalt();
+
+    if (this.surface.boostDuration) {
+      this.boost(this.surface.boostDuration);
+    }
+    if (this.surface.jumpSpeed && previous.type !== this.surface.type) {
+      this.airborne = true;
+      this.verticalSpeed = this.surface.jumpSpeed;
+    }
+  }
+
+  updateJump(newPos, deltaTime) {
+    if (!this.airborne) {
+      newPos.y = GROUND_Y;
+      return;
+    }
+
+    this.verticalSpeed -= CAR_CONFIG.gravity * deltaTime;
+    newPos.y = this.position.y + this.verticalSpeed * deltaTime;
+    if (newPos.y <= GROUND_Y) {
+      newPos.y = GROUND_Y;
+      this.airborne = false;
+      this.verticalSpeed = 0;
+    }
+  }
+
+  // Drift starts when the drift button is pressed while steering at speed, and locks
+  // to that side. Holding it charges mini-turbo levels; letting go fires the boost.
+  updateDrift(input, steer, deltaTime) {
+    const fastEnough = this.currentSpeed > CAR_CONFIG.driftMinSpeed;
+
+    if (this.driftDirection === 0) {
+      if (input.drift && Math.abs(steer) >= CAR_CONFIG.driftMinSteer && fastEnough) {
+        this.driftDirection = Math.sign(steer);
+        this.driftTime = 0;
+      }
+      return;
+    }
+
+    if (input.drift && fastEnough) {
+      this.driftTime += deltaTime;
+      return;
+    }
+
+    // Drift released (or the kart slowed down too much): cash in the charge
+    const level = this.getDriftLevel();
+    if (level > 0) {
+      this.boostTimer = CAR_CONFIG.miniTurboDurations[level - 1];
+    }
+    this.driftDirection = 0;
+    this.driftTime = 0;
+  }
+
+  // Keeps the car inside the active track's walls. On contact the car is pushed
+  // back onto the asphalt and loses only the part of its velocity going into the
+  // wall, so glancing hits slide along it and head-on hits stop dead.
+  resolveWallCollision(newPos) {
+    if (!this.track) return newPos;
+
+    const radius = CAR_CONFIG.collisionRadius;
+    if (this.track.isInsideWalls(newPos, radius)) return newPos;
+
+    const boundary = this.track.getNearestBoundaryPoint(newPos);
+    const normal = this.track.getWallNormal(newPos);
+    const resolved = {
+      x: boundary.x + normal.x * radius,
+      y: newPos.y,
+      z: boundary.z + normal.z * radius,
+    };
+
+    // Only lose speed when actually moving into the wall (works in reverse too).
+    // The into-wall part is removed; the sliding part loses speed in proportion to it.
+    const into = this.velocity.x * normal.x + this.velocity.z * normal.z;
+    if (into < 0) {
+      const slide = { x: this.velocity.x - normal.x * into, z: this.velocity.z - normal.z * into };
+      const slideSpeed = Math.hypot(slide.x, slide.z);
+      const kept = slideSpeed > 0 ? Math.max(0, slideSpeed + into * CAR_CONFIG.wallFriction) / slideSpeed : 0;
+      this.velocity = { x: slide.x * kept, z: slide.z * kept };
+    }
+
+    return resolved;
+  }
+
+  // Boost pads and a good launch; a longer boost already running is kept
+  boost(seconds) {
+    this.boostTimer = Math.max(this.boostTimer, seconds);
+  }
+
+  // Straight ahead at `speed` (m/s), for a rolling start
+  setForwardSpeed(speed) {
+    this.currentSpeed = speed;
+    this.velocity = { x: Math.sin(this.rotation) * speed, z: Math.cos(this.rotation) * speed };
+  }
+
+  // Starts one of EFFECTS on the kart, or tops up one already running. Hostile
+  // effects don't touch a kart that's immune after a respawn, and a shield takes
+  // the hit and breaks. A spin-out loses any drift charge and boost.
+  // True if the effect took.
+  applyEffect(name) {
+    const effect = EFFECTS[name];
+    if (effect.hostile) {
+      if (this.isImmune()) return false;
+      if (this.isShielded()) {
+        this.shieldTimer = 0;
+        return false;
+      }
+    }
+
+    const timer = EFFECT_TIMERS[name];
+    this[timer] = Math.max(this[timer], effect.seconds);
+    if (name === 'spin') {
+      this.driftDirection = 0;
+      this.driftTime = 0;
+      this.boostTimer = 0;
+    }
+    return true;
+  }
+
+  // 0 = no charge, then 1..3 as the drift is held past each threshold
+  getDriftLevel() {
+    if (this.driftDirection === 0) return 0;
+    return CAR_CONFIG.miniTurboThresholds.filter((t) => this.driftTime >= t).length;
+  }
+
+  isDrifting() {
+    return this.driftDirection !== 0;
+  }
+
+  isBoosting() {
+    return this.boostTimer > 0;
+  }
+
+  isImmune() {
+    return this.immunity > 0;
+  }
+
+  isSpinning() {
+    return this.spinTimer > 0;
+  }
+
+  isSlowed() {
+    return this.slowTimer > 0;
+  }
+
+  isShielded() {
+    return this.shieldTimer > 0;
+  }
+
+  getSurface() {
+    return this.surface;
+  }
+
+  isAirborne() {
+    return this.airborne;
+  }
+
+  getPosition() {
+    return { ...this.position };
+  }
+
+  getRotationY() {
+    return this.rotation;
+  }
+
+  getSpeed() {
+    return this.currentSpeed;
+  }
+
+  // Everything update() depends on, as a flat object of numbers (and one surface
+  // name) that can be sent over the network and restored with setState
+  getState() {
+    return {
+      x: this.position.x,
+      y: this.position.y,
+      z: this.position.z,
+      rotation: this.rotation,
+      vx: this.velocity.x,
+      vz: this.velocity.z,
+      speed: this.currentSpeed,
+      driftDirection: this.driftDirection,
+      driftTime: this.driftTime,
+      boostTimer: this.boostTimer,
+      airborne: this.airborne,
+      verticalSpeed: this.verticalSpeed,
+      surface: this.surface.type,
+      immunity: this.immunity,
+      spinTimer: this.spinTimer,
+      slowTimer: this.slowTimer,
+      shieldTimer: this.shieldTimer,
+    };
+  }
+
+  setState(state) {
+    this.position = { x: state.x, y: state.y, z: state.z };
+    this.rotation = state.rotation;
+    this.velocity = { x: state.vx, z: state.vz };
+    this.currentSpeed = state.speed;
+    this.driftDirection = state.driftDirection;
+    this.driftTime = state.driftTime;
+    this.boostTimer = state.boostTimer;
+    this.airborne = state.airborne;
+    this.verticalSpeed = state.verticalSpeed;
+    this.surface = { type: state.surface, ...SURFACES[state.surface] };
+    this.immunity = state.immunity;
+    this.spinTimer = state.spinTimer;
+    this.slowTimer = state.slowTimer;
+    this.shieldTimer = state.shieldTimer;
+  }
+
+  // Online rooms can switch track between races
+  setTrack(track) {
+    this.track = track;
+  }
+
+  setTopSpeedScale(scale) {
+    this.topSpeedScale = scale;
+  }
+
+  reset(position, rotation) {
+    this.position = { x: position.x, y: GROUND_Y, z: position.z };
+    this.rotation = rotation;
+    this.currentSpeed = 0;
+    this.velocity = { x: 0, z: 0 };
+    this.driftDirection = 0;
+    this.driftTime = 0;
+    this.boostTimer = 0;
+    this.topSpeedScale = 1;
+    this.surface = asphalt();
+    this.airborne = false;
+    this.verticalSpeed = 0;
+    this.immunity = 0;
+    this.spinTimer = 0;
+    this.slowTimer = 0;
+    this.shieldTimer = 0;
+  }
+
+  // Back on the track at a standstill after the reset key (see respawnKart), immune
+  // for `immunity` seconds
+  respawn(position, rotation, immunity) {
+    this.reset(position, rotation);
+    this.immunity = immunity;
+  }
+}
@@ -0,0 +1,266 @@
+import { RACE_CONFIG, RESPAWN_CONFIG } from '../utils/constants.js';
+import { segmentIntersection } from './geometry.js';
+
+// One racer's way round a RaceTrack: which gate is next, laps, lap times and
+// race state. Fed the kart's position every tick; all times come from `clock`
+// (ms), which the game points at its SimulationClock.
+//   onLapComplete(lap, lapTime), onRaceFinish(totalTime, bestLap)
+//   onCheckpoint(index, direction): any gate crossed, 'forward' or 'backward'
+//   onGatePassed(index):            the expected gate crossed in order
+//   onSplit(sector, splitTime):     same, as the 0-based sector just driven and the
+//                                   time into the lap; the last sector ends the lap
+export class RaceProgress {
+  constructor(track, {
+    laps = RACE_CONFIG.laps,
+    onLapComplete,
+    onRaceFinish,
+    onCheckpoint,
+    onGatePassed,
+    onSplit,
+    clock = () => performance.now(),
+  } = {}) {
+    this.clock = clock;
+    this.path = track.getPath();
+    this.startDistance = track.getStartDistance();
+    this.checkpoints = track.getGates();
+    this.currentCheckpoint = this.getFirstTarget();
+    this.lapCount = 0;
+    this.totalLaps = laps;
+    this.raceStartTime = null;
+    this.lapTimes = [];
+    this.lastLapTime = null;
+    this.bestLapTime = null;
+    this.raceState = 'waiting'; // waiting, countdown, racing, finished
+    this.onLapComplete = onLapComplete;
+    this.onRaceFinish = onRaceFinish;
+    this.onCheckpoint = onCheckpoint;
+    this.onGatePassed = onGatePassed;
+    this.onSplit = onSplit;
+    this.lastPosition = null;
+    this.lastRespawnTime = null;
+  }
+
+  // Karts start on the start/finish gate, so the first gate to cross is the next one
+  getFirstTarget() {
+    return this.checkpoints.length > 1 ? 1 : 0;
+  }
+
+  update(carPosition) {
+    const current = { x: carPosition.x, z: carPosition.z };
+    const previous = this.lastPosition;
+    this.lastPosition = current;
+
+    if (this.raceState !== 'racing') return;
+    if (this.lapCount >= this.totalLaps) return;
+    if (!previous) return;
+
+    // Start timer on first checkpoint hit
+    if (this.raceStartTime === null) {
+      this.raceStartTime = this.clock();
+    }
+
+    // Swept test: did the segment travelled this tick cross any gate?
+    this.checkpoints.forEach((gate) => {
+      const hit = segmentIntersection(previous, current, gate.a, gate.b);
+      if (!hit) return;
+
+      const moveX = current.x - previous.x;
+      const moveZ = current.z - previous.z;
+      const dot = moveX * gate.normal.x + moveZ * gate.normal.z;
+      if (dot === 0) return;
+
+      this.onGateCrossed(gate.index, dot > 0 ? 'forward' : 'backward');
+    });
+  }
+
+  onGateCrossed(index, direction) {
+    if (this.onCheckpoint) {
+      this.onCheckpoint(index, direction);
+    }
+
+    if (direction === 'forward') {
+      this.hitCheckpoint(index);
+      return;
+    }
+
+    // Reversing back over the gate just passed undoes it, so it must be crossed again.
+    // The start/finish gate is excluded: that would mean un-completing a lap.
+    const count = this.checkpoints.length;
+    const lastPassed = (this.currentCheckpoint - 1 + count) % count;
+    if (index === lastPassed && index !== 0) {
+      this.currentCheckpoint = lastPassed;
+    }
+  }
+
+  // Holds the kart on the grid until beginRacing (see Countdown)
+  startCountdown() {
+    this.raceState = 'countdown';
+  }
+
+  // Starts the clock. Other racers are started with the lead racer's start time
+  // so everyone shares one GO.
+  beginRacing(startTime = this.clock()) {
+    this.raceState = 'racing';
+    this.raceStartTime = startTime;
+  }
+
+  canMove() {
+    return this.raceState === 'racing';
+  }
+
+  hitCheckpoint(index) {
+    if (index !== this.currentCheckpoint) return;
+
+    if (this.onGatePassed) {
+      this.onGatePassed(index);
+    }
+    if (this.onSplit) {
+      const count = this.checkpoints.length;
+      this.onSplit((index - 1 + count) % count, this.getCurrentLapTime());
+    }
+
+    // Crossing the start/finish gate in order closes the lap
+    if (index === 0) {
+      this.completeLap();
+      return;
+    }
+
+    // Move to next checkpoint (wrapping back to the start/finish gate)
+    this.currentCheckpoint = (this.currentCheckpoint + 1) % this.checkpoints.length;
+  }
+
+  completeLap() {
+    this.lapCount++;
+    this.currentCheckpoint = this.getFirstTarget();
+
+    const now = this.clock();
+    const lapTime = now - (this.lastLapTime ?? this.raceStartTime);
+    this.lastLapTime = now;
+    this.lapTimes.push(lapTime);
+
+    // Track best lap
+    if (this.bestLapTime === null || lapTime < this.bestLapTime) {
+      this.bestLapTime = lapTime;
+    }
+
+    if (this.onLapComplete) {
+      this.onLapComplete(this.lapCount, lapTime);
+    }
+
+    if (this.lapCount >= this.totalLaps) {
+      this.finishRace();
+    }
+  }
+
+  finishRace() {
+    this.raceState = 'finished';
+    const totalTime = this.clock() - this.raceStartTime;
+
+    if (this.onRaceFinish) {
+      this.onRaceFinish(totalTime, this.bestLapTime);
+    }
+  }
+
+  getTotalTime() {
+    if (this.raceStartTime === null) return 0;
+    if (this.raceState === 'finished') {
+      return this.lapTimes.reduce((a, b) => a + b, 0);
+    }
+    return this.clock() - this.raceStartTime;
+  }
+
+  // Gates crossed so far on the current lap (the start/finish gate closes a lap,
+  // so it is never counted here)
+  getCheckpointsPassed() {
+    const count = this.checkpoints.length;
+    return (this.currentCheckpoint - 1 + count) % count;
+  }
+
+  // Straight-line distance from the kart to the middle of the gate it needs next
+  getDistanceToNextGate(carPosition) {
+    const gate = this.checkpoints[this.currentCheckpoint];
+    return Math.hypot(carPosition.x - gate.position.x, carPosition.z - gate.position.z);
+  }
+
+  // Distance driven along the centerline since the start, counting completed laps.
+  // Karts on the grid sit just behind the start line, which reads as the end of a
+  // lap, so that stretch counts as negative until the first gate is crossed.
+  getProgress(carPosition) {
+    const length = this.path.getLength();
+    const projected = this.path.project(carPosition.x, carPosition.z).distance;
+    let distance = (projected - this.startDistance + length) % length;
+    if (this.currentCheckpoint === this.getFirstTarget() && distance > length / 2) {
+      distance -= length;
+    }
+    return this.lapCount * length + distance;
+  }
+
+  // === RESPAWNING ===
+  // The reset key puts the kart back at the last gate passed (see respawnKart)
+
+  // The gate before the one needed next: the start/finish gate early in a lap
+  getLastGate() {
+    const count = this.checkpoints.length;
+    return (this.currentCheckpoint - 1 + count) % count;
+  }
+
+  // Only while racing, and not again within RESPAWN_CONFIG.cooldownMs
+  canRespawn() {
+    return this.raceState === 'racing'
+      && (this.lastRespawnTime === null || this.clock() - this.lastRespawnTime >= RESPAWN_CONFIG.cooldownMs);
+  }
+
+  // The kart was put down at `position`. It didn't drive there, so no gates count as
+  // crossed on the way; then the time penalty.
+  respawned(position) {
+    this.lastPosition = { x: position.x, z: position.z };
+    this.lastRespawnTime = this.clock();
+    this.addPenalty(RESPAWN_CONFIG.penaltyMs);
+  }
+
+  // Time added to the race and the current lap (a respawn or a jump start)
+  addPenalty(ms) {
+    this.raceStartTime -= ms;
+    if (this.lastLapTime !== null) {
+      this.lastLapTime -= ms;
+    }
+  }
+
+  getCurrentLap() {
+    return Math.min(this.lapCount + 1, this.totalLaps);
+  }
+
+  getTotalLaps() {
+    return this.totalLaps;
+  }
+
+  // Time into the lap being driven (ms); the ghost replays against this
+  getCurrentLapTime() {
+    if (this.raceStartTime === null || this.raceState !== 'racing') return 0;
+    return this.clock() - (this.lastLapTime ?? this.raceStartTime);
+  }
+
+  getRaceTime() {
+    return this.getTotalTime();
+  }
+
+  isRaceFinished() {
+    return this.raceState === 'finished';
+  }
+
+  getState() {
+    return this.raceState;
+  }
+
+  reset() {
+    this.currentCheckpoint = this.getFirstTarget();
+    this.lastPosition = null;
+    this.lapCount = 0;
+    this.raceStartTime = null;
+    this.lapTimes = [];
+    this.lastLapTime = null;
+    this.bestLapTime = null;
+    this.lastRespawnTime = null;
+    this.raceState = 'waiting';
+  }
+}
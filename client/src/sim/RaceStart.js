@@ -0,0 +1,63 @@
+import { START_CONFIG } from '../utils/constants.js';
+
+const THROTTLE_ON = 0.5; // Analog throttle past this counts as on it
+
+// One kart's getaway. Through a standing start's countdown it watches the
+// throttle: going on it before the launch window is a jump start, going on it
+// inside the window and staying on it is a launch. go() then hands out the
+// penalty or the boost. A rolling start has nothing to watch; go() gets the
+// kart moving.
+//   type:        'standing' or 'rolling'
+//   launchBoost: whether a launch inside the window boosts
+export class RaceStart {
+  constructor({ type = START_CONFIG.type, launchBoost = START_CONFIG.launchBoost } = {}) {
+    this.type = type;
+    this.launchBoost = launchBoost;
+    this.reset();
+  }
+
+  reset() {
+    this.throttleOn = false;
+    this.jumped = false;
+    this.launched = false; // On the throttle since inside the window
+  }
+
+  // Every countdown tick, with the kart's throttle and the ms left to GO.
+  // True on the tick a jump start is caught.
+  watch(throttle, timeToGo) {
+    if (this.type !== 'standing' || this.jumped) return false;
+
+    const on = throttle >= THROTTLE_ON;
+    const pressed = on && !this.throttleOn;
+    this.throttleOn = on;
+    if (pressed && timeToGo > START_CONFIG.launchWindowMs) {
+      this.jumped = true;
+      this.launched = false;
+      return true;
+    }
+    this.launched = on && (this.launched || pressed);
+    return false;
+  }
+
+  isJumpStart() {
+    return this.jumped;
+  }
+
+  // At GO, once the race clock is running. kart is a Kart or a Car, progress its
+  // RaceProgress. Returns 'jump', 'launch' or null for the HUD.
+  go(kart, progress) {
+    if (this.type === 'rolling') {
+      kart.setForwardSpeed(START_CONFIG.rollingSpeed);
+      return null;
+    }
+    if (this.jumped) {
+      progress.addPenalty(START_CONFIG.jumpStartPenaltyMs);
+      return 'jump';
+    }
+    if (this.launched && this.launchBoost) {
+      kart.boost(START_CONFIG.launchBoostSeconds);
+      return 'launch';
+    }
+    return null;
+  }
+}
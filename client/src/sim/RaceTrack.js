@@ -0,0 +1,162 @@
+import { SURFACES, RACE_CONFIG, START_CONFIG, RESPAWN_CONFIG } from '../utils/constants.js';
+import { TrackPath } from './TrackPath.js';
+
+// Everything the race rules need to know about a track, without drawing it:
+// wall and surface queries, the starting grid, the checkpoint gates, where
+// karts respawn and where the item boxes sit.
+// Points are plain { x, y, z } objects on the ground plane; y is ignored.
+export class RaceTrack {
+  constructor(definition) {
+    this.definition = definition;
+    this.path = new TrackPath(definition);
+    this.gates = this.buildGates();
+  }
+
+  // Gates from the definition, or evenly spaced ones with the first on the start line.
+  // Each gate's normal points the way the track is driven through it.
+  buildGates(count = 4) {
+    const gates = this.definition.checkpoints || this.generateGates(count);
+
+    return gates.map(({ a, b }, index) => {
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const length = Math.sqrt(dx * dx + dz * dz);
+
+      const midX = (a.x + b.x) / 2;
+      const midZ = (a.z + b.z) / 2;
+      const { index: sampleIndex } = this.path.project(midX, midZ);
+      const tangent = this.path.getSamples()[sampleIndex].tangent;
+      let normal = { x: -dz / length, z: dx / length };
+      if (normal.x * tangent.x + normal.z * tangent.z < 0) {
+        normal = { x: -normal.x, z: -normal.z };
+      }
+
+      return {
+        index,
+        a: { x: a.x, z: a.z },
+        b: { x: b.x, z: b.z },
+        normal,
+        length,
+        position: { x: midX, y: 0, z: midZ },
+      };
+    });
+  }
+
+  generateGates(count) {
+    const gates = [];
+    for (let i = 0; i < count; i++) {
+      const point = this.path.getPointAtDistance(this.getStartDistance() + (i / count) * this.path.getLength());
+      const half = point.wallOffset + 1;
+      gates.push({
+        a: { x: point.x - point.normal.x * half, z: point.z - point.normal.z * half },
+        b: { x: point.x + point.normal.x * half, z: point.z + point.normal.z * half },
+      });
+    }
+    return gates;
+  }
+
+  getPath() {
+    return this.path;
+  }
+
+  getGates() {
+    return this.gates;
+  }
+
+  // === BOUNDARY QUERIES ===
+
+  isOnTrack(point, margin = 0) {
+    return this.path.isOnTrack(point.x, point.z, margin);
+  }
+
+  isInsideWalls(point, margin = 0) {
+    return this.path.isInsideWalls(point.x, point.z, margin);
+  }
+
+  // Surface properties (see SURFACES) under a point, with its type name
+  getSurfaceAt(point) {
+    const type = this.path.getSurfaceAt(point.x, point.z);
+    return { type, ...SURFACES[type] };
+  }
+
+  getNearestBoundaryPoint(point) {
+    const boundary = this.path.getNearestBoundaryPoint(point.x, point.z);
+    return { x: boundary.x, y: point.y, z: boundary.z };
+  }
+
+  // Unit normal of the nearest wall, pointing back into the track
+  getWallNormal(point) {
+    const normal = this.path.getWallNormal(point.x, point.z);
+    return { x: normal.x, y: 0, z: normal.z };
+  }
+
+  // === STARTING GRID ===
+
+  // The start line sits `start` (a fraction of the lap) along the centerline;
+  // by default on the first centerline point
+  getStartDistance() {
+    return (this.definition.start || 0) * this.path.getLength();
+  }
+
+  // Centerline point on the start line, with its width, tangent and normal
+  getStartPoint() {
+    return this.path.getPointAtDistance(this.getStartDistance());
+  }
+
+  // Grid slots, pole first, as { back, lateral }: metres behind the start line and
+  // across the asphalt from -1 (left edge) to 1 (right edge). A track can lay out
+  // its own; otherwise slots alternate sides, each a little further back than the
+  // one before.
+  getGridSlots(count = RACE_CONFIG.maxKarts) {
+    const slots = this.definition.grid || [];
+    return Array.from({ length: Math.max(count, slots.length) }, (_, i) => slots[i] || {
+      back: START_CONFIG.gridLineGap + i * START_CONFIG.gridStagger,
+      lateral: i % 2 === 0 ? -0.5 : 0.5,
+    });
+  }
+
+  // Where grid slot `slot` of a `count`-kart grid is. A lone kart takes pole, on
+  // the first of the grid marks like everyone else.
+  getStartPosition(slot = 0, count = 1) {
+    const start = this.getStartPoint();
+    const { back, lateral } = this.getGridSlots(count)[slot];
+    const across = lateral * start.width / 2;
+    return {
+      x: start.x + start.normal.x * across - start.tangent.x * back,
+      y: 0,
+      z: start.z + start.normal.z * across - start.tangent.z * back,
+    };
+  }
+
+  getStartRotation() {
+    // Facing along the centerline at the start line
+    return this.path.getHeadingAt(this.getStartPoint());
+  }
+
+  // === RESPAWNING ===
+
+  // Where a kart that last passed gate `index` goes back to: on the centerline a
+  // few metres past the gate, facing along the track
+  getRespawnPoint(index) {
+    const gate = this.gates[index];
+    const { distance } = this.path.project(gate.position.x, gate.position.z);
+    const point = this.path.getPointAtDistance(distance + RESPAWN_CONFIG.aheadDistance);
+    return {
+      position: { x: point.x, y: 0, z: point.z },
+      rotation: this.path.getHeadingAt(point),
+    };
+  }
+
+  // === ITEM BOXES ===
+
+  // Where the track's item boxes sit: each `at` a fraction of the lap from the
+  // first centerline point and `lateral` across the asphalt from -1 (left edge)
+  // to 1 (right edge), in the middle by default
+  getItemBoxes() {
+    return (this.definition.itemBoxes || []).map(({ at, lateral = 0 }) => {
+      const point = this.path.getPointAtDistance(at * this.path.getLength());
+      const across = lateral * point.width / 2;
+      return { x: point.x + point.normal.x * across, y: 0, z: point.z + point.normal.z * across };
+    });
+  }
+}
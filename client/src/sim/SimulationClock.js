@@ -0,0 +1,24 @@
+// Simulation time that only moves in fixed ticks. Lap timers read it instead of
+// performance.now(), so results depend on the inputs, not on the frame rate.
+export class SimulationClock {
+  constructor(tickRate) {
+    this.step = 1000 / tickRate; // ms per tick
+    this.time = 0;
+    this.ticks = 0;
+  }
+
+  advance() {
+    this.ticks++;
+    // Multiply rather than accumulate so the time never drifts by rounding
+    this.time = this.ticks * this.step;
+  }
+
+  // ms of simulated time since the clock was created
+  now() {
+    return this.time;
+  }
+
+  getStep() {
+    return this.step;
+  }
+}
@@ -0,0 +1,102 @@
+// Live race order for every kart in a race, human or AI. Racers are ranked by laps
+// completed, then gates passed on the current lap, then distance to the next gate;
+// anyone who has finished is ranked by finishing order ahead of everyone still racing.
+//
+// A racer is any object with { name, color, car, checkpoints }, where car is a Car
+// or Kart and checkpoints its RaceProgress (see Game.createPlayer).
+export class Standings {
+  constructor(racers) {
+    this.racers = racers;
+    this.order = [...racers];
+    this.finishes = []; // { racer, totalTime, bestLap, gap } in finishing order
+  }
+
+  update() {
+    const finished = this.finishes.map(({ racer }) => racer);
+    const racing = this.racers
+      .filter((racer) => !finished.includes(racer))
+      .map((racer) => {
+        const { checkpoints, car } = racer;
+        const position = car.getPosition();
+        return {
+          racer,
+          laps: checkpoints.lapCount,
+          gates: checkpoints.getCheckpointsPassed(),
+          distance: checkpoints.getDistanceToNextGate(position),
+        };
+      })
+      .sort((a, b) => (b.laps - a.laps) || (b.gates - a.gates) || (a.distance - b.distance))
+      .map(({ racer }) => racer);
+
+    this.order = [...finished, ...racing];
+  }
+
+  // Returns the racer's finishing place (1-based)
+  recordFinish(racer, totalTime, bestLap) {
+    const winner = this.finishes[0];
+    this.finishes.push({
+      racer,
+      totalTime,
+      bestLap,
+      gap: winner ? totalTime - winner.totalTime : 0,
+    });
+    this.update();
+    return this.finishes.length;
+  }
+
+  // Drops a racer who left mid-race (online), finished or not
+  remove(racer) {
+    this.racers = this.racers.filter((entry) => entry !== racer);
+    this.finishes = this.finishes.filter((finish) => finish.racer !== racer);
+    this.update();
+  }
+
+  // Adds a racer who joined before the start (online)
+  add(racer) {
+    this.racers = [...this.racers, racer];
+    this.update();
+  }
+
+  // Current 1-based position
+  getPosition(racer) {
+    return this.order.indexOf(racer) + 1;
+  }
+
+  getCount() {
+    return this.racers.length;
+  }
+
+  getOrder() {
+    return this.order;
+  }
+
+  getFinishOrder() {
+    return this.finishes.map(({ racer }) => racer);
+  }
+
+  isFinished(racer) {
+    return this.finishes.some((finish) => finish.racer === racer);
+  }
+
+  // One row per racer in current order, for the finish screen. Racers still on
+  // track have no total time yet.
+  getResults() {
+    return this.order.map((racer, i) => {
+      const finish = this.finishes.find((entry) => entry.racer === racer);
+      return {
+        position: i + 1,
+        name: racer.name,
+        color: racer.color,
+        finished: Boolean(finish),
+        totalTime: finish ? finish.totalTime : null,
+        bestLap: finish ? finish.bestLap : racer.checkpoints.bestLapTime,
+        gap: finish ? finish.gap : null,
+      };
+    });
+  }
+
+  reset() {
+    this.finishes = [];
+    this.order = [...this.racers];
+  }
+}
@@ -0,0 +1,237 @@
+// Samples a closed Catmull-Rom centerline into a polyline with per-sample
+// width, tangent, left/right edge points and wall lines. Pure data, no Babylon types,
+// so geometry can be queried without a scene.
+
+const DEFAULT_SAMPLES_PER_SEGMENT = 8;
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    2 * p1 +
+    (-p0 + p2) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (-p0 + 3 * p1 - 3 * p2 + p3) * t3
+  );
+}
+
+export class TrackPath {
+  constructor(definition) {
+    const { centerline, width, runoff = 0, samplesPerSegment = DEFAULT_SAMPLES_PER_SEGMENT } = definition;
+    if (!centerline || centerline.length < 3) {
+      throw new Error(`Track "${definition.id}" needs at least 3 centerline points`);
+    }
+
+    this.controlPoints = centerline.map((p) => ({
+      x: p.x,
+      z: p.z,
+      width: p.width ?? width,
+      runoff: p.runoff ?? runoff,
+    }));
+    this.surfaces = definition.surfaces || [];
+    this.samples = [];
+    this.length = 0;
+
+    this.sample(samplesPerSegment);
+  }
+
+  sample(samplesPerSegment) {
+    const points = this.controlPoints;
+    const count = points.length;
+
+    for (let i = 0; i < count; i++) {
+      const p0 = points[(i - 1 + count) % count];
+      const p1 = points[i];
+      const p2 = points[(i + 1) % count];
+      const p3 = points[(i + 2) % count];
+
+      for (let s = 0; s < samplesPerSegment; s++) {
+        const t = s / samplesPerSegment;
+        this.samples.push({
+          x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+          z: catmullRom(p0.z, p1.z, p2.z, p3.z, t),
+          width: Math.max(1, catmullRom(p0.width, p1.width, p2.width, p3.width, t)),
+          // Grass strip between the asphalt edge and the wall
+          runoff: Math.max(0, p1.runoff + (p2.runoff - p1.runoff) * t),
+        });
+      }
+    }
+
+    // Tangents from neighbouring samples, then edges offset along the right normal
+    const total = this.samples.length;
+    let distance = 0;
+    this.samples.forEach((sample, i) => {
+      const prev = this.samples[(i - 1 + total) % total];
+      const next = this.samples[(i + 1) % total];
+      const dx = next.x - prev.x;
+      const dz = next.z - prev.z;
+      const len = Math.sqrt(dx * dx + dz * dz) || 1;
+
+      sample.tangent = { x: dx / len, z: dz / len };
+      // Right-hand side when facing along the tangent (Babylon is left-handed, +Y up)
+      sample.normal = { x: sample.tangent.z, z: -sample.tangent.x };
+
+      const half = sample.width / 2;
+      sample.left = { x: sample.x - sample.normal.x * half, z: sample.z - sample.normal.z * half };
+      sample.right = { x: sample.x + sample.normal.x * half, z: sample.z + sample.normal.z * half };
+
+      sample.wallOffset = half + sample.runoff;
+      const wall = sample.wallOffset;
+      sample.wallLeft = { x: sample.x - sample.normal.x * wall, z: sample.z - sample.normal.z * wall };
+      sample.wallRight = { x: sample.x + sample.normal.x * wall, z: sample.z + sample.normal.z * wall };
+
+      if (i > 0) {
+        const before = this.samples[i - 1];
+        distance += Math.hypot(sample.x - before.x, sample.z - before.z);
+      }
+      sample.distance = distance;
+    });
+
+    const last = this.samples[total - 1];
+    const first = this.samples[0];
+    this.length = distance + Math.hypot(first.x - last.x, first.z - last.z);
+  }
+
+  getSamples() {
+    return this.samples;
+  }
+
+  getLength() {
+    return this.length;
+  }
+
+  // Interpolated centerline sample at a distance along the path (wraps around)
+  getPointAtDistance(distance) {
+    const d = ((distance % this.length) + this.length) % this.length;
+    const total = this.samples.length;
+
+    for (let i = 0; i < total; i++) {
+      const a = this.samples[i];
+      const b = this.samples[(i + 1) % total];
+      const end = i === total - 1 ? this.length : b.distance;
+      if (d <= end) {
+        const t = (d - a.distance) / ((end - a.distance) || 1);
+        const x = a.x + (b.x - a.x) * t;
+        const z = a.z + (b.z - a.z) * t;
+        const width = a.width + (b.width - a.width) * t;
+        const wallOffset = a.wallOffset + (b.wallOffset - a.wallOffset) * t;
+        return { x, z, width, wallOffset, tangent: a.tangent, normal: a.normal };
+      }
+    }
+    return { ...this.samples[0] };
+  }
+
+  // Closest point on the centerline polyline to (x, z), with the signed lateral
+  // offset (positive = right of the direction of travel) and the local half width
+  project(x, z) {
+    const total = this.samples.length;
+    let best = null;
+    let bestDistSq = Infinity;
+
+    for (let i = 0; i < total; i++) {
+      const a = this.samples[i];
+      const b = this.samples[(i + 1) % total];
+      const abx = b.x - a.x;
+      const abz = b.z - a.z;
+      const lenSq = abx * abx + abz * abz || 1;
+      const t = Math.max(0, Math.min(1, ((x - a.x) * abx + (z - a.z) * abz) / lenSq));
+      const px = a.x + abx * t;
+      const pz = a.z + abz * t;
+      const distSq = (x - px) * (x - px) + (z - pz) * (z - pz);
+
+      if (distSq < bestDistSq) {
+        bestDistSq = distSq;
+        best = { index: i, t, x: px, z: pz };
+      }
+    }
+
+    const a = this.samples[best.index];
+    const b = this.samples[(best.index + 1) % total];
+    const nx = a.normal.x + (b.normal.x - a.normal.x) * best.t;
+    const nz = a.normal.z + (b.normal.z - a.normal.z) * best.t;
+    const nLen = Math.sqrt(nx * nx + nz * nz) || 1;
+    const normal = { x: nx / nLen, z: nz / nLen };
+    const segmentLength = best.index === total - 1 ? this.length - a.distance : b.distance - a.distance;
+
+    return {
+      ...best,
+      normal,
+      offset: (x - best.x) * normal.x + (z - best.z) * normal.z,
+      halfWidth: (a.width + (b.width - a.width) * best.t) / 2,
+      wallOffset: a.wallOffset + (b.wallOffset - a.wallOffset) * best.t,
+      distance: a.distance + segmentLength * best.t,
+    };
+  }
+
+  // True when (x, z) is on the asphalt with at least `margin` to spare from either wall
+  isOnTrack(x, z, margin = 0) {
+    const { offset, halfWidth } = this.project(x, z);
+    return Math.abs(offset) <= halfWidth - margin;
+  }
+
+  // True when (x, z) is between the walls (asphalt or runoff) with `margin` to spare
+  isInsideWalls(x, z, margin = 0) {
+    const { offset, wallOffset } = this.project(x, z);
+    return Math.abs(offset) <= wallOffset - margin;
+  }
+
+  // Nearest point on the left or right wall line, plus the wall normal pointing into the track
+  getNearestBoundaryPoint(x, z) {
+    const projection = this.project(x, z);
+    const side = projection.offset >= 0 ? 1 : -1;
+    const { normal, wallOffset, offset } = projection;
+
+    // Slide the point along the normal onto the wall line rather than snapping to the
+    // projection, which would pin everything outside a polyline corner to one spot
+    const shift = offset - wallOffset * side;
+
+    return {
+      x: x - normal.x * shift,
+      z: z - normal.z * shift,
+      side: side > 0 ? 'right' : 'left',
+      normal: { x: -normal.x * side, z: -normal.z * side },
+    };
+  }
+
+  getWallNormal(x, z) {
+    return this.getNearestBoundaryPoint(x, z).normal;
+  }
+
+  // Surface type name at (x, z): a declared zone if one covers the point, otherwise
+  // 'asphalt' on the racing surface and 'grass' on the runoff.
+  // Zones are { type, from, to, lateral? } where from/to are fractions of the lap
+  // distance (to < from wraps over the start line) and lateral is [min, max] across
+  // the asphalt from -1 (left edge) to 1 (right edge), defaulting to the full width.
+  getSurfaceAt(x, z) {
+    const { offset, halfWidth, distance } = this.project(x, z);
+    const along = distance / this.length;
+    const across = offset / halfWidth;
+
+    const zone = this.surfaces.find(({ from, to, lateral = [-1, 1] }) => {
+      const inRange = from <= to ? along >= from && along <= to : along >= from || along <= to;
+      return inRange && across >= lateral[0] && across <= lateral[1];
+    });
+    if (zone) return zone.type;
+
+    return Math.abs(offset) <= halfWidth ? 'asphalt' : 'grass';
+  }
+
+  // Heading in radians for Babylon's rotation.y (0 = facing +Z)
+  getHeadingAt(sample) {
+    return Math.atan2(sample.tangent.x, sample.tangent.z);
+  }
+
+  getBounds() {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    this.samples.forEach(({ wallLeft, wallRight }) => {
+      minX = Math.min(minX, wallLeft.x, wallRight.x);
+      maxX = Math.max(maxX, wallLeft.x, wallRight.x);
+      minZ = Math.min(minZ, wallLeft.z, wallRight.z);
+      maxZ = Math.max(maxZ, wallLeft.z, wallRight.z);
+    });
+    return { minX, maxX, minZ, maxZ };
+  }
+}
@@ -0,0 +1,25 @@
+// 2D helpers on the ground plane. Points are anything with x and z.
+
+// Intersection of segments p1-p2 and q1-q2. Returns the parameters along each
+// segment (t for p, u for q, both 0..1) or null when they don't touch.
+export function segmentIntersection(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x;
+  const rz = p2.z - p1.z;
+  const sx = q2.x - q1.x;
+  const sz = q2.z - q1.z;
+  const denom = rx * sz - rz * sx;
+  if (Math.abs(denom) < 1e-9) return null; // Parallel or degenerate
+
+  const qpx = q1.x - p1.x;
+  const qpz = q1.z - p1.z;
+  const t = (qpx * sz - qpz * sx) / denom;
+  const u = (qpx * rz - qpz * rx) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+  return { t, u };
+}
+
+// Distance between two points, ignoring height
+export function groundDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
@@ -0,0 +1,43 @@
+// Grid order: who lines up in which slot (see RaceTrack.getGridSlots).
+
+// Racers that rank(racer) gives a number for, lowest first, then the rest as given
+function ranked(racers, rank) {
+  const hasRank = racers.filter((racer) => rank(racer) !== null);
+  return [
+    ...hasRank.sort((a, b) => rank(a) - rank(b)),
+    ...racers.filter((racer) => rank(racer) === null),
+  ];
+}
+
+const ORDERS = {
+  fixed: (racers) => [...racers],
+  // Quickest lap first
+  qualifying: (racers, { bestLaps }) => ranked(racers, (racer) => bestLaps.get(racer) ?? null),
+  // Standings leader last
+  reverse: (racers, { standings }) => ranked(racers, (racer) => {
+    const position = standings.indexOf(racer);
+    return position === -1 ? null : -position;
+  }),
+  // Shuffled
+  random: (racers, { random }) => {
+    const order = [...racers];
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  },
+};
+
+export const GRID_ORDERS = Object.keys(ORDERS);
+
+// racers in grid order, pole first:
+//   fixed:      as given
+//   qualifying: by bestLaps (racer -> ms), racers without a time behind
+//   reverse:    standings (racers, leader first) backwards, so the leader starts at
+//               the back; racers not in them behind
+//   random:     a draw, with random() in [0, 1)
+// Racers left behind keep the order they were given in.
+export function orderGrid(racers, order, { bestLaps = new Map(), standings = [], random = Math.random } = {}) {
+  return (ORDERS[order] || ORDERS.fixed)(racers, { bestLaps, standings, random });
+}
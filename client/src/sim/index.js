@@ -0,0 +1,15 @@
+// The race simulation: kart driving, track geometry, lap tracking and race
+// state in plain JavaScript, with no Babylon or DOM dependencies. The browser
+// game draws it; Node can run it as-is.
+export { SimulationClock } from './SimulationClock.js';
+export { TrackPath } from './TrackPath.js';
+export { RaceTrack } from './RaceTrack.js';
+export { Kart } from './Kart.js';
+export { RaceProgress } from './RaceProgress.js';
+export { Countdown } from './Countdown.js';
+export { Standings } from './Standings.js';
+export { RaceStart } from './RaceStart.js';
+export { orderGrid, GRID_ORDERS } from './grid.js';
+export { ItemSystem, ITEMS } from './ItemSystem.js';
+export { respawnKart } from './respawn.js';
+export { segmentIntersection, groundDistance } from './geometry.js';
@@ -0,0 +1,13 @@
+import { RESPAWN_CONFIG } from '../utils/constants.js';
+
+// Puts a kart back on the track at the last gate its racer passed, facing along
+// the track, if that racer's RaceProgress allows it (racing, cooldown over).
+// kart is a Kart, or a Car in the browser. Returns whether it respawned.
+export function respawnKart(kart, progress, track) {
+  if (!progress.canRespawn()) return false;
+
+  const { position, rotation } = track.getRespawnPoint(progress.getLastGate());
+  kart.respawn(position, rotation, RESPAWN_CONFIG.immunitySeconds);
+  progress.respawned(position);
+  return true;
+}
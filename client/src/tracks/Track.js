@@ -1,23 +1,36 @@
-import { Vector3, MeshBuilder, StandardMaterial, Color3 } from '@babylonjs/core';
-import { COLORS } from '../utils/constants.js';
+import { Vector3, Matrix, MeshBuilder, StandardMaterial, Color3, PhysicsAggregate, PhysicsShapeType } from '@babylonjs/core';
+import { COLORS, SURFACES, PROPS, CAR_CONFIG, RACE_CONFIG } from '../utils/constants.js';
+import { RaceTrack } from '../sim/RaceTrack.js';
 
+// Draws a track. The geometry the race rules use (walls, surfaces, grid, gates)
+// lives in `model`, a RaceTrack from the simulation package.
 export class Track {
   constructor(scene, definition) {
     this.scene = scene;
     this.definition = definition;
+    this.model = new RaceTrack(definition);
     this.meshes = [];
     this.walls = [];
+    this.path = null;
+    this.wallMaterial = null;
+    this.materials = []; // Everything createMaterial made, disposed with the track
+    this.aggregates = [];
     
     this.build();
   }
 
   build() {
-    // Create ground/grass base
-    const ground = MeshBuilder.CreateGround('ground', { width: 200, height: 200 }, this.scene);
-    const grassMat = new StandardMaterial('grassMat', this.scene);
-    grassMat.diffuseColor = Color3.FromHexString(COLORS.grass);
-    ground.material = grassMat;
-    ground.position.y = -0.1;
+    this.path = this.model.getPath();
+
+    // Create ground/grass base, sized to the track with some margin
+    const { minX, maxX, minZ, maxZ } = this.path.getBounds();
+    const margin = 40;
+    const ground = MeshBuilder.CreateGround('ground', {
+      width: maxX - minX + margin * 2,
+      height: maxZ - minZ + margin * 2,
+    }, this.scene);
+    ground.material = this.createMaterial('grassMat', COLORS.grass);
+    ground.position = new Vector3((minX + maxX) / 2, -0.1, (minZ + maxZ) / 2);
     this.meshes.push(ground);
 
     // Build track surface
@@ -25,92 +38,196 @@ export class Track {
     
     // Build walls
     this.buildWalls();
+
+    this.buildProps();
+
+    // Static colliders for the physics driving model
+    if (this.scene.getPhysicsEngine()) {
+      this.addPhysicsBodies(ground);
+    }
+  }
+
+  // A plain material of `color`, owned by the track
+  createMaterial(name, color) {
+    const material = new StandardMaterial(name, this.scene);
+    material.diffuseColor = Color3.FromHexString(color);
+    this.materials.push(material);
+    return material;
+  }
+
+  addPhysicsBodies(ground) {
+    this.aggregates.push(new PhysicsAggregate(ground, PhysicsShapeType.BOX, {
+      mass: 0,
+      friction: 0.8,
+    }, this.scene));
+
+    this.walls.forEach((wall) => {
+      this.aggregates.push(new PhysicsAggregate(wall, PhysicsShapeType.BOX, {
+        mass: 0,
+        friction: 0.2,
+        restitution: 0.3,
+      }, this.scene));
+    });
   }
 
   buildTrackSurface() {
-    const { innerRadius, outerRadius } = this.definition;
-    const trackWidth = outerRadius - innerRadius;
-    const centerRadius = (innerRadius + outerRadius) / 2;
-    
-    // Create track as a tube/ring
-    const trackPath = [];
-    const segments = 64;
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      trackPath.push(new Vector3(Math.cos(angle) * centerRadius, 0, Math.sin(angle) * centerRadius));
-    }
+    const samples = this.path.getSamples();
 
-    // Create track surface using ribbon
-    const inner = [];
-    const outer = [];
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      inner.push(new Vector3(Math.cos(angle) * innerRadius, 0.01, Math.sin(angle) * innerRadius));
-      outer.push(new Vector3(Math.cos(angle) * outerRadius, 0.01, Math.sin(angle) * outerRadius));
-    }
+    // Ribbon between the two edge lines, closed back onto the first sample
+    const left = samples.map((s) => new Vector3(s.left.x, 0.01, s.left.z));
+    const right = samples.map((s) => new Vector3(s.right.x, 0.01, s.right.z));
+    left.push(left[0].clone());
+    right.push(right[0].clone());
 
     const track = MeshBuilder.CreateRibbon('track', {
-      pathArray: [inner, outer],
+      pathArray: [left, right],
       sideOrientation: 2
     }, this.scene);
 
-    const trackMat = new StandardMaterial('trackMat', this.scene);
-    trackMat.diffuseColor = Color3.FromHexString(COLORS.track);
-    track.material = trackMat;
+    track.material = this.createMaterial('trackMat', COLORS.track);
     this.meshes.push(track);
 
+    // Mud, ice, boost and jump zones on top of the asphalt
+    this.buildSurfaceZones();
+
     // Add start/finish line
     this.addStartLine();
   }
 
+  buildSurfaceZones() {
+    const { surfaces = [] } = this.definition;
+    const length = this.path.getLength();
+
+    surfaces.forEach((zone, index) => {
+      const surface = SURFACES[zone.type];
+      if (!surface) {
+        console.warn(`Unknown surface type "${zone.type}" in track "${this.definition.id}"`);
+        return;
+      }
+
+      const [minLateral, maxLateral] = zone.lateral || [-1, 1];
+      const start = zone.from * length;
+      const span = zone.to >= zone.from ? (zone.to - zone.from) * length : (1 - zone.from + zone.to) * length;
+      const steps = Math.max(1, Math.ceil(span));
+
+      const left = [];
+      const right = [];
+      for (let i = 0; i <= steps; i++) {
+        const point = this.path.getPointAtDistance(start + (i / steps) * span);
+        const half = point.width / 2;
+        left.push(new Vector3(point.x + point.normal.x * half * minLateral, 0.02, point.z + point.normal.z * half * minLateral));
+        right.push(new Vector3(point.x + point.normal.x * half * maxLateral, 0.02, point.z + point.normal.z * half * maxLateral));
+      }
+
+      const patch = MeshBuilder.CreateRibbon(`surface${index}`, {
+        pathArray: [left, right],
+        sideOrientation: 2
+      }, this.scene);
+
+      const mat = this.createMaterial(`surfaceMat${index}`, surface.color);
+      // Pads glow so they read from a distance
+      if (surface.boostDuration || surface.jumpSpeed) {
+        mat.emissiveColor = Color3.FromHexString(surface.color).scale(0.5);
+      }
+      patch.material = mat;
+      this.meshes.push(patch);
+    });
+  }
+
   addStartLine() {
-    const { innerRadius, outerRadius } = this.definition;
-    const trackWidth = outerRadius - innerRadius;
-    const centerRadius = (innerRadius + outerRadius) / 2;
+    const start = this.model.getStartPoint();
 
     // Checkered start line
     const startLine = MeshBuilder.CreateBox('startLine', {
-      width: trackWidth,
+      width: start.width,
       height: 0.05,
       depth: 2
     }, this.scene);
-    startLine.position = new Vector3(centerRadius, 0.02, 0);
+    startLine.position = new Vector3(start.x, 0.02, start.z);
+    startLine.rotation.y = this.path.getHeadingAt(start);
     
-    const startMat = new StandardMaterial('startMat', this.scene);
-    startMat.diffuseColor = Color3.White();
+    const startMat = this.createMaterial('startMat', '#FFFFFF');
     startLine.material = startMat;
     this.meshes.push(startLine);
+
+    // A white bar painted across the front of each grid slot
+    const heading = this.path.getHeadingAt(start);
+    const ahead = CAR_CONFIG.length / 2 + 0.4;
+    for (let slot = 0; slot < RACE_CONFIG.maxKarts; slot++) {
+      const position = this.model.getStartPosition(slot, RACE_CONFIG.maxKarts);
+      const mark = MeshBuilder.CreateBox(`gridSlot${slot}`, {
+        width: CAR_CONFIG.width + 0.6,
+        height: 0.05,
+        depth: 0.3,
+      }, this.scene);
+      mark.position = new Vector3(position.x + start.tangent.x * ahead, 0.02, position.z + start.tangent.z * ahead);
+      mark.rotation.y = heading;
+      mark.material = startMat;
+      this.meshes.push(mark);
+    }
   }
 
   buildWalls() {
-    const { innerRadius, outerRadius, wallHeight } = this.definition;
-    const segments = 48;
-
-    // Inner wall
-    for (let i = 0; i < segments; i++) {
-      const angle1 = (i / segments) * Math.PI * 2;
-      const angle2 = ((i + 1) / segments) * Math.PI * 2;
-      
-      const x1 = Math.cos(angle1) * innerRadius;
-      const z1 = Math.sin(angle1) * innerRadius;
-      const x2 = Math.cos(angle2) * innerRadius;
-      const z2 = Math.sin(angle2) * innerRadius;
-      
-      this.createWallSegment(x1, z1, x2, z2, wallHeight, `innerWall${i}`);
+    const { wallHeight } = this.definition;
+    const samples = this.path.getSamples();
+    const count = samples.length;
+
+    this.wallMaterial = this.createMaterial('wallMat', COLORS.wall);
+
+    for (let i = 0; i < count; i++) {
+      const a = samples[i];
+      const b = samples[(i + 1) % count];
+
+      this.createWallSegment(a.wallLeft.x, a.wallLeft.z, b.wallLeft.x, b.wallLeft.z, wallHeight, `leftWall${i}`);
+      this.createWallSegment(a.wallRight.x, a.wallRight.z, b.wallRight.x, b.wallRight.z, wallHeight, `rightWall${i}`);
     }
+  }
 
-    // Outer wall
-    for (let i = 0; i < segments; i++) {
-      const angle1 = (i / segments) * Math.PI * 2;
-      const angle2 = ((i + 1) / segments) * Math.PI * 2;
-      
-      const x1 = Math.cos(angle1) * outerRadius;
-      const z1 = Math.sin(angle1) * outerRadius;
-      const x2 = Math.cos(angle2) * outerRadius;
-      const z2 = Math.sin(angle2) * outerRadius;
-      
-      this.createWallSegment(x1, z1, x2, z2, wallHeight, `outerWall${i}`);
+  // Low-poly scenery from the definition's props
+  buildProps() {
+    const { props = [] } = this.definition;
+    props.forEach((prop, index) => {
+      const config = PROPS[prop.type];
+      if (!config) {
+        console.warn(`Unknown prop type "${prop.type}" in track "${this.definition.id}"`);
+        return;
+      }
+
+      const mesh = this.createPropMesh(prop.type, config.color, `prop${index}`);
+      mesh.position = new Vector3(prop.x, 0, prop.z);
+      mesh.rotation.y = prop.rotation || 0;
+      mesh.scaling.scaleInPlace(prop.scale || 1);
+      this.meshes.push(mesh);
+    });
+  }
+
+  // Meshes sit on the ground with their origin at the base
+  createPropMesh(type, color, name) {
+    const mat = this.createMaterial(`${name}Mat`, color);
+
+    if (type === 'tree') {
+      const trunk = MeshBuilder.CreateCylinder(name, { height: 2, diameter: 0.6, tessellation: 6 }, this.scene);
+      trunk.material = this.createMaterial(`${name}TrunkMat`, '#6D4C41');
+      trunk.bakeTransformIntoVertices(Matrix.Translation(0, 1, 0));
+
+      const crown = MeshBuilder.CreateCylinder(`${name}Crown`, {
+        height: 4,
+        diameterTop: 0,
+        diameterBottom: 3,
+        tessellation: 6,
+      }, this.scene);
+      crown.position.y = 4;
+      crown.parent = trunk;
+      crown.material = mat;
+      return trunk;
     }
+
+    const mesh = type === 'rock'
+      ? MeshBuilder.CreatePolyhedron(name, { type: 2, size: 1.2 }, this.scene)
+      : MeshBuilder.CreateCylinder(name, { height: 1, diameterTop: 0.1, diameterBottom: 0.7, tessellation: 8 }, this.scene);
+    mesh.bakeTransformIntoVertices(Matrix.Translation(0, type === 'rock' ? 0.6 : 0.5, 0));
+    mesh.material = mat;
+    return mesh;
   }
 
   createWallSegment(x1, z1, x2, z2, height, name) {
@@ -128,25 +245,29 @@ export class Track {
     wall.position = new Vector3((x1 + x2) / 2, height / 2, (z1 + z2) / 2);
     wall.rotation.y = angle;
 
-    const wallMat = new StandardMaterial(`${name}Mat`, this.scene);
-    wallMat.diffuseColor = Color3.FromHexString(COLORS.wall);
-    wall.material = wallMat;
+    wall.material = this.wallMaterial;
     
     this.walls.push(wall);
     this.meshes.push(wall);
   }
 
-  getStartPosition() {
-    const { innerRadius, outerRadius } = this.definition;
-    const centerRadius = (innerRadius + outerRadius) / 2;
-    return new Vector3(centerRadius, 0, 0);
+  getPath() {
+    return this.path;
+  }
+
+  // Start slot as a Vector3 (see RaceTrack.getStartPosition)
+  getStartPosition(slot = 0, count = 1) {
+    const { x, y, z } = this.model.getStartPosition(slot, count);
+    return new Vector3(x, y, z);
   }
 
   getStartRotation() {
-    return 0; // Facing +Z direction (along the track, counter-clockwise)
+    return this.model.getStartRotation();
   }
 
   dispose() {
+    this.aggregates.forEach(aggregate => aggregate.dispose());
     this.meshes.forEach(mesh => mesh.dispose());
+    this.materials.forEach((material) => material.dispose());
   }
 }
@@ -0,0 +1,18 @@
+import { parseTrack } from '../trackFormat.js';
+import oval from './oval.json' with { type: 'json' };
+import canyon from './canyon.json' with { type: 'json' };
+
+// Bundled tracks by id, for anything that picks a track by name (online rooms,
+// ?track=). They go through the same checks as any other track file.
+export const TRACKS = Object.fromEntries([oval, canyon].map((data) => {
+  const track = parseTrack(data);
+  return [track.id, track];
+}));
+
+export const DEFAULT_TRACK_ID = 'oval';
+
+// Grand Prix cups: bundled tracks raced in order (see race/GrandPrix.js)
+export const CUPS = {
+  classic: { id: 'classic', name: 'Classic Cup', tracks: ['oval', 'canyon'] },
+  endurance: { id: 'endurance', name: 'Endurance Cup', tracks: ['canyon', 'oval', 'canyon', 'oval'] },
+};
@@ -1,8 +0,0 @@
-export const ovalTrack = {
-  id: 'oval',
-  name: 'Oval Speedway',
-  innerRadius: 25,
-  outerRadius: 45,
-  wallHeight: 2,
-  laps: 3
-};
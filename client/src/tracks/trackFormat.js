@@ -0,0 +1,243 @@
+// Track files: track definitions as versioned JSON. The bundled tracks
+// (tracks/definitions/), editor exports and tracks loaded from a file or URL all
+// use it, and Track / RaceTrack take the parsed object as it is.
+//
+//   {
+//     "format": "kart-racer-track",
+//     "version": 4,
+//     "id": "canyon",          a-z, 0-9 and -, starting with a letter
+//     "name": "Canyon Circuit",
+//     "author": "...",         optional
+//     "description": "...",    optional
+//     "laps": 3,               race length
+//     "width": 14,             asphalt width in metres
+//     "runoff": 2,             optional grass strip between the asphalt and the walls
+//     "wallHeight": 2,
+//     "start": 0,              optional start line, as a fraction of the lap from the first point
+//     "centerline": [{ "x", "z", "width"?, "runoff"? }, ...]
+//         Closed Catmull-Rom centerline, driven in point order (at least 3 points).
+//         A point's width / runoff overrides the track's there.
+//     "checkpoints": [{ "a": { "x", "z" }, "b": { "x", "z" } }, ...]
+//         Optional gates as line segments across the track, crossed in order. The
+//         first is start/finish. Without them, 4 evenly spaced gates are used.
+//     "surfaces": [{ "type", "from", "to", "lateral"? }, ...]
+//         Optional zones (mud, ice, boost, jump...): from/to are fractions of the
+//         lap, lateral is [left, right] from -1 (left edge) to 1 (right edge).
+//     "props": [{ "type", "x", "z", "rotation"?, "scale"? }, ...]
+//         Optional scenery (tree, rock, cone) without collisions.
+//     "grid": [{ "back", "lateral" }, ...]
+//         Optional starting grid, pole first: metres behind the start line and across
+//         the asphalt from -1 (left edge) to 1 (right edge), with a slot for every
+//         kart of a full race. Without it, slots alternate sides, staggered 3 m apart.
+//     "itemBoxes": [{ "at", "lateral"? }, ...]
+//         Optional item boxes: at is a fraction of the lap, lateral from -1 (left
+//         edge) to 1 (right edge), 0 (the middle) by default.
+//   }
+//
+// Version 1 files had no format marker, start line or props (the grid sat on the
+// first centerline point); they're migrated when loaded. Editor drafts saved back
+// then have no version either, but do have a start line and props, which are kept.
+// Version 2 files had no grid and version 3 files no item boxes; they load as they are.
+import { SURFACES, PROPS, RACE_CONFIG } from '../utils/constants.js';
+
+export const TRACK_FORMAT = 'kart-racer-track';
+export const TRACK_VERSION = 4;
+const MAX_LAPS = 99;
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const FIELDS = [
+  'format', 'version', 'id', 'name', 'author', 'description', 'laps', 'width', 'runoff',
+  'wallHeight', 'start', 'centerline', 'checkpoints', 'surfaces', 'props', 'grid',
+  'itemBoxes',
+];
+
+// Upgrades a track of version N to N + 1
+const MIGRATIONS = {
+  1: (track) => ({ ...track, format: TRACK_FORMAT, version: 2, start: track.start ?? 0, props: track.props ?? [] }),
+  2: (track) => ({ ...track, version: 3 }),
+  3: (track) => ({ ...track, version: 4 }),
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeRange(min, max) {
+  if (max === Infinity) return `at least ${min}`;
+  return `from ${min} to ${max}`;
+}
+
+// Adds a message unless value is a number in [min, max]; missing is only fine when optional
+function checkNumber(errors, name, value, { min = -Infinity, max = Infinity, integer = false, optional = false } = {}) {
+  if (value === undefined) {
+    if (!optional) errors.push(`"${name}" is missing.`);
+  } else if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    errors.push(`"${name}" must be a ${integer ? 'whole number' : 'number'}, not ${JSON.stringify(value)}.`);
+  } else if (value < min || value > max) {
+    errors.push(`"${name}" must be ${describeRange(min, max)}, not ${value}.`);
+  }
+}
+
+function checkText(errors, name, value, { optional = false } = {}) {
+  if (value === undefined && optional) return;
+  if (typeof value !== 'string' || !value.trim()) errors.push(`"${name}" must be some text.`);
+}
+
+// Checks a list and each of its entries with checkItem(name, item)
+function checkList(errors, name, value, checkItem, { minLength = 0, optional = true } = {}) {
+  if (value === undefined) {
+    if (!optional) errors.push(`"${name}" is missing.`);
+    return;
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`"${name}" must be a list.`);
+    return;
+  }
+  if (value.length < minLength) errors.push(`"${name}" needs at least ${minLength} entries, not ${value.length}.`);
+  value.forEach((item, i) => {
+    const itemName = `${name}[${i}]`;
+    if (isObject(item)) checkItem(itemName, item);
+    else errors.push(`"${itemName}" must be an object.`);
+  });
+}
+
+function checkPosition(errors, name, point) {
+  if (!isObject(point)) {
+    errors.push(`"${name}" must be an object with x and z.`);
+    return;
+  }
+  checkNumber(errors, `${name}.x`, point.x);
+  checkNumber(errors, `${name}.z`, point.z);
+}
+
+function checkType(errors, name, type, known) {
+  if (!Object.hasOwn(known, type)) {
+    errors.push(`"${name}" must be one of ${Object.keys(known).join(', ')}, not ${JSON.stringify(type)}.`);
+  }
+}
+
+// Readable problems with a (current version) track, or an empty list if it's fine
+export function validateTrack(track) {
+  if (!isObject(track)) return ['The track is not a JSON object.'];
+
+  const errors = [];
+  if (track.format !== TRACK_FORMAT) errors.push(`"format" must be "${TRACK_FORMAT}".`);
+  if (track.version > TRACK_VERSION) {
+    errors.push(`The track is version ${track.version}, newer than this game reads (${TRACK_VERSION}).`);
+  } else if (track.version !== TRACK_VERSION) {
+    errors.push(`"version" must be ${TRACK_VERSION}.`);
+  }
+  Object.keys(track)
+    .filter((key) => !FIELDS.includes(key))
+    .forEach((key) => errors.push(`Unknown field "${key}".`));
+
+  if (typeof track.id !== 'string' || !ID_PATTERN.test(track.id)) {
+    errors.push('"id" must start with a letter and use only a-z, 0-9 and -.');
+  }
+  checkText(errors, 'name', track.name);
+  checkText(errors, 'author', track.author, { optional: true });
+  checkText(errors, 'description', track.description, { optional: true });
+  checkNumber(errors, 'laps', track.laps, { min: 1, max: MAX_LAPS, integer: true });
+  checkNumber(errors, 'width', track.width, { min: 1 });
+  checkNumber(errors, 'runoff', track.runoff, { min: 0, optional: true });
+  checkNumber(errors, 'wallHeight', track.wallHeight, { min: 0.1 });
+  checkNumber(errors, 'start', track.start, { min: 0, max: 1, optional: true });
+
+  checkList(errors, 'centerline', track.centerline, (name, point) => {
+    checkPosition(errors, name, point);
+    checkNumber(errors, `${name}.width`, point.width, { min: 1, optional: true });
+    checkNumber(errors, `${name}.runoff`, point.runoff, { min: 0, optional: true });
+  }, { minLength: 3, optional: false });
+
+  checkList(errors, 'checkpoints', track.checkpoints, (name, gate) => {
+    checkPosition(errors, `${name}.a`, gate.a);
+    checkPosition(errors, `${name}.b`, gate.b);
+  }, { minLength: 2 });
+
+  checkList(errors, 'surfaces', track.surfaces, (name, zone) => {
+    checkType(errors, `${name}.type`, zone.type, SURFACES);
+    checkNumber(errors, `${name}.from`, zone.from, { min: 0, max: 1 });
+    checkNumber(errors, `${name}.to`, zone.to, { min: 0, max: 1 });
+    if (zone.lateral === undefined) return;
+    const [left, right] = Array.isArray(zone.lateral) ? zone.lateral : [];
+    const valid = zone.lateral.length === 2 && [left, right].every(Number.isFinite) && left >= -1 && left < right && right <= 1;
+    if (!valid) errors.push(`"${name}.lateral" must be [left, right] with -1 <= left < right <= 1.`);
+  });
+
+  checkList(errors, 'props', track.props, (name, prop) => {
+    checkType(errors, `${name}.type`, prop.type, PROPS);
+    checkPosition(errors, name, prop);
+    checkNumber(errors, `${name}.rotation`, prop.rotation, { optional: true });
+    checkNumber(errors, `${name}.scale`, prop.scale, { min: 0.1, max: 10, optional: true });
+  });
+
+  checkList(errors, 'grid', track.grid, (name, slot) => {
+    checkNumber(errors, `${name}.back`, slot.back, { min: 0 });
+    checkNumber(errors, `${name}.lateral`, slot.lateral, { min: -1, max: 1 });
+  }, { minLength: RACE_CONFIG.maxKarts });
+
+  checkList(errors, 'itemBoxes', track.itemBoxes, (name, box) => {
+    checkNumber(errors, `${name}.at`, box.at, { min: 0, max: 1 });
+    checkNumber(errors, `${name}.lateral`, box.lateral, { min: -1, max: 1, optional: true });
+  });
+
+  return errors;
+}
+
+// Upgrades an older track to the current version (files without one are version 1).
+// Newer or unknown versions are returned as they are for validateTrack to report.
+export function migrateTrack(track) {
+  let upgraded = track;
+  let version = track.version ?? 1;
+  while (MIGRATIONS[version]) {
+    upgraded = MIGRATIONS[version](upgraded);
+    version = upgraded.version;
+  }
+  return upgraded;
+}
+
+// The track from parsed JSON, migrated and validated. Throws listing every problem.
+export function parseTrack(data) {
+  const track = isObject(data) ? migrateTrack(data) : data;
+  const errors = validateTrack(track);
+  if (errors.length > 0) {
+    const label = isObject(data) && typeof data.name === 'string' ? `Track "${data.name}"` : 'That track';
+    throw new Error(`${label} can't be loaded:\n${errors.join('\n')}`);
+  }
+  return track;
+}
+
+function parseJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${source} is not valid JSON`);
+  }
+}
+
+// Resolves with the track from a File (e.g. from an <input type="file"> or a drop)
+export async function importTrack(file) {
+  return parseTrack(parseJson(await file.text(), file.name));
+}
+
+// Resolves with the track at a URL
+export async function fetchTrack(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (e) {
+    throw new Error(`Couldn't download ${url}`);
+  }
+  if (!response.ok) throw new Error(`Couldn't download ${url} (${response.status})`);
+  return parseTrack(parseJson(await response.text(), url));
+}
+
+export function exportTrack(track) {
+  const blob = new Blob([`${JSON.stringify(track, null, 2)}\n`], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${track.id}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
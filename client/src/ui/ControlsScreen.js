@@ -0,0 +1,291 @@
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  loadBindings,
+  saveBindings,
+  resetBindings,
+  findConflicts,
+  formatKey,
+  formatPadButton,
+} from '../input/bindings.js';
+import { getGamepadManager } from '../input/GamepadManager.js';
+import { RACE_CONFIG } from '../utils/constants.js';
+import { addToolbarButton } from './toolbar.js';
+
+let stylesInjected = false;
+
+// Overlay for rebinding every player's keys and pad buttons. Click a binding, then
+// press the new key (or pad button on that player's pad); Escape cancels.
+// Changes are saved straight away; onClose lets the game reload them.
+export class ControlsScreen {
+  constructor({ onClose = null } = {}) {
+    this.onClose = onClose;
+    this.bindings = loadBindings();
+    this.listening = null; // { player, device, action } while waiting for input
+    this.padPoll = null;
+    this.gamepads = getGamepadManager();
+
+    this.injectStyles();
+    this.createOverlay();
+    this.toolbarButton = addToolbarButton('CONTROLS', () => (this.isOpen() ? this.close() : this.open()));
+
+    // Capture phase on window runs before the InputManager listeners, so the key
+    // being bound doesn't also drive a kart
+    this.handleKeyDown = (e) => this.onKeyDown(e);
+    window.addEventListener('keydown', this.handleKeyDown, true);
+  }
+
+  createOverlay() {
+    this.container = document.createElement('div');
+    this.container.className = 'controls-screen hidden';
+    this.container.innerHTML = `
+      <div class="controls-panel">
+        <div class="controls-title">CONTROLS</div>
+        <table class="controls-table"></table>
+        <div class="controls-warning"></div>
+        <div class="controls-hint">Click a binding, then press a key or pad button. Esc cancels.</div>
+        <div class="controls-actions">
+          <button class="controls-reset">Reset to defaults</button>
+          <button class="controls-close">Done</button>
+        </div>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.tableEl = this.container.querySelector('.controls-table');
+    this.warningEl = this.container.querySelector('.controls-warning');
+    this.container.querySelector('.controls-reset').addEventListener('click', () => {
+      this.stopListening();
+      this.bindings = resetBindings();
+      this.render();
+    });
+    this.container.querySelector('.controls-close').addEventListener('click', () => this.close());
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  open() {
+    this.bindings = loadBindings();
+    this.render();
+    this.container.classList.remove('hidden');
+  }
+
+  close() {
+    this.stopListening();
+    this.container.classList.add('hidden');
+    if (this.onClose) this.onClose();
+  }
+
+  render() {
+    const players = this.bindings.slice(0, RACE_CONFIG.maxLocalPlayers);
+    const conflicts = findConflicts(players);
+    const isConflict = (player, device, action) => conflicts.some(
+      (c) => c.player === player && c.device === device && c.action === action
+    );
+
+    const header = players.map((_, i) => `<th colspan="2">P${i + 1}</th>`).join('');
+    const rows = ACTIONS.map((action) => {
+      const cells = players.map((binding, player) => ['keys', 'pad'].map((device) => {
+        const value = binding[device][action];
+        const label = device === 'keys' ? formatKey(value) : formatPadButton(value);
+        const classes = ['controls-binding', device];
+        if (isConflict(player, device, action)) classes.push('conflict');
+        return `<td><button class="${classes.join(' ')}" data-player="${player}" data-device="${device}" data-action="${action}">${label}</button></td>`;
+      }).join('')).join('');
+      return `<tr><th>${ACTION_LABELS[action]}</th>${cells}</tr>`;
+    }).join('');
+    this.tableEl.innerHTML = `<tr><th></th>${header}</tr>${rows}`;
+
+    this.tableEl.querySelectorAll('.controls-binding').forEach((button) => {
+      button.addEventListener('click', () => this.startListening({
+        player: Number(button.dataset.player),
+        device: button.dataset.device,
+        action: button.dataset.action,
+      }, button));
+    });
+
+    this.warningEl.textContent = this.describeConflicts(conflicts);
+  }
+
+  // "W is bound to P1 Accelerate, P2 Brake / Reverse"
+  describeConflicts(conflicts) {
+    const groups = new Map();
+    conflicts.forEach(({ player, device, action }) => {
+      const value = this.bindings[player][device][action];
+      const label = device === 'keys' ? formatKey(value) : `P${player + 1} pad ${formatPadButton(value)}`;
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(`P${player + 1} ${ACTION_LABELS[action]}`);
+    });
+    return Array.from(groups, ([label, uses]) => `${label} is bound to ${uses.join(', ')}`).join('. ');
+  }
+
+  startListening(target, button) {
+    this.stopListening();
+    this.listening = target;
+    button.textContent = target.device === 'keys' ? 'Press a key…' : 'Press a button…';
+    button.classList.add('listening');
+
+    if (target.device === 'pad') {
+      if (!this.gamepads.isConnected(target.player)) {
+        button.textContent = 'No pad';
+        return;
+      }
+      // Wait for every button to be up first so the click's own press isn't taken
+      let released = false;
+      const poll = () => {
+        const pressed = this.gamepads.getPressedButton(target.player);
+        if (pressed === -1) {
+          released = true;
+        } else if (released) {
+          this.assign(pressed);
+          return;
+        }
+        this.padPoll = requestAnimationFrame(poll);
+      };
+      this.padPoll = requestAnimationFrame(poll);
+    }
+  }
+
+  stopListening() {
+    this.listening = null;
+    if (this.padPoll !== null) {
+      cancelAnimationFrame(this.padPoll);
+      this.padPoll = null;
+    }
+  }
+
+  onKeyDown(e) {
+    if (!this.isOpen()) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    if (!this.listening) {
+      if (e.code === 'Escape') this.close();
+      return;
+    }
+    if (e.code === 'Escape') {
+      this.stopListening();
+      this.render();
+      return;
+    }
+    if (this.listening.device === 'keys') {
+      this.assign(e.code);
+    }
+  }
+
+  assign(value) {
+    const { player, device, action } = this.listening;
+    this.stopListening();
+    this.bindings[player][device][action] = value;
+    saveBindings(this.bindings);
+    this.render();
+  }
+
+  dispose() {
+    this.stopListening();
+    window.removeEventListener('keydown', this.handleKeyDown, true);
+    this.toolbarButton.remove();
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .controls-screen {
+        position: absolute;
+        inset: 0;
+        z-index: 200;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.6);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .controls-screen.hidden {
+        display: none;
+      }
+      .controls-panel {
+        background: rgba(0, 0, 0, 0.85);
+        padding: 24px 32px;
+        border-radius: 15px;
+        max-width: 95%;
+        max-height: 95%;
+        overflow: auto;
+      }
+      .controls-title {
+        font-size: 28px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 16px;
+        text-align: center;
+      }
+      .controls-table th {
+        font-size: 13px;
+        color: #aaa;
+        text-align: left;
+        padding: 4px 8px;
+      }
+      .controls-table td {
+        padding: 3px;
+      }
+      .controls-binding {
+        min-width: 84px;
+        padding: 5px 8px;
+        border: 1px solid #555;
+        border-radius: 5px;
+        background: #222;
+        color: white;
+        font-size: 13px;
+        cursor: pointer;
+      }
+      .controls-binding.pad {
+        color: #90CAF9;
+      }
+      .controls-binding.conflict {
+        border-color: #FF5252;
+        color: #FF5252;
+      }
+      .controls-binding.listening {
+        border-color: #FFC107;
+        color: #FFC107;
+      }
+      .controls-warning {
+        margin-top: 12px;
+        color: #FF5252;
+        font-size: 14px;
+        min-height: 18px;
+      }
+      .controls-hint {
+        margin-top: 8px;
+        color: #888;
+        font-size: 13px;
+      }
+      .controls-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 10px;
+        margin-top: 16px;
+      }
+      .controls-actions button {
+        padding: 8px 16px;
+        border: none;
+        border-radius: 6px;
+        background: #2196F3;
+        color: white;
+        font-size: 14px;
+        cursor: pointer;
+      }
+      .controls-actions .controls-reset {
+        background: #555;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
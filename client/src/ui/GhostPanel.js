@@ -0,0 +1,181 @@
+import { exportGhost, importGhost } from '../race/ghosts.js';
+import { addToolbarButton } from './toolbar.js';
+
+let stylesInjected = false;
+
+function formatTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const milliseconds = Math.floor(ms % 1000);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+}
+
+// Small overlay for the current track's personal-best ghost: show / hide it,
+// export it as a JSON file, import a teammate's, or clear it.
+//   getGhost():      the ghost currently loaded, or null
+//   onImport(ghost): a validated ghost for this track was picked
+//   onClear():       the stored ghost should be deleted
+//   onToggle(show):  ghost visibility changed
+export class GhostPanel {
+  constructor({ trackId, getGhost, onImport, onClear, onToggle }) {
+    this.trackId = trackId;
+    this.getGhost = getGhost;
+    this.onImport = onImport;
+    this.onClear = onClear;
+    this.onToggle = onToggle;
+
+    this.injectStyles();
+    this.createPanel();
+    this.toolbarButton = addToolbarButton('GHOST', () => (this.isOpen() ? this.close() : this.open()));
+  }
+
+  createPanel() {
+    this.container = document.createElement('div');
+    this.container.className = 'ghost-panel hidden';
+    this.container.innerHTML = `
+      <div class="ghost-title">GHOST</div>
+      <div class="ghost-info"></div>
+      <label class="ghost-show"><input type="checkbox" checked> Show ghost</label>
+      <div class="ghost-error"></div>
+      <div class="ghost-actions">
+        <button class="ghost-export">Export</button>
+        <button class="ghost-import">Import</button>
+        <button class="ghost-clear">Clear</button>
+      </div>
+      <input class="ghost-file" type="file" accept="application/json,.json" hidden>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.infoEl = this.container.querySelector('.ghost-info');
+    this.errorEl = this.container.querySelector('.ghost-error');
+    this.exportEl = this.container.querySelector('.ghost-export');
+    this.clearEl = this.container.querySelector('.ghost-clear');
+    this.fileEl = this.container.querySelector('.ghost-file');
+
+    this.container.querySelector('.ghost-show input').addEventListener('change', (e) => {
+      e.target.blur();
+      this.onToggle(e.target.checked);
+    });
+    this.exportEl.addEventListener('click', () => {
+      const ghost = this.getGhost();
+      if (ghost) exportGhost(ghost);
+    });
+    this.container.querySelector('.ghost-import').addEventListener('click', () => this.fileEl.click());
+    this.fileEl.addEventListener('change', () => this.importFile(this.fileEl.files[0]));
+    this.clearEl.addEventListener('click', () => {
+      this.onClear();
+      this.render();
+    });
+  }
+
+  async importFile(file) {
+    this.fileEl.value = '';
+    if (!file) return;
+
+    try {
+      const ghost = await importGhost(file);
+      if (ghost.trackId !== this.trackId) {
+        throw new Error(`That ghost is for track "${ghost.trackId}", not "${this.trackId}"`);
+      }
+      this.onImport(ghost);
+      this.errorEl.textContent = '';
+    } catch (e) {
+      this.errorEl.textContent = e.message;
+    }
+    this.render();
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  open() {
+    this.errorEl.textContent = '';
+    this.render();
+    this.container.classList.remove('hidden');
+  }
+
+  close() {
+    this.container.classList.add('hidden');
+  }
+
+  setTrack(trackId) {
+    this.trackId = trackId;
+    this.render();
+  }
+
+  render() {
+    const ghost = this.getGhost();
+    this.infoEl.textContent = ghost
+      ? `Best lap ${formatTime(ghost.lapTime)} · ${new Date(ghost.recordedAt).toLocaleDateString()}`
+      : 'No ghost for this track yet. Finish a lap to record one.';
+    this.exportEl.disabled = !ghost;
+    this.clearEl.disabled = !ghost;
+  }
+
+  dispose() {
+    this.toolbarButton.remove();
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .ghost-panel {
+        position: absolute;
+        top: 48px;
+        right: 12px;
+        z-index: 150;
+        width: 260px;
+        padding: 16px 18px;
+        border-radius: 10px;
+        background: rgba(0, 0, 0, 0.85);
+        color: white;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        font-size: 14px;
+      }
+      .ghost-panel.hidden {
+        display: none;
+      }
+      .ghost-title {
+        font-size: 18px;
+        font-weight: bold;
+        color: #90CAF9;
+        margin-bottom: 8px;
+      }
+      .ghost-info {
+        color: #ccc;
+        margin-bottom: 10px;
+      }
+      .ghost-error {
+        color: #FF5252;
+        font-size: 13px;
+        min-height: 16px;
+        margin: 6px 0;
+      }
+      .ghost-actions {
+        display: flex;
+        gap: 8px;
+      }
+      .ghost-actions button {
+        flex: 1;
+        padding: 6px 0;
+        border: none;
+        border-radius: 6px;
+        background: #2196F3;
+        color: white;
+        cursor: pointer;
+      }
+      .ghost-actions button:disabled {
+        background: #444;
+        color: #888;
+        cursor: default;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
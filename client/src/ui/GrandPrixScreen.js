@@ -0,0 +1,211 @@
+let stylesInjected = false;
+
+function formatPlace(place) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${place}${suffixes[place] || 'th'}`;
+}
+
+// Grand Prix overlay across every viewport: the cup standings after each race,
+// and a podium once the last race is done. Driven by Game; SPACE moves on.
+export class GrandPrixScreen {
+  constructor() {
+    this.injectStyles();
+    this.createScreen();
+  }
+
+  createScreen() {
+    this.container = document.createElement('div');
+    this.container.className = 'grand-prix hidden';
+    this.container.innerHTML = `
+      <div class="gp-box">
+        <div class="gp-cup"></div>
+        <div class="gp-title"></div>
+        <div class="gp-podium hidden"></div>
+        <table class="gp-standings"></table>
+        <div class="gp-next"></div>
+        <div class="gp-hint"></div>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.cupEl = this.container.querySelector('.gp-cup');
+    this.titleEl = this.container.querySelector('.gp-title');
+    this.podiumEl = this.container.querySelector('.gp-podium');
+    this.standingsEl = this.container.querySelector('.gp-standings');
+    this.nextEl = this.container.querySelector('.gp-next');
+    this.hintEl = this.container.querySelector('.gp-hint');
+  }
+
+  // After a race that isn't the last. nextTrackName: the race coming up
+  showStandings(grandPrix, nextTrackName) {
+    const finished = grandPrix.getRaceNumber() - 1;
+    this.cupEl.textContent = grandPrix.getCup().name.toUpperCase();
+    this.titleEl.textContent = `RACE ${finished} OF ${grandPrix.getRaceCount()}`;
+    this.podiumEl.classList.add('hidden');
+    this.renderStandings(grandPrix.getStandings());
+    this.nextEl.textContent = `Next: ${nextTrackName}`;
+    this.hintEl.textContent = 'Press SPACE for the next race';
+    this.container.classList.remove('hidden');
+  }
+
+  // After the last race
+  showPodium(grandPrix) {
+    const standings = grandPrix.getStandings();
+    this.cupEl.textContent = grandPrix.getCup().name.toUpperCase();
+    this.titleEl.textContent = `${standings[0].name} WINS THE CUP!`;
+
+    // Second on the left, winner in the middle, third on the right
+    const steps = [standings[1], standings[0], standings[2]].filter(Boolean);
+    this.podiumEl.innerHTML = steps.map(({ position, name, color, points }) => `
+      <div class="gp-step gp-step-${position}">
+        <div class="gp-step-name" style="color: ${color}">${name}</div>
+        <div class="gp-step-points">${points} pts</div>
+        <div class="gp-step-block">${position}</div>
+      </div>
+    `).join('');
+    this.podiumEl.classList.remove('hidden');
+
+    this.renderStandings(standings);
+    this.nextEl.textContent = '';
+    this.hintEl.textContent = 'Press SPACE to race the cup again';
+    this.container.classList.remove('hidden');
+  }
+
+  renderStandings(standings) {
+    const header = '<tr><th></th><th>Racer</th><th>Race</th><th>Points</th></tr>';
+    this.standingsEl.innerHTML = header + standings.map(({ position, name, color, points, lastPlace, lastPoints }) => `
+      <tr>
+        <td>${position}</td>
+        <td style="color: ${color}">${name}</td>
+        <td>${lastPlace ? `${formatPlace(lastPlace)} <span class="gp-gain">+${lastPoints}</span>` : ''}</td>
+        <td>${points}</td>
+      </tr>
+    `).join('');
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .grand-prix {
+        position: absolute;
+        inset: 0;
+        z-index: 140;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.5);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .grand-prix.hidden,
+      .grand-prix .hidden {
+        display: none;
+      }
+      .gp-box {
+        min-width: 360px;
+        max-width: 90%;
+        padding: 30px 50px;
+        border-radius: 15px;
+        background: rgba(0, 0, 0, 0.85);
+        text-align: center;
+      }
+      .gp-cup {
+        font-size: 14px;
+        letter-spacing: 3px;
+        color: #90CAF9;
+      }
+      .gp-title {
+        font-size: 32px;
+        font-weight: bold;
+        color: #FFD700;
+        margin: 6px 0 20px;
+      }
+      .gp-podium {
+        display: flex;
+        align-items: flex-end;
+        justify-content: center;
+        gap: 8px;
+        margin-bottom: 20px;
+      }
+      .gp-step {
+        width: 110px;
+      }
+      .gp-step-name {
+        font-weight: bold;
+      }
+      .gp-step-points {
+        font-size: 13px;
+        color: #ccc;
+        margin-bottom: 4px;
+      }
+      .gp-step-block {
+        border-radius: 6px 6px 0 0;
+        background: #444;
+        font-size: 28px;
+        font-weight: bold;
+        padding-top: 8px;
+      }
+      .gp-step-1 .gp-step-block {
+        height: 90px;
+        background: #C9A400;
+      }
+      .gp-step-2 .gp-step-block {
+        height: 65px;
+        background: #8E8E8E;
+      }
+      .gp-step-3 .gp-step-block {
+        height: 45px;
+        background: #8D5524;
+      }
+      .gp-standings {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 16px;
+      }
+      .gp-standings td,
+      .gp-standings th {
+        padding: 4px 10px;
+        text-align: right;
+      }
+      .gp-standings th {
+        font-size: 12px;
+        color: #aaa;
+        font-weight: normal;
+      }
+      .gp-standings td:nth-child(2),
+      .gp-standings th:nth-child(2) {
+        text-align: left;
+        font-weight: bold;
+      }
+      .gp-gain {
+        color: #76FF03;
+      }
+      .gp-next {
+        margin-top: 16px;
+        font-size: 18px;
+      }
+      .gp-hint {
+        margin-top: 12px;
+        font-size: 14px;
+        color: #aaa;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
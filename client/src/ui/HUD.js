@@ -1,10 +1,32 @@
+import { TouchControls } from './TouchControls.js';
+
+const FULL_SCREEN = { x: 0, y: 0, width: 1, height: 1 };
+
+// Styles are shared by every HUD instance (one per split-screen viewport)
+let stylesInjected = false;
+
+// How each item (see ITEM_CONFIG) shows in the item slot
+const ITEM_LABELS = {
+  boost: 'BOOST',
+  shield: 'SHIELD',
+  hazard: 'OIL',
+  projectile: 'ROCKET',
+};
+
 export class HUD {
-  constructor() {
+  // viewport: screen region as fractions, measured from the top-left corner
+  // playerLabel: shown above the panel in split-screen, e.g. "P2"
+  constructor({ viewport = FULL_SCREEN, playerLabel = null, accentColor = null, clock = () => performance.now() } = {}) {
+    this.viewport = viewport;
+    this.clock = clock;
+    this.playerLabel = playerLabel;
+    this.accentColor = accentColor;
     this.container = null;
     this.speedEl = null;
     this.lapEl = null;
     this.timerEl = null;
     this.bestLapEl = null;
+    this.touchControls = null;
     
     this.createHUD();
   }
@@ -12,47 +34,109 @@ export class HUD {
   createHUD() {
     // Create container
     this.container = document.createElement('div');
-    this.container.id = 'hud';
+    this.container.className = 'hud';
+    this.container.style.left = `${this.viewport.x * 100}%`;
+    this.container.style.top = `${this.viewport.y * 100}%`;
+    this.container.style.width = `${this.viewport.width * 100}%`;
+    this.container.style.height = `${this.viewport.height * 100}%`;
     this.container.innerHTML = `
+      <div class="hud-fade"></div>
       <div class="hud-panel">
+        <div class="hud-player hidden"></div>
+        <div class="hud-row hud-pos-row hidden">
+          <span class="hud-label">POS</span>
+          <span class="hud-value hud-pos">1/1</span>
+        </div>
         <div class="hud-row">
           <span class="hud-label">SPEED</span>
-          <span class="hud-value" id="hud-speed">0</span>
+          <span class="hud-value hud-speed">0</span>
           <span class="hud-unit">km/h</span>
         </div>
         <div class="hud-row">
           <span class="hud-label">LAP</span>
-          <span class="hud-value" id="hud-lap">1/3</span>
+          <span class="hud-value hud-lap">1/3</span>
         </div>
         <div class="hud-row">
           <span class="hud-label">TIME</span>
-          <span class="hud-value" id="hud-timer">0:00.000</span>
+          <span class="hud-value hud-timer">0:00.000</span>
         </div>
         <div class="hud-row">
           <span class="hud-label">BEST</span>
-          <span class="hud-value" id="hud-best">--:--.---</span>
+          <span class="hud-value hud-best">--:--.---</span>
+        </div>
+        <div class="hud-row">
+          <span class="hud-label">TURBO</span>
+          <span class="hud-turbo">
+            <span class="turbo-pip"></span><span class="turbo-pip"></span><span class="turbo-pip"></span>
+          </span>
+        </div>
+        <div class="hud-row hud-item-row hidden">
+          <span class="hud-label">ITEM</span>
+          <span class="hud-item">-</span>
         </div>
       </div>
-      <div id="hud-message"></div>
-      <div id="hud-finish" class="hidden">
+      <div class="hud-leaderboard hidden"></div>
+      <div class="hud-message"></div>
+      <div class="hud-delta"></div>
+      <div class="hud-surface"></div>
+      <div class="hud-finish hidden">
         <div class="finish-title">RACE COMPLETE!</div>
+        <div class="finish-place hidden"></div>
         <div class="finish-stats">
-          <div class="finish-row"><span>Total Time:</span><span id="finish-total">0:00.000</span></div>
-          <div class="finish-row"><span>Best Lap:</span><span id="finish-best">0:00.000</span></div>
+          <div class="finish-row"><span>Total Time:</span><span class="finish-total">0:00.000</span></div>
+          <div class="finish-row"><span>Best Lap:</span><span class="finish-best">0:00.000</span></div>
         </div>
+        <table class="finish-results hidden"></table>
         <div class="finish-hint">Press SPACE to restart</div>
       </div>
     `;
 
-    // Add styles
+    this.injectStyles();
+    const gameContainer = document.getElementById('game-container');
+    gameContainer.appendChild(this.container);
+
+    // Cache elements
+    this.speedEl = this.container.querySelector('.hud-speed');
+    this.lapEl = this.container.querySelector('.hud-lap');
+    this.timerEl = this.container.querySelector('.hud-timer');
+    this.bestLapEl = this.container.querySelector('.hud-best');
+    this.turboEl = this.container.querySelector('.hud-turbo');
+    this.itemRowEl = this.container.querySelector('.hud-item-row');
+    this.itemEl = this.container.querySelector('.hud-item');
+    this.messageEl = this.container.querySelector('.hud-message');
+    this.surfaceEl = this.container.querySelector('.hud-surface');
+    this.deltaEl = this.container.querySelector('.hud-delta');
+    this.fadeEl = this.container.querySelector('.hud-fade');
+    this.messageHideAt = null;
+    this.deltaHideAt = null;
+    this.finishEl = this.container.querySelector('.hud-finish');
+    this.finishTotalEl = this.container.querySelector('.finish-total');
+    this.finishBestEl = this.container.querySelector('.finish-best');
+    this.finishPlaceEl = this.container.querySelector('.finish-place');
+    this.finishResultsEl = this.container.querySelector('.finish-results');
+    this.posRowEl = this.container.querySelector('.hud-pos-row');
+    this.posEl = this.container.querySelector('.hud-pos');
+    this.leaderboardEl = this.container.querySelector('.hud-leaderboard');
+    this.leaderboardKey = '';
+
+    if (this.playerLabel) {
+      const playerEl = this.container.querySelector('.hud-player');
+      playerEl.textContent = this.playerLabel;
+      playerEl.style.color = this.accentColor || '#fff';
+      playerEl.classList.remove('hidden');
+    }
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
     const style = document.createElement('style');
     style.textContent = `
-      #hud {
+      .hud {
         position: absolute;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
+        overflow: hidden;
+        box-sizing: border-box;
         pointer-events: none;
         font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
         z-index: 100;
@@ -67,6 +151,15 @@ export class HUD {
         color: white;
         min-width: 180px;
       }
+      .hud-player {
+        font-size: 14px;
+        font-weight: bold;
+        letter-spacing: 2px;
+        margin-bottom: 4px;
+      }
+      .hud-player.hidden {
+        display: none;
+      }
       .hud-row {
         display: flex;
         align-items: baseline;
@@ -89,19 +182,93 @@ export class HUD {
         color: #888;
         margin-left: 5px;
       }
-      #hud-speed {
+      .hud-speed {
         color: #4CAF50;
       }
-      #hud-lap {
+      .hud-lap {
         color: #2196F3;
       }
-      #hud-timer {
+      .hud-timer {
         color: #FFC107;
       }
-      #hud-best {
+      .hud-best {
         color: #9C27B0;
       }
-      #hud-message {
+      .hud-turbo {
+        display: flex;
+        gap: 6px;
+      }
+      .turbo-pip {
+        width: 22px;
+        height: 10px;
+        border-radius: 3px;
+        background: rgba(255, 255, 255, 0.15);
+      }
+      .hud-turbo[data-level="1"] .turbo-pip:nth-child(-n+1) { background: #29B6F6; }
+      .hud-turbo[data-level="2"] .turbo-pip:nth-child(-n+2) { background: #FF9800; }
+      .hud-turbo[data-level="3"] .turbo-pip:nth-child(-n+3) { background: #E040FB; }
+      .hud-turbo.boosting .turbo-pip {
+        background: #FFEB3B;
+        box-shadow: 0 0 8px #FFEB3B;
+      }
+      .hud-item-row.hidden {
+        display: none;
+      }
+      .hud-item {
+        min-width: 70px;
+        padding: 2px 8px;
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.15);
+        color: rgba(255, 255, 255, 0.5);
+        font-weight: bold;
+        text-align: center;
+      }
+      .hud-item[data-item="boost"] { background: #FFEB3B; color: #333; }
+      .hud-item[data-item="shield"] { background: #29B6F6; color: white; }
+      .hud-item[data-item="hazard"] { background: #6D4C41; color: white; }
+      .hud-item[data-item="projectile"] { background: #E53935; color: white; }
+      .hud-surface {
+        position: absolute;
+        bottom: 60px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 8px 24px;
+        border-radius: 8px;
+        background: rgba(230, 81, 0, 0.85);
+        color: white;
+        font-size: 22px;
+        font-weight: bold;
+        letter-spacing: 2px;
+        opacity: 0;
+        transition: opacity 0.2s;
+      }
+      .hud-surface.show {
+        opacity: 1;
+      }
+      .hud-delta {
+        position: absolute;
+        top: 22%;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 4px 16px;
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.6);
+        font-size: 30px;
+        font-weight: bold;
+        font-family: monospace;
+        opacity: 0;
+        transition: opacity 0.2s;
+      }
+      .hud-delta.show {
+        opacity: 1;
+      }
+      .hud-delta.faster {
+        color: #76FF03;
+      }
+      .hud-delta.slower {
+        color: #FF5252;
+      }
+      .hud-message {
         position: absolute;
         top: 40%;
         left: 50%;
@@ -113,10 +280,57 @@ export class HUD {
         opacity: 0;
         transition: opacity 0.3s;
       }
-      #hud-message.show {
+      .hud-message.show {
         opacity: 1;
       }
-      #hud-finish {
+      .hud-fade {
+        position: absolute;
+        inset: 0;
+        background: black;
+        opacity: 0;
+      }
+      .hud-fade.show {
+        animation: hud-fade-in ease-in forwards;
+      }
+      @keyframes hud-fade-in {
+        from { opacity: 1; }
+        to { opacity: 0; }
+      }
+      .hud-pos-row.hidden {
+        display: none;
+      }
+      .hud-pos {
+        color: #FF7043;
+      }
+      .hud-leaderboard {
+        position: absolute;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: flex;
+        gap: 6px;
+        color: white;
+        font-size: 14px;
+        font-weight: bold;
+      }
+      .hud-leaderboard.hidden {
+        display: none;
+      }
+      .leader-entry {
+        padding: 4px 10px;
+        border-radius: 6px;
+        border-bottom: 3px solid;
+        background: rgba(0, 0, 0, 0.6);
+        white-space: nowrap;
+      }
+      .leader-entry.self {
+        background: rgba(255, 255, 255, 0.3);
+      }
+      .leader-pos {
+        color: #aaa;
+        margin-right: 6px;
+      }
+      .hud-finish {
         position: absolute;
         top: 50%;
         left: 50%;
@@ -129,7 +343,7 @@ export class HUD {
         max-width: 90%;
         box-sizing: border-box;
       }
-      #hud-finish.hidden {
+      .hud-finish.hidden {
         display: none;
       }
       .finish-title {
@@ -138,6 +352,14 @@ export class HUD {
         color: #FFD700;
         margin-bottom: 20px;
       }
+      .finish-place {
+        font-size: 28px;
+        font-weight: bold;
+        margin-bottom: 10px;
+      }
+      .finish-place.hidden {
+        display: none;
+      }
       .finish-stats {
         margin: 15px 0;
       }
@@ -155,6 +377,33 @@ export class HUD {
         font-weight: bold;
         color: #4CAF50;
       }
+      .finish-results {
+        width: 100%;
+        margin: 10px 0;
+        border-collapse: collapse;
+        font-size: 15px;
+      }
+      .finish-results.hidden {
+        display: none;
+      }
+      .finish-results td,
+      .finish-results th {
+        padding: 3px 8px;
+        text-align: right;
+      }
+      .finish-results th {
+        font-size: 12px;
+        color: #aaa;
+        font-weight: normal;
+      }
+      .finish-results td:nth-child(2),
+      .finish-results th:nth-child(2) {
+        text-align: left;
+        font-weight: bold;
+      }
+      .finish-results .racing {
+        color: #888;
+      }
       .finish-hint {
         margin-top: 30px;
         font-size: 18px;
@@ -163,18 +412,6 @@ export class HUD {
     `;
 
     document.head.appendChild(style);
-    const gameContainer = document.getElementById('game-container');
-    gameContainer.appendChild(this.container);
-
-    // Cache elements
-    this.speedEl = document.getElementById('hud-speed');
-    this.lapEl = document.getElementById('hud-lap');
-    this.timerEl = document.getElementById('hud-timer');
-    this.bestLapEl = document.getElementById('hud-best');
-    this.messageEl = document.getElementById('hud-message');
-    this.finishEl = document.getElementById('hud-finish');
-    this.finishTotalEl = document.getElementById('finish-total');
-    this.finishBestEl = document.getElementById('finish-best');
   }
 
   update(speed, currentLap, totalLaps, raceTime, bestLap) {
@@ -194,6 +431,49 @@ export class HUD {
     }
   }
 
+  // Race position and the leaderboard strip; hidden with only one kart on track.
+  // order: [{ name, color, self }] from first to last
+  updateStandings(position, count, order) {
+    const show = count > 1;
+    this.posRowEl.classList.toggle('hidden', !show);
+    this.leaderboardEl.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    this.posEl.textContent = `${position}/${count}`;
+
+    // Only rebuild the strip when the order actually changes
+    const key = order.map(({ name, self }) => `${name}${self ? '*' : ''}`).join(',');
+    if (key === this.leaderboardKey) return;
+    this.leaderboardKey = key;
+    this.leaderboardEl.innerHTML = order.map(({ name, color, self }, i) => `
+      <span class="leader-entry${self ? ' self' : ''}" style="border-color: ${color}">
+        <span class="leader-pos">${i + 1}</span>${name}
+      </span>
+    `).join('');
+  }
+
+  // Mini-turbo charge pips (0-3), lit up solid while a boost is running
+  updateTurbo(level, boosting) {
+    this.turboEl.dataset.level = level;
+    this.turboEl.classList.toggle('boosting', boosting);
+  }
+
+  // The item slot, shown from the first call: an ITEMS name, or null when empty
+  updateItem(item) {
+    this.itemRowEl.classList.remove('hidden');
+    this.itemEl.dataset.item = item || '';
+    this.itemEl.textContent = item ? ITEM_LABELS[item] : '-';
+  }
+
+  // Warning badge while the kart is on a surface that slows it down
+  updateSurface(surface) {
+    const slow = Boolean(surface && surface.slow);
+    if (slow) {
+      this.surfaceEl.textContent = surface.type === 'grass' ? 'OFF TRACK' : surface.type.toUpperCase();
+    }
+    this.surfaceEl.classList.toggle('show', slow);
+  }
+
   formatTime(ms) {
     if (!ms || ms <= 0) return '0:00.000';
     const totalSeconds = ms / 1000;
@@ -206,23 +486,96 @@ export class HUD {
   showMessage(text, duration = 2000) {
     this.messageEl.textContent = text;
     this.messageEl.classList.add('show');
-    
-    setTimeout(() => {
+    this.messageHideAt = this.clock() + duration;
+  }
+
+  // Time trial: split against the best one at this gate (ms, negative is faster)
+  showSplitDelta(delta, duration = 2500) {
+    const ms = Math.round(delta);
+    const faster = ms <= 0;
+    this.deltaEl.textContent = `${faster ? '-' : '+'}${(Math.abs(ms) / 1000).toFixed(3)}`;
+    this.deltaEl.classList.toggle('faster', faster);
+    this.deltaEl.classList.toggle('slower', !faster);
+    this.deltaEl.classList.add('show');
+    this.deltaHideAt = this.clock() + duration;
+  }
+
+  // Every frame: takes down the message and split once their time is up. Timed on
+  // the clock, so they stay up while the race is paused.
+  updateMessages() {
+    const now = this.clock();
+    if (this.messageHideAt !== null && now >= this.messageHideAt) {
       this.messageEl.classList.remove('show');
-    }, duration);
+      this.messageHideAt = null;
+    }
+    if (this.deltaHideAt !== null && now >= this.deltaHideAt) {
+      this.deltaEl.classList.remove('show');
+      this.deltaHideAt = null;
+    }
+  }
+
+  // Respawn: the view cuts to black and fades back in over `duration` ms
+  showFade(duration) {
+    this.fadeEl.classList.remove('show');
+    void this.fadeEl.offsetWidth; // Restarts the animation
+    this.fadeEl.style.animationDuration = `${duration}ms`;
+    this.fadeEl.classList.add('show');
   }
 
-  showFinish(totalTime, bestLap) {
+  setFinishHint(text) {
+    this.container.querySelector('.finish-hint').textContent = text;
+  }
+
+  // place is the 1-based finishing position; omitted in single-player.
+  // results: rows from Standings.getResults() to list every racer
+  showFinish(totalTime, bestLap, place = null, results = null) {
     this.finishTotalEl.textContent = this.formatTime(totalTime);
     this.finishBestEl.textContent = this.formatTime(bestLap);
+    this.finishPlaceEl.textContent = place ? `${this.formatPlace(place)} PLACE` : '';
+    this.finishPlaceEl.classList.toggle('hidden', !place);
+    this.updateResults(results);
     this.finishEl.classList.remove('hidden');
   }
 
+  // Refreshed as the rest of the field crosses the line
+  updateResults(results) {
+    const show = Boolean(results && results.length > 1);
+    this.finishResultsEl.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const header = '<tr><th></th><th>Racer</th><th>Total</th><th>Gap</th><th>Best</th></tr>';
+    this.finishResultsEl.innerHTML = header + results.map(({ position, name, color, finished, totalTime, bestLap, gap }) => `
+      <tr class="${finished ? '' : 'racing'}">
+        <td>${position}</td>
+        <td style="color: ${color}">${name}</td>
+        <td>${finished ? this.formatTime(totalTime) : 'racing'}</td>
+        <td>${gap ? `+${(gap / 1000).toFixed(3)}` : ''}</td>
+        <td>${bestLap ? this.formatTime(bestLap) : '--:--.---'}</td>
+      </tr>
+    `).join('');
+  }
+
+  formatPlace(place) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${place}${suffixes[place] || 'th'}`;
+  }
+
   hideFinish() {
     this.finishEl.classList.add('hidden');
   }
 
+  // On-screen joystick and buttons inside this HUD's viewport; they only appear on touch devices
+  enableTouchControls() {
+    if (!this.touchControls) {
+      this.touchControls = new TouchControls(this.container);
+    }
+    return this.touchControls;
+  }
+
   dispose() {
+    if (this.touchControls) {
+      this.touchControls.dispose();
+    }
     if (this.container) {
       this.container.remove();
     }
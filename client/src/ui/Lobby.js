@@ -0,0 +1,494 @@
+import { TRACKS } from '../tracks/definitions/index.js';
+import { KART_COLORS, RACE_CONFIG, NETWORK_CONFIG } from '../utils/constants.js';
+
+const STORAGE_KEY = 'kart-racer.profile';
+
+let stylesInjected = false;
+
+function loadProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveProfile(profile) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+}
+
+// Online lobby. Before a room: pick a name and kart colour, then create a room or
+// join one by its code. In a room (whenever it isn't racing): the player list with
+// who's ready, the host's track and lap pickers, and the ready toggle. The room
+// starts the countdown once everyone is ready and the lobby steps aside.
+//
+// Leaving, or losing the connection, reloads the page to start over, since the
+// game was built for that room. Opened from the main menu, onBack gives the start
+// screen a way back to it.
+export class Lobby {
+  constructor(network, { name = '', roomCode = '', trackId = null, onBack = null } = {}) {
+    this.network = network;
+    this.onBack = onBack;
+    this.trackId = TRACKS[trackId] ? trackId : null; // Track for a room we create
+    this.profile = { color: KART_COLORS[0], ...loadProfile() };
+    if (name) this.profile.name = name;
+    this.joined = null; // Resolves connect() once we're in a room
+
+    this.injectStyles();
+    this.createPanel();
+    this.codeEl.value = roomCode;
+    this.nameEl.value = this.profile.name || '';
+    this.renderColors();
+  }
+
+  createPanel() {
+    this.container = document.createElement('div');
+    this.container.className = 'lobby';
+    this.container.innerHTML = `
+      <div class="lobby-panel">
+        <div class="lobby-title">ONLINE RACE</div>
+        <div class="lobby-profile">
+          <label class="lobby-label">Name <input class="lobby-name" maxlength="${NETWORK_CONFIG.maxNameLength}"></label>
+          <div class="lobby-colors"></div>
+        </div>
+        <div class="lobby-home">
+          <button class="lobby-create">Create room</button>
+          <div class="lobby-join">
+            <input class="lobby-code" maxlength="${NETWORK_CONFIG.roomCodeLength}" placeholder="CODE">
+            <button class="lobby-join-button">Join</button>
+          </div>
+          <button class="lobby-back hidden">Main menu</button>
+        </div>
+        <div class="lobby-room hidden">
+          <div class="lobby-room-code"></div>
+          <div class="lobby-share">Share the code, or this link: <input class="lobby-link" readonly></div>
+          <table class="lobby-players"></table>
+          <div class="lobby-settings">
+            <label class="lobby-label">Track <select class="lobby-track"></select></label>
+            <label class="lobby-label">Laps <select class="lobby-laps"></select></label>
+          </div>
+          <div class="lobby-host-hint"></div>
+          <div class="lobby-actions">
+            <button class="lobby-leave">Leave</button>
+            <button class="lobby-ready">Ready</button>
+          </div>
+        </div>
+        <div class="lobby-lost lobby-actions hidden">
+          <button class="lobby-restart">Start again</button>
+        </div>
+        <div class="lobby-message"></div>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.nameEl = this.container.querySelector('.lobby-name');
+    this.colorsEl = this.container.querySelector('.lobby-colors');
+    this.homeEl = this.container.querySelector('.lobby-home');
+    this.codeEl = this.container.querySelector('.lobby-code');
+    this.roomEl = this.container.querySelector('.lobby-room');
+    this.roomCodeEl = this.container.querySelector('.lobby-room-code');
+    this.linkEl = this.container.querySelector('.lobby-link');
+    this.playersEl = this.container.querySelector('.lobby-players');
+    this.trackEl = this.container.querySelector('.lobby-track');
+    this.lapsEl = this.container.querySelector('.lobby-laps');
+    this.hostHintEl = this.container.querySelector('.lobby-host-hint');
+    this.readyEl = this.container.querySelector('.lobby-ready');
+    this.lostEl = this.container.querySelector('.lobby-lost');
+    this.messageEl = this.container.querySelector('.lobby-message');
+
+    this.trackEl.innerHTML = Object.values(TRACKS)
+      .map((track) => `<option value="${track.id}">${track.name}</option>`)
+      .join('');
+    this.lapsEl.innerHTML = RACE_CONFIG.lapOptions
+      .map((laps) => `<option value="${laps}">${laps}</option>`)
+      .join('');
+
+    this.nameEl.addEventListener('change', () => this.setProfile({ name: this.nameEl.value.trim() }));
+    this.codeEl.addEventListener('input', () => {
+      this.codeEl.value = this.codeEl.value.toUpperCase();
+    });
+    this.codeEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.join();
+    });
+    this.container.querySelector('.lobby-create').addEventListener('click', () => this.create());
+    this.container.querySelector('.lobby-join-button').addEventListener('click', () => this.join());
+    this.linkEl.addEventListener('focus', () => this.linkEl.select());
+
+    const sendSettings = () => this.network.sendSettings({
+      trackId: this.trackEl.value,
+      laps: Number(this.lapsEl.value),
+    });
+    this.trackEl.addEventListener('change', sendSettings);
+    this.lapsEl.addEventListener('change', sendSettings);
+    this.readyEl.addEventListener('click', () => {
+      this.readyEl.blur();
+      this.network.sendReady(!this.network.getPlayerState().ready);
+    });
+    this.container.querySelector('.lobby-leave').addEventListener('click', () => this.leave());
+    this.container.querySelector('.lobby-restart').addEventListener('click', () => this.restart());
+
+    const backEl = this.container.querySelector('.lobby-back');
+    backEl.classList.toggle('hidden', !this.onBack);
+    backEl.addEventListener('click', () => this.onBack());
+  }
+
+  // Resolves with the network once we're in a room
+  connect() {
+    return new Promise((resolve) => {
+      this.joined = resolve;
+    });
+  }
+
+  async create() {
+    await this.enterRoom(() => this.network.create({ ...this.getJoinOptions(), trackId: this.trackId }));
+  }
+
+  async join() {
+    const code = this.codeEl.value.trim();
+    if (!code) {
+      this.showMessage('Enter the code of the room to join.', true);
+      return;
+    }
+    await this.enterRoom(() => this.network.joinByCode(code, this.getJoinOptions()));
+  }
+
+  getJoinOptions() {
+    return { name: this.profile.name, color: this.profile.color };
+  }
+
+  async enterRoom(request) {
+    this.setBusy(true);
+    this.showMessage('Connecting...');
+    try {
+      await request();
+    } catch (error) {
+      this.setBusy(false);
+      this.showMessage(error.message, true);
+      return;
+    }
+
+    this.showMessage('');
+    this.homeEl.classList.add('hidden');
+    this.roomEl.classList.remove('hidden');
+    this.listen();
+    this.render();
+    this.joined(this.network);
+  }
+
+  setBusy(busy) {
+    this.homeEl.querySelectorAll('button, input').forEach((el) => {
+      el.disabled = busy;
+    });
+  }
+
+  listen() {
+    const { network } = this;
+    const sessionId = network.getSessionId();
+
+    network.onStateChange(() => this.render());
+    network.onStatusChange((status) => {
+      if (status === 'waiting') {
+        this.show();
+      } else {
+        this.hide();
+      }
+    });
+    // Both of these also fire straight away for what's already there
+    let joining = true;
+    network.onPlayerAdd((state, id) => {
+      if (!joining && id !== sessionId) this.showMessage(`${state.name} joined.`);
+    });
+    network.onHostChange((hostId) => {
+      if (!joining && hostId === sessionId) this.showMessage('You are now the host.');
+    });
+    joining = false;
+    network.onPlayerLeft((name, disconnected) => {
+      this.showMessage(disconnected ? `${name} lost connection.` : `${name} left.`);
+    });
+    network.onDisconnect((consented) => {
+      if (consented) return;
+      this.show();
+      this.roomEl.classList.add('hidden');
+      this.lostEl.classList.remove('hidden');
+      this.showMessage('Lost connection to the server.', true);
+    });
+  }
+
+  setProfile(changes) {
+    this.profile = { ...this.profile, ...changes };
+    saveProfile(this.profile);
+    if (this.network.isInRoom()) {
+      this.network.sendProfile(changes);
+    }
+    this.renderColors();
+  }
+
+  renderColors() {
+    const players = this.network.isInRoom() ? [...this.network.getState().players.values()] : [];
+    const own = this.network.isInRoom() ? this.network.getPlayerState() : null;
+    const current = own ? own.color : this.profile.color;
+
+    this.colorsEl.innerHTML = '';
+    KART_COLORS.forEach((color) => {
+      const swatch = document.createElement('button');
+      swatch.className = 'lobby-swatch';
+      swatch.style.background = color;
+      swatch.classList.toggle('selected', color === current);
+      // One kart per colour in a room
+      swatch.disabled = players.some((player) => player !== own && player.color === color);
+      swatch.addEventListener('click', () => {
+        swatch.blur();
+        this.setProfile({ color });
+      });
+      this.colorsEl.appendChild(swatch);
+    });
+  }
+
+  render() {
+    if (!this.network.isInRoom() || !this.isOpen()) return;
+
+    const state = this.network.getState();
+    const own = this.network.getPlayerState();
+    const isHost = this.network.isHost();
+    const code = this.network.getRoomCode();
+
+    this.roomCodeEl.textContent = `ROOM ${code}`;
+    const link = new URL(window.location.href);
+    link.searchParams.set('room', code);
+    this.linkEl.value = link.toString();
+
+    const players = [...state.players.values()].sort((a, b) => a.slot - b.slot);
+    this.playersEl.innerHTML = players.map((player) => `
+      <tr class="${player === own ? 'self' : ''}">
+        <td><span class="lobby-dot" style="background:${player.color}"></span></td>
+        <td class="lobby-player-name"></td>
+        <td>${player.id === state.hostId ? 'HOST' : ''}</td>
+        <td class="${player.ready ? 'lobby-ready-tag' : 'lobby-waiting-tag'}">${player.ready ? 'READY' : 'NOT READY'}</td>
+      </tr>
+    `).join('');
+    // Names are typed by players, so they go in as text
+    this.playersEl.querySelectorAll('.lobby-player-name').forEach((cell, i) => {
+      cell.textContent = players[i].name;
+    });
+
+    this.trackEl.value = state.trackId;
+    this.lapsEl.value = String(state.maxLaps);
+    this.trackEl.disabled = !isHost;
+    this.lapsEl.disabled = !isHost;
+    this.hostHintEl.textContent = isHost ? '' : 'The host picks the track and laps.';
+
+    this.readyEl.textContent = own && own.ready ? 'Not ready' : 'Ready';
+    this.readyEl.classList.toggle('active', Boolean(own && own.ready));
+    if (document.activeElement !== this.nameEl && own) {
+      this.nameEl.value = own.name;
+    }
+    this.renderColors();
+  }
+
+  async leave() {
+    await this.network.leave();
+    this.restart();
+  }
+
+  // Back to a fresh start screen (keeping ?server and ?name, dropping the room)
+  restart() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('room');
+    window.location.assign(url.toString());
+  }
+
+  showMessage(text, error = false) {
+    this.messageEl.textContent = text;
+    this.messageEl.classList.toggle('error', error);
+  }
+
+  show() {
+    this.container.classList.remove('hidden');
+    this.render();
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .lobby {
+        position: absolute;
+        inset: 0;
+        z-index: 140;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.5);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .lobby.hidden,
+      .lobby .hidden {
+        display: none;
+      }
+      .lobby-panel {
+        width: 380px;
+        max-width: 95%;
+        max-height: 95%;
+        overflow: auto;
+        background: rgba(0, 0, 0, 0.85);
+        padding: 24px 32px;
+        border-radius: 15px;
+      }
+      .lobby-title {
+        font-size: 28px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 16px;
+        text-align: center;
+      }
+      .lobby-label {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 10px;
+        font-size: 14px;
+        color: #aaa;
+        margin-bottom: 10px;
+      }
+      .lobby input,
+      .lobby select {
+        padding: 6px 8px;
+        border: 1px solid #555;
+        border-radius: 5px;
+        background: #222;
+        color: white;
+        font-size: 14px;
+      }
+      .lobby-colors {
+        display: flex;
+        gap: 6px;
+        margin-bottom: 16px;
+      }
+      .lobby-swatch {
+        width: 28px;
+        height: 28px;
+        border: 2px solid transparent;
+        border-radius: 50%;
+        cursor: pointer;
+      }
+      .lobby-swatch.selected {
+        border-color: white;
+      }
+      .lobby-swatch:disabled {
+        opacity: 0.2;
+        cursor: default;
+      }
+      .lobby button:not(.lobby-swatch) {
+        padding: 8px 16px;
+        border: none;
+        border-radius: 6px;
+        background: #2196F3;
+        color: white;
+        font-size: 14px;
+        cursor: pointer;
+      }
+      .lobby button:disabled {
+        opacity: 0.5;
+      }
+      .lobby-home {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+      }
+      .lobby-join {
+        display: flex;
+        gap: 8px;
+      }
+      .lobby-code {
+        flex: 1;
+        text-transform: uppercase;
+        letter-spacing: 4px;
+      }
+      .lobby-room-code {
+        font-size: 24px;
+        font-weight: bold;
+        letter-spacing: 4px;
+        text-align: center;
+      }
+      .lobby-share {
+        margin: 6px 0 14px;
+        font-size: 12px;
+        color: #888;
+      }
+      .lobby-link {
+        width: 100%;
+        margin-top: 4px;
+        font-size: 12px;
+      }
+      .lobby-players {
+        width: 100%;
+        margin-bottom: 14px;
+        border-collapse: collapse;
+        font-size: 14px;
+      }
+      .lobby-players td {
+        padding: 4px 6px;
+      }
+      .lobby-players tr.self {
+        background: rgba(255, 255, 255, 0.1);
+      }
+      .lobby-dot {
+        display: inline-block;
+        width: 12px;
+        height: 12px;
+        border-radius: 50%;
+      }
+      .lobby-ready-tag {
+        color: #4CAF50;
+        text-align: right;
+      }
+      .lobby-waiting-tag {
+        color: #888;
+        text-align: right;
+      }
+      .lobby-host-hint {
+        font-size: 12px;
+        color: #888;
+        min-height: 16px;
+      }
+      .lobby-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 10px;
+        margin-top: 12px;
+      }
+      .lobby .lobby-leave {
+        background: #555;
+      }
+      .lobby .lobby-ready.active {
+        background: #4CAF50;
+      }
+      .lobby-message {
+        margin-top: 12px;
+        min-height: 18px;
+        font-size: 14px;
+        color: #ccc;
+      }
+      .lobby-message.error {
+        color: #FF5252;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,338 @@
+import { TRACKS, CUPS, DEFAULT_TRACK_ID } from '../tracks/definitions/index.js';
+import { importTrack } from '../tracks/trackFormat.js';
+import { RACE_CONFIG, START_CONFIG, AI_CONFIG } from '../utils/constants.js';
+import { GRID_ORDERS } from '../sim/index.js';
+
+let stylesInjected = false;
+
+// Modes on the title page. Online and the editor have screens of their own; the
+// others get a setup page first.
+const MODES = [
+  { id: 'race', label: 'Race', detail: 'One track, split-screen and AI opponents' },
+  { id: 'timetrial', label: 'Time Trial', detail: 'Alone against your records' },
+  { id: 'grandprix', label: 'Grand Prix', detail: 'A cup of races for points' },
+  { id: 'online', label: 'Online', detail: 'Rooms on a race server' },
+  { id: 'editor', label: 'Track Editor', detail: 'Build a track and test drive it' },
+];
+
+// Full-screen menu shown before any race, driven by App: a title page to pick a
+// mode, then a setup page for the track (or cup) and who's racing.
+//   onMode(mode):       a mode was picked on the title page
+//   onStart(options):   setup done; options for Game (track or grandPrix, playerCount,
+//                       opponents, difficulty, gridOrder, startType, items, timeTrial)
+//   onBack():           back from the setup page
+export class MainMenu {
+  constructor({ onMode, onStart, onBack }) {
+    this.onMode = onMode;
+    this.onStart = onStart;
+    this.onBack = onBack;
+    this.mode = null;
+    this.track = TRACKS[DEFAULT_TRACK_ID];
+    this.cup = Object.values(CUPS)[0];
+
+    this.injectStyles();
+    this.createMenu();
+  }
+
+  createMenu() {
+    this.container = document.createElement('div');
+    this.container.className = 'main-menu hidden';
+    this.container.innerHTML = `
+      <div class="menu-title">KART RACER</div>
+      <div class="menu-page menu-modes">
+        ${MODES.map(({ id, label, detail }) => `
+          <button data-mode="${id}">
+            <span class="menu-mode-label">${label}</span>
+            <span class="menu-mode-detail">${detail}</span>
+          </button>
+        `).join('')}
+      </div>
+      <div class="menu-page menu-setup hidden">
+        <div class="menu-heading"></div>
+        <div class="menu-choices"></div>
+        <button class="menu-open">Open track file...</button>
+        <div class="menu-info"></div>
+        <div class="menu-error"></div>
+        <div class="menu-options">
+          <label>Players
+            <select class="menu-players">
+              ${Array.from({ length: RACE_CONFIG.maxLocalPlayers }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+            </select>
+          </label>
+          <label>AI opponents <select class="menu-opponents"></select></label>
+          <label>Difficulty
+            <select class="menu-difficulty">
+              ${Object.keys(AI_CONFIG.difficulties).map((name) => `<option value="${name}">${name}</option>`).join('')}
+            </select>
+          </label>
+          <label>Grid
+            <select class="menu-grid">
+              ${GRID_ORDERS.map((name) => `<option value="${name}">${name}</option>`).join('')}
+            </select>
+          </label>
+          <label>Start
+            <select class="menu-start-type">
+              <option value="standing">standing</option>
+              <option value="rolling">rolling</option>
+            </select>
+          </label>
+          <label>Items
+            <select class="menu-items">
+              <option value="on">on</option>
+              <option value="off">off</option>
+            </select>
+          </label>
+        </div>
+        <div class="menu-actions">
+          <button class="menu-back">Back</button>
+          <button class="menu-start">Start</button>
+        </div>
+        <input class="menu-file" type="file" accept="application/json,.json" hidden>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.modesEl = this.container.querySelector('.menu-modes');
+    this.setupEl = this.container.querySelector('.menu-setup');
+    this.headingEl = this.container.querySelector('.menu-heading');
+    this.choicesEl = this.container.querySelector('.menu-choices');
+    this.openEl = this.container.querySelector('.menu-open');
+    this.infoEl = this.container.querySelector('.menu-info');
+    this.errorEl = this.container.querySelector('.menu-error');
+    this.optionsEl = this.container.querySelector('.menu-options');
+    this.playersEl = this.container.querySelector('.menu-players');
+    this.opponentsEl = this.container.querySelector('.menu-opponents');
+    this.difficultyEl = this.container.querySelector('.menu-difficulty');
+    this.gridEl = this.container.querySelector('.menu-grid');
+    this.startTypeEl = this.container.querySelector('.menu-start-type');
+    this.itemsEl = this.container.querySelector('.menu-items');
+    this.fileEl = this.container.querySelector('.menu-file');
+    this.difficultyEl.value = AI_CONFIG.difficulty;
+    this.gridEl.value = START_CONFIG.gridOrder;
+    this.startTypeEl.value = START_CONFIG.type;
+
+    this.container.querySelectorAll('[data-mode]').forEach((button) => {
+      button.addEventListener('click', () => this.onMode(button.dataset.mode));
+    });
+    this.playersEl.addEventListener('change', () => this.renderOpponents());
+    this.openEl.addEventListener('click', () => this.fileEl.click());
+    this.fileEl.addEventListener('change', () => this.importFile(this.fileEl.files[0]));
+    this.container.querySelector('.menu-back').addEventListener('click', () => this.onBack());
+    this.container.querySelector('.menu-start').addEventListener('click', () => this.onStart(this.getOptions()));
+  }
+
+  // Title page
+  showModes() {
+    this.modesEl.classList.remove('hidden');
+    this.setupEl.classList.add('hidden');
+    this.container.classList.remove('hidden');
+  }
+
+  // Setup page for 'race', 'timetrial' or 'grandprix'
+  showSetup(mode) {
+    this.mode = mode;
+    this.headingEl.textContent = MODES.find(({ id }) => id === mode).label;
+    this.errorEl.textContent = '';
+    // A time trial is one kart; a cup picks its own tracks
+    this.optionsEl.classList.toggle('hidden', mode === 'timetrial');
+    this.openEl.classList.toggle('hidden', mode === 'grandprix');
+    this.renderOpponents();
+    this.renderChoices();
+
+    this.modesEl.classList.add('hidden');
+    this.setupEl.classList.remove('hidden');
+    this.container.classList.remove('hidden');
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  // Tracks, or cups in a Grand Prix, as buttons with the picked one highlighted
+  renderChoices() {
+    const cups = this.mode === 'grandprix';
+    const items = cups ? Object.values(CUPS) : Object.values(TRACKS);
+    // A track opened from a file joins the list
+    if (!cups && !TRACKS[this.track.id]) items.push(this.track);
+    const picked = cups ? this.cup : this.track;
+
+    this.choicesEl.innerHTML = items.map((item, i) => `<button data-choice="${i}"></button>`).join('');
+    this.choicesEl.querySelectorAll('[data-choice]').forEach((button) => {
+      const item = items[button.dataset.choice];
+      // Names can come from track files, so they go in as text
+      button.textContent = item.name;
+      button.classList.toggle('active', item === picked);
+      button.addEventListener('click', () => {
+        if (cups) this.cup = item;
+        else this.track = item;
+        this.renderChoices();
+      });
+    });
+
+    if (cups) {
+      this.infoEl.textContent = this.cup.tracks.map((id) => TRACKS[id].name).join(' → ');
+    } else {
+      const { laps, author, description } = this.track;
+      this.infoEl.textContent = `${laps} lap${laps === 1 ? '' : 's'}${author ? ` · by ${author}` : ''}`;
+      if (description) this.infoEl.textContent += `\n${description}`;
+    }
+  }
+
+  // AI karts fill the grid up to RACE_CONFIG.maxKarts
+  renderOpponents() {
+    const players = Number(this.playersEl.value);
+    const max = RACE_CONFIG.maxKarts - players;
+    const current = Math.min(max, this.opponentsEl.value === '' ? max : Number(this.opponentsEl.value));
+    this.opponentsEl.innerHTML = Array.from({ length: max + 1 }, (_, i) => `<option value="${i}">${i}</option>`).join('');
+    this.opponentsEl.value = String(current);
+  }
+
+  async importFile(file) {
+    this.fileEl.value = '';
+    if (!file) return;
+
+    try {
+      this.track = await importTrack(file);
+      this.errorEl.textContent = '';
+      this.renderChoices();
+    } catch (e) {
+      this.errorEl.textContent = e.message;
+    }
+  }
+
+  getOptions() {
+    if (this.mode === 'timetrial') {
+      return { track: this.track, timeTrial: true };
+    }
+
+    const options = {
+      playerCount: Number(this.playersEl.value),
+      opponents: Number(this.opponentsEl.value),
+      difficulty: this.difficultyEl.value,
+      gridOrder: this.gridEl.value,
+      startType: this.startTypeEl.value,
+      items: this.itemsEl.value === 'on',
+    };
+    if (this.mode === 'grandprix') options.grandPrix = this.cup;
+    else options.track = this.track;
+    return options;
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .main-menu {
+        position: absolute;
+        inset: 0;
+        z-index: 130;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        background: linear-gradient(160deg, #1A237E 0%, #0D47A1 50%, #263238 100%);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .main-menu.hidden,
+      .main-menu .hidden {
+        display: none;
+      }
+      .menu-title {
+        font-size: 56px;
+        font-weight: bold;
+        font-style: italic;
+        letter-spacing: 6px;
+        color: #FFD700;
+        text-shadow: 3px 3px 0 #C62828;
+        margin-bottom: 32px;
+      }
+      .menu-page {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        width: 340px;
+      }
+      .main-menu button {
+        padding: 10px 16px;
+        border: none;
+        border-radius: 8px;
+        background: rgba(0, 0, 0, 0.5);
+        color: white;
+        font-size: 16px;
+        text-align: left;
+        cursor: pointer;
+      }
+      .main-menu button:hover,
+      .main-menu button.active {
+        background: #2196F3;
+      }
+      .menu-mode-label {
+        display: block;
+        font-size: 20px;
+        font-weight: bold;
+      }
+      .menu-mode-detail {
+        font-size: 13px;
+        color: #ccc;
+      }
+      .menu-heading {
+        font-size: 24px;
+        font-weight: bold;
+        color: #90CAF9;
+      }
+      .menu-choices {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+      .menu-info {
+        color: #ccc;
+        font-size: 14px;
+        white-space: pre-line;
+      }
+      .menu-error {
+        color: #FF5252;
+        font-size: 13px;
+        white-space: pre-line;
+      }
+      .menu-options {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        gap: 8px;
+        font-size: 13px;
+        color: #ccc;
+      }
+      .menu-options label {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+      .menu-options select {
+        padding: 4px;
+        border-radius: 4px;
+      }
+      .menu-actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 8px;
+      }
+      .menu-actions button {
+        flex: 1;
+        text-align: center;
+      }
+      .main-menu .menu-start {
+        background: #2E7D32;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
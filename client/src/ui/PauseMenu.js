@@ -0,0 +1,195 @@
+import { addToolbarButton } from './toolbar.js';
+
+let stylesInjected = false;
+
+// Offline pause overlay. Esc or the toolbar asks the game to pause (or resume);
+// the game shows and hides the menu as it goes in and out of its paused state.
+// Restarting from the grid lives here behind a confirmation, so it can't be hit by
+// accident mid-race (the reset key only respawns).
+//   onPause(), onResume()
+//   canRestart(): false once a Grand Prix race is scored
+//   onRestart():  the player confirmed a restart
+//   onQuit():     back to the main menu; the button is left out without it
+export class PauseMenu {
+  constructor({ onPause, onResume, canRestart = () => true, onRestart, onQuit = null }) {
+    this.onPause = onPause;
+    this.onResume = onResume;
+    this.canRestart = canRestart;
+    this.onRestart = onRestart;
+    this.onQuit = onQuit;
+
+    this.injectStyles();
+    this.createMenu();
+    this.handleKeyDown = (e) => this.onKeyDown(e);
+    window.addEventListener('keydown', this.handleKeyDown);
+    this.toolbarButton = addToolbarButton('PAUSE', () => (this.isOpen() ? this.onResume() : this.onPause()));
+  }
+
+  createMenu() {
+    this.container = document.createElement('div');
+    this.container.className = 'pause-menu hidden';
+    this.container.innerHTML = `
+      <div class="pause-box">
+        <div class="pause-title">PAUSED</div>
+        <div class="pause-main">
+          <button class="pause-resume">Resume</button>
+          <button class="pause-restart">Restart race</button>
+          <button class="pause-quit">Main menu</button>
+        </div>
+        <div class="pause-confirm hidden">
+          <div class="pause-question"></div>
+          <button class="pause-yes"></button>
+          <button class="pause-no">Cancel</button>
+        </div>
+        <div class="pause-hint">Esc to resume · Stuck? Your reset key puts you back at the last checkpoint</div>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.mainEl = this.container.querySelector('.pause-main');
+    this.confirmEl = this.container.querySelector('.pause-confirm');
+    this.questionEl = this.container.querySelector('.pause-question');
+    this.yesEl = this.container.querySelector('.pause-yes');
+    this.restartEl = this.container.querySelector('.pause-restart');
+    this.container.querySelector('.pause-quit').classList.toggle('hidden', !this.onQuit);
+
+    // Focus is dropped after each click so Space in-game doesn't press it again
+    const onClick = (selector, handler) => {
+      const button = this.container.querySelector(selector);
+      button.addEventListener('click', () => {
+        button.blur();
+        handler();
+      });
+    };
+    onClick('.pause-resume', () => this.onResume());
+    onClick('.pause-restart', () => this.ask('Restart from the grid? This race\'s times are lost.', 'Restart', this.onRestart));
+    onClick('.pause-quit', () => this.ask('Leave this race for the main menu?', 'Main menu', this.onQuit));
+    onClick('.pause-yes', () => this.confirmed());
+    onClick('.pause-no', () => this.showConfirm(false));
+  }
+
+  // Esc pauses and resumes, or backs out of a question
+  onKeyDown(e) {
+    if (e.code !== 'Escape' || e.repeat) return;
+
+    if (!this.isOpen()) {
+      this.onPause();
+    } else if (!this.confirmEl.classList.contains('hidden')) {
+      this.showConfirm(false);
+    } else {
+      this.onResume();
+    }
+  }
+
+  // Restart and quit both need a second click
+  ask(question, answer, action) {
+    this.questionEl.textContent = question;
+    this.yesEl.textContent = answer;
+    this.pendingAction = action;
+    this.showConfirm(true);
+  }
+
+  confirmed() {
+    const action = this.pendingAction;
+    this.pendingAction = null;
+    this.showConfirm(false);
+    action();
+  }
+
+  showConfirm(show) {
+    this.mainEl.classList.toggle('hidden', show);
+    this.confirmEl.classList.toggle('hidden', !show);
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  show() {
+    this.restartEl.disabled = !this.canRestart();
+    this.showConfirm(false);
+    this.container.classList.remove('hidden');
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this.handleKeyDown);
+    this.toolbarButton.remove();
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .pause-menu {
+        position: absolute;
+        inset: 0;
+        z-index: 145;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.5);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .pause-menu.hidden,
+      .pause-menu .hidden {
+        display: none;
+      }
+      .pause-box {
+        width: 300px;
+        padding: 24px 32px;
+        border-radius: 15px;
+        background: rgba(0, 0, 0, 0.9);
+        text-align: center;
+      }
+      .pause-title {
+        font-size: 28px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 16px;
+      }
+      .pause-main,
+      .pause-confirm {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+      .pause-box button {
+        padding: 8px 0;
+        border: none;
+        border-radius: 6px;
+        background: #444;
+        color: white;
+        font-size: 15px;
+        cursor: pointer;
+      }
+      .pause-box button:disabled {
+        color: #888;
+        cursor: default;
+      }
+      .pause-box .pause-resume {
+        background: #2196F3;
+      }
+      .pause-box .pause-yes {
+        background: #C62828;
+      }
+      .pause-question {
+        margin-bottom: 4px;
+      }
+      .pause-hint {
+        margin-top: 16px;
+        font-size: 12px;
+        color: #aaa;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,200 @@
+import { loadRecords, clearRecords, getTheoreticalBest } from '../race/records.js';
+import { addToolbarButton } from './toolbar.js';
+
+let stylesInjected = false;
+
+function formatTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const milliseconds = Math.floor(ms % 1000);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+}
+
+// Time trial records for every track and lap count on this browser: best lap,
+// best race and theoretical best, with when they were set and in which kart
+export class RecordsScreen {
+  constructor() {
+    this.injectStyles();
+    this.createScreen();
+    addToolbarButton('RECORDS', () => (this.isOpen() ? this.close() : this.open()));
+  }
+
+  createScreen() {
+    this.container = document.createElement('div');
+    this.container.className = 'records-screen hidden';
+    this.container.innerHTML = `
+      <div class="records-box">
+        <div class="records-title">TIME TRIAL RECORDS</div>
+        <table class="records-table"></table>
+        <div class="records-empty">No records yet. Race a time trial (?timetrial) to set some.</div>
+        <div class="records-actions">
+          <button class="records-clear">Clear records</button>
+          <button class="records-close">Close</button>
+        </div>
+      </div>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.tableEl = this.container.querySelector('.records-table');
+    this.emptyEl = this.container.querySelector('.records-empty');
+    this.clearEl = this.container.querySelector('.records-clear');
+
+    this.clearEl.addEventListener('click', () => {
+      if (!window.confirm('Delete every time trial record on this browser?')) return;
+      clearRecords();
+      this.render();
+    });
+    this.container.querySelector('.records-close').addEventListener('click', () => this.close());
+  }
+
+  // Time with when and in which kart it was set
+  renderEntry(entry) {
+    if (!entry) return '<td class="records-none">--:--.---</td>';
+    const date = new Date(entry.date).toLocaleDateString();
+    return `
+      <td>
+        <div class="records-time">${formatTime(entry.time)}</div>
+        <div class="records-meta">${date} · <span class="records-kart" style="background: ${entry.kart.color}"></span> ${entry.kart.model}</div>
+      </td>
+    `;
+  }
+
+  render() {
+    const records = loadRecords();
+    this.emptyEl.classList.toggle('hidden', records.length > 0);
+    this.tableEl.classList.toggle('hidden', records.length === 0);
+    this.clearEl.disabled = records.length === 0;
+
+    const header = '<tr><th>Track</th><th>Laps</th><th>Best lap</th><th>Best race</th><th>Theoretical</th></tr>';
+    this.tableEl.innerHTML = header + records.map((record) => {
+      const theoretical = getTheoreticalBest(record);
+      return `
+        <tr>
+          <td class="records-track"></td>
+          <td>${record.laps}</td>
+          ${this.renderEntry(record.bestLap)}
+          ${this.renderEntry(record.bestRace)}
+          <td class="records-time">${theoretical ? formatTime(theoretical) : '--:--.---'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    // Names come from track files, so they go in as text
+    this.tableEl.querySelectorAll('.records-track').forEach((cell, i) => {
+      cell.textContent = records[i].trackName;
+    });
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  open() {
+    this.render();
+    this.container.classList.remove('hidden');
+  }
+
+  close() {
+    this.container.classList.add('hidden');
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .records-screen {
+        position: absolute;
+        inset: 0;
+        z-index: 145;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.5);
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        color: white;
+      }
+      .records-screen.hidden,
+      .records-screen .hidden {
+        display: none;
+      }
+      .records-box {
+        max-width: 90%;
+        max-height: 80%;
+        overflow-y: auto;
+        padding: 24px 32px;
+        border-radius: 15px;
+        background: rgba(0, 0, 0, 0.9);
+      }
+      .records-title {
+        font-size: 24px;
+        font-weight: bold;
+        color: #FFD700;
+        margin-bottom: 16px;
+        text-align: center;
+      }
+      .records-table {
+        border-collapse: collapse;
+        font-size: 15px;
+      }
+      .records-table th {
+        font-size: 12px;
+        font-weight: normal;
+        color: #aaa;
+        text-align: left;
+        padding: 4px 12px;
+      }
+      .records-table td {
+        padding: 6px 12px;
+        border-top: 1px solid #333;
+        vertical-align: top;
+      }
+      .records-track {
+        font-weight: bold;
+      }
+      .records-time {
+        font-family: monospace;
+        font-size: 16px;
+      }
+      .records-none {
+        color: #666;
+        font-family: monospace;
+      }
+      .records-meta {
+        font-size: 11px;
+        color: #999;
+      }
+      .records-kart {
+        display: inline-block;
+        width: 8px;
+        height: 8px;
+        border-radius: 50%;
+      }
+      .records-empty {
+        color: #aaa;
+        text-align: center;
+      }
+      .records-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        margin-top: 16px;
+      }
+      .records-actions button {
+        padding: 6px 14px;
+        border: none;
+        border-radius: 6px;
+        background: #444;
+        color: white;
+        cursor: pointer;
+      }
+      .records-actions button:disabled {
+        color: #888;
+        cursor: default;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
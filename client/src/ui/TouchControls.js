@@ -0,0 +1,279 @@
+import { INPUT_CONFIG } from '../utils/constants.js';
+
+let stylesInjected = false;
+
+const BUTTONS = [
+  { action: 'accelerate', label: 'GO' },
+  { action: 'brake', label: 'BRAKE' },
+  { action: 'drift', label: 'DRIFT' },
+  { action: 'useItem', label: 'ITEM' },
+  { action: 'reset', label: '↺' },
+];
+
+export function isTouchDevice() {
+  return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+}
+
+// On-screen joystick and buttons layered over a HUD. Uses pointer events so every
+// finger is tracked on its own: one thumb can steer while the other holds GO.
+// Steering can be switched to tilt (DeviceOrientation) with the TILT button.
+export class TouchControls {
+  constructor(parent) {
+    this.parent = parent;
+    this.steer = 0;
+    this.held = new Map(); // action -> Set of pointer ids holding it
+    this.stickPointer = null;
+    this.stickOrigin = 0;
+    this.tilt = false;
+    this.tiltSteer = 0;
+    this.onOrientation = (e) => this.updateTilt(e);
+
+    this.injectStyles();
+    this.createControls();
+
+    // Show straight away on touch screens; otherwise wait for the first touch
+    // (laptops with touchscreens report no touch support until used)
+    if (isTouchDevice()) {
+      this.show();
+    } else {
+      window.addEventListener('touchstart', () => this.show(), { once: true });
+    }
+  }
+
+  createControls() {
+    this.container = document.createElement('div');
+    this.container.className = 'touch-controls hidden';
+    this.container.innerHTML = `
+      <div class="touch-stick"><div class="touch-stick-knob"></div></div>
+      <button class="touch-tilt">TILT</button>
+      <div class="touch-buttons">
+        ${BUTTONS.map(({ action, label }) => `<button class="touch-button touch-${action}" data-action="${action}">${label}</button>`).join('')}
+      </div>
+    `;
+    this.parent.appendChild(this.container);
+
+    this.stickEl = this.container.querySelector('.touch-stick');
+    this.knobEl = this.container.querySelector('.touch-stick-knob');
+    this.stickEl.addEventListener('pointerdown', (e) => this.onStickDown(e));
+    this.stickEl.addEventListener('pointermove', (e) => this.onStickMove(e));
+    this.stickEl.addEventListener('pointerup', (e) => this.onStickUp(e));
+    this.stickEl.addEventListener('pointercancel', (e) => this.onStickUp(e));
+
+    this.container.querySelectorAll('.touch-button').forEach((button) => {
+      const { action } = button.dataset;
+      this.held.set(action, new Set());
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        button.setPointerCapture(e.pointerId);
+        this.held.get(action).add(e.pointerId);
+        button.classList.add('active');
+      });
+      const release = (e) => {
+        this.held.get(action).delete(e.pointerId);
+        button.classList.toggle('active', this.held.get(action).size > 0);
+      };
+      button.addEventListener('pointerup', release);
+      button.addEventListener('pointercancel', release);
+    });
+
+    this.tiltEl = this.container.querySelector('.touch-tilt');
+    this.tiltEl.addEventListener('click', () => this.setTilt(!this.tilt));
+    this.itemButtonEl = this.container.querySelector('.touch-useItem');
+    this.showItemButton(false);
+  }
+
+  // Only races with items have any use for the ITEM button
+  showItemButton(show) {
+    this.itemButtonEl.classList.toggle('hidden', !show);
+  }
+
+  show() {
+    this.container.classList.remove('hidden');
+  }
+
+  isActive() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  // The stick only steers, so only the horizontal offset from the touch-down point counts
+  onStickDown(e) {
+    if (this.stickPointer !== null || this.tilt) return;
+    e.preventDefault();
+    this.stickEl.setPointerCapture(e.pointerId);
+    this.stickPointer = e.pointerId;
+    this.stickOrigin = e.clientX;
+  }
+
+  onStickMove(e) {
+    if (e.pointerId !== this.stickPointer) return;
+    const radius = this.stickEl.clientWidth / 2 || 1;
+    const offset = Math.max(-1, Math.min(1, (e.clientX - this.stickOrigin) / radius));
+    this.steer = Math.abs(offset) < INPUT_CONFIG.stickDeadzone ? 0 : offset;
+    this.knobEl.style.transform = `translateX(${offset * radius * 0.6}px)`;
+  }
+
+  onStickUp(e) {
+    if (e.pointerId !== this.stickPointer) return;
+    this.stickPointer = null;
+    this.steer = 0;
+    this.knobEl.style.transform = '';
+  }
+
+  async setTilt(enabled) {
+    if (enabled) {
+      // iOS only delivers orientation events after the user grants permission
+      const { DeviceOrientationEvent: Orientation } = window;
+      if (Orientation && typeof Orientation.requestPermission === 'function') {
+        try {
+          if ((await Orientation.requestPermission()) !== 'granted') return;
+        } catch (e) {
+          console.warn('Tilt steering unavailable', e);
+          return;
+        }
+      }
+      window.addEventListener('deviceorientation', this.onOrientation);
+    } else {
+      window.removeEventListener('deviceorientation', this.onOrientation);
+    }
+
+    this.tilt = enabled;
+    this.tiltSteer = 0;
+    this.steer = 0;
+    this.tiltEl.classList.toggle('active', enabled);
+    this.stickEl.classList.toggle('disabled', enabled);
+  }
+
+  // Tilting the device like a steering wheel. Which angle that is depends on how
+  // the screen is rotated.
+  updateTilt(e) {
+    const angle = (screen.orientation && screen.orientation.angle) ?? window.orientation ?? 0;
+    let roll;
+    if (angle === 90) roll = e.beta;
+    else if (angle === -90 || angle === 270) roll = -e.beta;
+    else if (angle === 180) roll = -e.gamma;
+    else roll = e.gamma;
+
+    const steer = Math.max(-1, Math.min(1, (roll || 0) / INPUT_CONFIG.tiltRange));
+    this.tiltSteer = Math.abs(steer) < INPUT_CONFIG.stickDeadzone ? 0 : steer;
+  }
+
+  isHeld(action) {
+    return this.held.get(action).size > 0;
+  }
+
+  // Same shape as InputManager.getInput(), plus reset and useItem; null while hidden
+  getState() {
+    if (!this.isActive()) return null;
+    return {
+      steer: this.tilt ? this.tiltSteer : this.steer,
+      throttle: this.isHeld('accelerate') ? 1 : 0,
+      brake: this.isHeld('brake') ? 1 : 0,
+      drift: this.isHeld('drift'),
+      useItem: this.isHeld('useItem'),
+      reset: this.isHeld('reset'),
+    };
+  }
+
+  dispose() {
+    window.removeEventListener('deviceorientation', this.onOrientation);
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .touch-controls {
+        position: absolute;
+        inset: 0;
+        pointer-events: none;
+        user-select: none;
+        -webkit-user-select: none;
+      }
+      .touch-controls.hidden {
+        display: none;
+      }
+      .touch-stick,
+      .touch-button,
+      .touch-tilt {
+        pointer-events: auto;
+        touch-action: none;
+      }
+      .touch-stick {
+        position: absolute;
+        left: 24px;
+        bottom: 24px;
+        width: 140px;
+        height: 140px;
+        border-radius: 50%;
+        background: rgba(255, 255, 255, 0.15);
+        border: 2px solid rgba(255, 255, 255, 0.3);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+      .touch-stick.disabled {
+        opacity: 0.3;
+      }
+      .touch-stick-knob {
+        width: 60px;
+        height: 60px;
+        border-radius: 50%;
+        background: rgba(255, 255, 255, 0.6);
+      }
+      .touch-tilt {
+        position: absolute;
+        left: 24px;
+        bottom: 176px;
+        padding: 6px 12px;
+        border: none;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        font-size: 12px;
+        letter-spacing: 1px;
+      }
+      .touch-tilt.active {
+        background: #2196F3;
+      }
+      .touch-buttons {
+        position: absolute;
+        right: 24px;
+        bottom: 24px;
+        display: grid;
+        grid-template-columns: 80px 80px;
+        grid-template-areas:
+          ". useItem"
+          "reset drift"
+          "brake accelerate";
+        gap: 14px;
+      }
+      .touch-button {
+        width: 80px;
+        height: 80px;
+        border-radius: 50%;
+        border: 2px solid rgba(255, 255, 255, 0.4);
+        background: rgba(0, 0, 0, 0.45);
+        color: white;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        font-size: 15px;
+        font-weight: bold;
+      }
+      .touch-button.hidden {
+        visibility: hidden;
+      }
+      .touch-button.active {
+        background: rgba(255, 255, 255, 0.4);
+      }
+      .touch-accelerate { grid-area: accelerate; background: rgba(76, 175, 80, 0.6); }
+      .touch-brake { grid-area: brake; background: rgba(244, 67, 54, 0.5); }
+      .touch-drift { grid-area: drift; }
+      .touch-useItem { grid-area: useItem; width: 64px; height: 64px; justify-self: center; align-self: end; font-size: 13px; }
+      .touch-reset { grid-area: reset; width: 56px; height: 56px; justify-self: center; align-self: center; font-size: 22px; }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
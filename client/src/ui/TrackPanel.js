@@ -0,0 +1,192 @@
+import { TRACKS } from '../tracks/definitions/index.js';
+import { importTrack } from '../tracks/trackFormat.js';
+import { addToolbarButton } from './toolbar.js';
+
+let stylesInjected = false;
+
+// Track picker overlay: race one of the bundled tracks or open a track file,
+// either with the file picker or by dropping it anywhere on the page.
+//   getTrack():     the track being raced
+//   onLoad(track):  a validated track was picked
+export class TrackPanel {
+  constructor({ getTrack, onLoad }) {
+    this.getTrack = getTrack;
+    this.onLoad = onLoad;
+
+    this.injectStyles();
+    this.createPanel();
+    this.bindDrop();
+    this.toolbarButton = addToolbarButton('TRACK', () => (this.isOpen() ? this.close() : this.open()));
+  }
+
+  createPanel() {
+    this.container = document.createElement('div');
+    this.container.className = 'track-panel hidden';
+    this.container.innerHTML = `
+      <div class="track-title">TRACK</div>
+      <div class="track-info"></div>
+      <div class="track-list">
+        ${Object.values(TRACKS).map((track) => `<button data-track="${track.id}">${track.name}</button>`).join('')}
+      </div>
+      <button class="track-open">Open track file...</button>
+      <div class="track-hint">or drop a .json track file on the game</div>
+      <div class="track-error"></div>
+      <input class="track-file" type="file" accept="application/json,.json" hidden>
+    `;
+    document.getElementById('game-container').appendChild(this.container);
+
+    this.infoEl = this.container.querySelector('.track-info');
+    this.errorEl = this.container.querySelector('.track-error');
+    this.fileEl = this.container.querySelector('.track-file');
+
+    this.container.querySelectorAll('[data-track]').forEach((button) => {
+      button.addEventListener('click', () => {
+        button.blur();
+        this.load(TRACKS[button.dataset.track]);
+      });
+    });
+    this.container.querySelector('.track-open').addEventListener('click', () => this.fileEl.click());
+    this.fileEl.addEventListener('change', () => this.importFile(this.fileEl.files[0]));
+  }
+
+  // Files dropped anywhere on the page are loaded as tracks
+  bindDrop() {
+    this.onDragOver = (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    };
+    this.onDrop = (e) => {
+      const file = e.dataTransfer.files[0];
+      if (!file) return;
+      e.preventDefault();
+      this.importFile(file);
+    };
+    window.addEventListener('dragover', this.onDragOver);
+    window.addEventListener('drop', this.onDrop);
+  }
+
+  async importFile(file) {
+    this.fileEl.value = '';
+    if (!file) return;
+
+    try {
+      this.load(await importTrack(file));
+    } catch (e) {
+      this.showError(e.message);
+    }
+  }
+
+  load(track) {
+    this.onLoad(track);
+    this.errorEl.textContent = '';
+    this.render();
+  }
+
+  // Opens the panel with a problem loading a track (e.g. from ?track=)
+  showError(message) {
+    this.open();
+    this.errorEl.textContent = message;
+  }
+
+  isOpen() {
+    return !this.container.classList.contains('hidden');
+  }
+
+  open() {
+    this.errorEl.textContent = '';
+    this.render();
+    this.container.classList.remove('hidden');
+  }
+
+  close() {
+    this.container.classList.add('hidden');
+  }
+
+  render() {
+    const track = this.getTrack();
+    const byline = track.author ? ` · by ${track.author}` : '';
+    this.infoEl.textContent = `${track.name} · ${track.laps} lap${track.laps === 1 ? '' : 's'}${byline}`;
+    if (track.description) this.infoEl.textContent += `\n${track.description}`;
+    this.container.querySelectorAll('[data-track]').forEach((button) => {
+      button.classList.toggle('active', button.dataset.track === track.id);
+    });
+  }
+
+  dispose() {
+    window.removeEventListener('dragover', this.onDragOver);
+    window.removeEventListener('drop', this.onDrop);
+    this.toolbarButton.remove();
+    this.container.remove();
+  }
+
+  injectStyles() {
+    if (stylesInjected) return;
+    stylesInjected = true;
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .track-panel {
+        position: absolute;
+        top: 48px;
+        right: 12px;
+        z-index: 150;
+        width: 280px;
+        padding: 16px 18px;
+        border-radius: 10px;
+        background: rgba(0, 0, 0, 0.85);
+        color: white;
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        font-size: 14px;
+      }
+      .track-panel.hidden {
+        display: none;
+      }
+      .track-title {
+        font-size: 18px;
+        font-weight: bold;
+        color: #90CAF9;
+        margin-bottom: 8px;
+      }
+      .track-info {
+        color: #ccc;
+        margin-bottom: 10px;
+        white-space: pre-line;
+      }
+      .track-list {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin-bottom: 10px;
+      }
+      .track-panel button {
+        padding: 6px 0;
+        border: none;
+        border-radius: 6px;
+        background: #444;
+        color: white;
+        cursor: pointer;
+      }
+      .track-panel button.active,
+      .track-panel .track-open {
+        background: #2196F3;
+      }
+      .track-open {
+        width: 100%;
+      }
+      .track-hint {
+        color: #888;
+        font-size: 12px;
+        margin-top: 6px;
+      }
+      .track-error {
+        color: #FF5252;
+        font-size: 13px;
+        margin-top: 6px;
+        white-space: pre-line;
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
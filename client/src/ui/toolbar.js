@@ -0,0 +1,48 @@
+let toolbar = null;
+
+// Row of small buttons in the top-right corner shared by the overlay screens
+export function getToolbar() {
+  if (toolbar) return toolbar;
+
+  const style = document.createElement('style');
+  style.textContent = `
+    .game-toolbar {
+      position: absolute;
+      top: 12px;
+      right: 12px;
+      z-index: 150;
+      display: flex;
+      gap: 8px;
+    }
+    .game-toolbar button {
+      padding: 6px 12px;
+      border: none;
+      border-radius: 6px;
+      background: rgba(0, 0, 0, 0.6);
+      color: white;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      font-size: 12px;
+      letter-spacing: 1px;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(style);
+
+  toolbar = document.createElement('div');
+  toolbar.className = 'game-toolbar';
+  document.getElementById('game-container').appendChild(toolbar);
+  return toolbar;
+}
+
+// Adds a toolbar button. Focus is dropped after each click so Space in-game
+// doesn't press it again.
+export function addToolbarButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    button.blur();
+    onClick();
+  });
+  getToolbar().appendChild(button);
+  return button;
+}
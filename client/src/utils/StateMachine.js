@@ -0,0 +1,45 @@
+// Named states and the moves allowed between them. Each state lists the states
+// it can go `next` to and can have hooks:
+//   enter(data, from): on the way in; what it returns, transition returns
+//   exit(to):          on the way out, to clean up what enter set up
+// Moving somewhere a state doesn't list is a bug, so it throws.
+//
+//   const flow = new StateMachine({
+//     menu: { next: ['race'], enter: () => menu.show(), exit: () => menu.hide() },
+//     race: { next: ['menu'], enter: (options) => startRace(options) },
+//   });
+//   flow.transition('menu');
+export class StateMachine {
+  constructor(states) {
+    this.states = states;
+    this.current = null; // Nothing until the first transition
+  }
+
+  getState() {
+    return this.current;
+  }
+
+  is(...names) {
+    return names.includes(this.current);
+  }
+
+  can(name) {
+    if (!this.states[name]) return false;
+    return this.current === null || this.states[this.current].next.includes(name);
+  }
+
+  transition(name, data) {
+    if (!this.can(name)) {
+      throw new Error(`Can't go from "${this.current}" to "${name}"`);
+    }
+
+    const from = this.current;
+    if (from && this.states[from].exit) {
+      this.states[from].exit(name);
+    }
+    this.current = name;
+
+    const { enter } = this.states[name];
+    return enter ? enter(data, from) : undefined;
+  }
+}
@@ -1,13 +1,56 @@
 export const CAR_CONFIG = {
+  // Driving model: 'arcade' (kinematic, heading + speed) or 'physics' (Havok rigid body)
+  mode: 'arcade',
   maxSpeed: 40,
   acceleration: 30,
   deceleration: 12,
   brakeForce: 40,
   turnSpeed: 1.8, // Smoother turning
+  highSpeedTurnFactor: 0.55, // Fraction of turnSpeed left at maxSpeed
+  grip: 10, // How fast sideways sliding dies out
+  // Drift / mini-turbo
+  driftGrip: 1.5,
+  driftMinSpeed: 12,
+  driftMinSteer: 0.3, // Stick deflection needed to pick a drift direction
+  driftTurnBase: 0.9, // Turn rate into the drift with no steering input
+  driftTurnRange: 0.5, // Extra / less turn from steering into / against the drift
+  miniTurboThresholds: [0.8, 1.6, 2.6], // Seconds of drifting for levels 1-3
+  miniTurboDurations: [0.6, 1.0, 1.5], // Boost seconds granted per level
+  boostSpeedMultiplier: 1.3, // Top speed while boosting, relative to maxSpeed
+  boostAcceleration: 45,
+  gravity: 25, // Arcade gravity for jump pads (stronger than real for snappy hops)
   // Physical dimensions
   width: 2,
   height: 0.8,
   length: 3.5,
+  // Wall collision
+  collisionRadius: 2, // Distance kept between car center and the wall line
+  wallFriction: 0.5, // Sliding speed lost per unit of speed going into the wall
+};
+
+// Havok driving model, used when CAR_CONFIG.mode is 'physics'.
+// maxSpeed and the reverse cap still come from CAR_CONFIG.
+export const PHYSICS_CONFIG = {
+  gravity: -9.81,
+  mass: 150,
+  centerOfMassHeight: -0.4, // Below the chassis center keeps the kart from rolling over
+  angularDamping: 0.5,
+  chassisFriction: 0.3,
+  chassisRestitution: 0.2, // Bounciness against walls
+  spawnHeight: 0.9,
+  // Raycast wheels
+  wheelRadius: 0.25,
+  suspensionRestLength: 0.5,
+  suspensionStiffness: 2500, // N per metre of compression, per wheel
+  suspensionDamping: 300,
+  // Tyres
+  engineForce: 4500,
+  brakeForce: 6000,
+  maxSteerAngle: 0.5, // Radians
+  steerSpeed: 8, // How quickly the front wheels reach the target angle
+  lateralStiffness: 400, // Sideways grip force per m/s of slip
+  gripCoefficient: 1.2, // Grip limit as a multiple of the wheel's load
+  rollingResistance: 8,
 };
 
 export const COLORS = {
@@ -21,7 +64,164 @@ export const COLORS = {
   checkpoint: '#FFD700',
 };
 
+// Kart colours to pick from in the online lobby (one per player in a room)
+export const KART_COLORS = [
+  COLORS.player1,
+  COLORS.player2,
+  COLORS.player3,
+  COLORS.player4,
+  '#A64AD9',
+  '#D98A4A',
+  '#4AD9D0',
+  '#E0E0E0',
+];
+
+// Scenery a track can place around itself ({ type, x, z, rotation?, scale? } in its
+// props). Decoration only: karts drive straight through, so keep them off the track.
+export const PROPS = {
+  tree: { color: '#2E7D32', radius: 1.5 }, // radius is the footprint drawn in the editor
+  rock: { color: '#8D8D8D', radius: 1.2 },
+  cone: { color: '#FF6D00', radius: 0.4 },
+};
+
+// Driving surfaces. Tracks declare zones of these; anything else between the walls
+// is asphalt on the racing surface and grass on the runoff.
+//   friction: multiplier on coasting deceleration
+//   topSpeed: multiplier on CAR_CONFIG.maxSpeed
+//   grip:     multiplier on sideways grip (low = slides)
+//   slow:     show the off-track warning while on it
+export const SURFACES = {
+  asphalt: { friction: 1, topSpeed: 1, grip: 1, color: '#555555' },
+  grass: { friction: 3, topSpeed: 0.5, grip: 0.6, color: '#3D8B3D', slow: true },
+  mud: { friction: 4, topSpeed: 0.4, grip: 0.8, color: '#6B4A2B', slow: true },
+  ice: { friction: 0.2, topSpeed: 1, grip: 0.1, color: '#BFE6FF' },
+  boost: { friction: 1, topSpeed: 1, grip: 1, color: '#FF6D00', boostDuration: 0.8 },
+  jump: { friction: 1, topSpeed: 1, grip: 1, color: '#00E5FF', jumpSpeed: 9 },
+};
+
+export const INPUT_CONFIG = {
+  maxGamepads: 4,
+  stickDeadzone: 0.15, // Fraction of stick travel ignored around the center
+  triggerDeadzone: 0.05,
+  tiltRange: 25, // Degrees of device tilt for full steering lock
+};
+
+// Computer-controlled karts. Difficulty scales how close they drive to the racing
+// line's limits; rubber-banding speeds up karts that fall behind the leading
+// human and eases off karts that get too far ahead.
+export const AI_CONFIG = {
+  difficulty: 'medium',
+  // Racing line
+  lineMargin: 2.5, // Distance kept from the asphalt edge
+  lineIterations: 300, // Smoothing passes when straightening the line
+  turnHeadroom: 0.85, // Fraction of the kart's turn rate the line is planned with
+  brakeEffort: 0.6, // Fraction of brakeForce planned for when slowing for corners
+  // Driving
+  lookahead: 6, // Steering target distance at standstill (m)
+  lookaheadPerSpeed: 0.35, // Extra seconds of travel added to the lookahead
+  steerGain: 2.5, // Steer per radian of heading error
+  avoidDistance: 12, // How far ahead other karts are dodged
+  avoidWidth: 3.5, // Lateral gap that counts as "in the way"
+  stuckTime: 1.5, // Seconds nearly stationary before reversing out
+  reverseTime: 1,
+  // Items (see AIDriver.shouldUseItem)
+  itemDelay: 1, // Seconds an item is held before it can be used
+  itemMaxHold: 8, // Seconds before it's used whatever the situation
+  aimDistance: 40, // How far ahead a kart can be to fire a projectile at
+  aimWidth: 2, // How far off our heading it can be
+  difficulties: {
+    easy: { speedFactor: 0.8, lineFollow: 0.5, wobble: 0.25, steerGain: 0.7 },
+    medium: { speedFactor: 0.9, lineFollow: 0.8, wobble: 0.1, steerGain: 0.9 },
+    hard: { speedFactor: 1, lineFollow: 1, wobble: 0, steerGain: 1 },
+  },
+  rubberBanding: {
+    enabled: true,
+    range: 60, // Gap (m) at which the full adjustment applies
+    maxBoost: 0.12, // Extra top speed when far behind
+    maxSlow: 0.12, // Speed given up when far ahead
+  },
+};
+
+// Fixed-timestep simulation: the game advances in ticks of 1 / tickRate seconds
+// however fast frames are drawn; rendering interpolates between the last two ticks
+export const SIM_CONFIG = {
+  tickRate: 60,
+  maxTicksPerFrame: 4, // After a longer hitch the simulation falls behind rather than spiralling
+};
+
 export const RACE_CONFIG = {
   laps: 3,
   countdownSeconds: 3,
+  maxLocalPlayers: 4, // Split-screen players on one machine
+  maxKarts: 4, // Humans plus AI opponents; one colour each in COLORS
+  lapOptions: [1, 3, 5, 7], // Race lengths the host of an online room can pick
+  grandPrixPoints: [10, 7, 5, 3], // Points for 1st, 2nd, ... in each Grand Prix race
+};
+
+// The start. Karts line up on the track's grid (see RaceTrack.getGridSlots) in
+// gridOrder. A standing start watches the throttle through the countdown: on it
+// before the launch window is a jump start, on it inside the window and still on
+// at GO is a launch boost. A rolling start sends the grid off already moving.
+export const START_CONFIG = {
+  type: 'standing', // 'standing' or 'rolling'
+  gridOrder: 'fixed', // 'fixed' (players, then AI), 'qualifying', 'random' or 'reverse' (see orderGrid)
+  launchBoost: true,
+  launchWindowMs: 300, // Before GO
+  launchBoostSeconds: 0.8,
+  jumpStartPenaltyMs: 1000, // Added to the race time
+  rollingSpeed: 20, // m/s at GO in a rolling start
+  gridLineGap: 2, // Metres from the start line back to the pole slot
+  gridStagger: 3, // Metres from each slot back to the next
+};
+
+// Item boxes and what's in them. A kart holds one item at a time; driving through
+// a box gives an empty-handed kart a random one, with odds by race position.
+export const ITEM_CONFIG = {
+  boxRespawnMs: 4000, // A broken box is back this long after
+  pickupRadius: 2, // Metres from a box's centre
+  // Relative odds of each item from the leader (first) to last place (last)
+  odds: {
+    boost: [1, 3, 4, 5],
+    shield: [4, 2, 1, 1],
+    hazard: [4, 3, 1, 0],
+    projectile: [1, 2, 4, 4],
+  },
+  hazardDropDistance: 3, // Metres behind the kart
+  hazardRadius: 1.5,
+  hazardLifeMs: 30000,
+  maxHazards: 12, // The oldest goes when another is dropped
+  projectileSpeed: 55, // m/s on top of the kart's own speed
+  projectileRadius: 1.5,
+  projectileLifeMs: 3000, // Unless it hits a kart or a wall first
+};
+
+// What can happen to a kart, all through Kart.applyEffect: a boost or shield
+// item on its user, a hazard's slowdown and a projectile's spin-out on whoever
+// they hit. Hostile effects bounce off a shield (which breaks) and respawn immunity.
+export const EFFECTS = {
+  boost: { seconds: 1.5 },
+  shield: { seconds: 10 },
+  slow: { seconds: 2, hostile: true, topSpeed: 0.5 },
+  spin: { seconds: 1, hostile: true, turnRate: 12 }, // rad/s, no control meanwhile
+};
+
+// The reset key puts a stuck kart back at the last gate it passed. The time
+// penalty and cooldown stop it from being worth using as a shortcut.
+export const RESPAWN_CONFIG = {
+  penaltyMs: 1500, // Added to the race and lap times
+  cooldownMs: 3000, // Race time before the same kart can respawn again
+  immunitySeconds: 1.5, // Slow surfaces don't slow the kart meanwhile; it blinks
+  aheadDistance: 3, // Metres along the track past the gate
+  fadeMs: 500, // The player's view fades back in from black
+};
+
+// Online races against the Colyseus server (server/)
+export const NETWORK_CONFIG = {
+  serverUrl: 'ws://localhost:2567',
+  patchRate: 20, // State broadcasts per second
+  interpolationDelay: 100, // ms remote karts are drawn behind the latest snapshot
+  maxQueuedInputs: 30, // Server drops the oldest inputs beyond this many ticks' worth
+  roomCodeLength: 4, // Letters in the code players share to join a room
+  maxNameLength: 16,
+  resultsSeconds: 10, // Results stay up this long before the room goes back to the lobby
 };
@@ -0,0 +1,81 @@
+// Grand Prix points, standings and saved progress (src/race/GrandPrix.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GrandPrix, loadGrandPrix } from '../src/race/GrandPrix.js';
+import { CUPS } from '../src/tracks/definitions/index.js';
+
+// Node has no localStorage; a fresh empty one for every test
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+});
+
+const RACERS = [{ name: 'ann', color: '#f00' }, { name: 'bob', color: '#0f0' }, { name: 'cat', color: '#00f' }];
+
+test('every place scores its points, and the cup ends after its last track', () => {
+  const grandPrix = new GrandPrix(CUPS.classic, RACERS, { points: [10, 7] });
+  assert.equal(grandPrix.getTrackId(), 'oval');
+
+  grandPrix.recordRace(['bob', 'left-mid-race', 'ann', 'cat']);
+  assert.deepEqual(grandPrix.getStandings().map(({ name, points, lastPlace, lastPoints }) => ({ name, points, lastPlace, lastPoints })), [
+    { name: 'bob', points: 10, lastPlace: 1, lastPoints: 10 },
+    { name: 'ann', points: 0, lastPlace: 3, lastPoints: 0 },
+    { name: 'cat', points: 0, lastPlace: 4, lastPoints: 0 },
+  ]);
+  assert.equal(grandPrix.getTrackId(), 'canyon');
+  assert.equal(grandPrix.isComplete(), false);
+
+  grandPrix.recordRace(['ann', 'cat', 'bob']);
+  assert.equal(grandPrix.isComplete(), true);
+});
+
+test('ties on points go to more wins, then the better last place', () => {
+  const grandPrix = new GrandPrix(CUPS.endurance, RACERS, { points: [2, 1, 0] });
+  grandPrix.recordRace(['ann', 'cat', 'bob']);
+  grandPrix.recordRace(['bob', 'ann', 'cat']);
+  grandPrix.recordRace(['cat', 'bob', 'ann']);
+  // All on 3 points with a win each: the last race decides
+  assert.deepEqual(grandPrix.getStandings().map(({ name }) => name), ['cat', 'bob', 'ann']);
+
+  // All on 2 points: cat and ann have a win, so bob is behind them despite
+  // beating ann last time
+  const wins = new GrandPrix(CUPS.classic, RACERS, { points: [2, 1, 0] });
+  wins.recordRace(['ann', 'bob', 'cat']);
+  wins.recordRace(['cat', 'bob', 'ann']);
+  assert.deepEqual(wins.getStandings().map(({ name, points }) => [name, points]), [['cat', 2], ['ann', 2], ['bob', 2]]);
+});
+
+test('a saved cup resumes only with the same cup and racers', () => {
+  const saved = loadGrandPrix(CUPS.endurance, RACERS);
+  saved.recordRace(['cat', 'ann', 'bob']);
+
+  const resumed = loadGrandPrix(CUPS.endurance, RACERS);
+  assert.equal(resumed.getRaceNumber(), 2);
+  assert.deepEqual(resumed.getStandings().map(({ name, points }) => [name, points]), [['cat', 10], ['ann', 7], ['bob', 5]]);
+
+  // Another cup, or other racers, starts over (and replaces the save)
+  assert.equal(loadGrandPrix(CUPS.endurance, [...RACERS].reverse()).getRaceNumber(), 1);
+  assert.equal(loadGrandPrix(CUPS.endurance, RACERS).getRaceNumber(), 1);
+  loadGrandPrix(CUPS.endurance, RACERS).recordRace(['ann', 'bob', 'cat']);
+  assert.equal(loadGrandPrix(CUPS.classic, RACERS).getRaceNumber(), 1);
+});
+
+test('a finished cup or an unreadable save starts over', () => {
+  const grandPrix = loadGrandPrix(CUPS.classic, RACERS);
+  grandPrix.recordRace(['ann', 'bob', 'cat']);
+  grandPrix.recordRace(['ann', 'bob', 'cat']);
+  assert.equal(loadGrandPrix(CUPS.classic, RACERS).getRaceNumber(), 1);
+
+  localStorage.setItem('kart-racer.grand-prix', '{not json');
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(loadGrandPrix(CUPS.classic, RACERS).getRaceNumber(), 1);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
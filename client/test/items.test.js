@@ -0,0 +1,136 @@
+// Item boxes, items and what they do to karts (src/sim/ItemSystem.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RaceTrack, Kart, SimulationClock, ItemSystem, ITEMS } from '../src/sim/index.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+import { SIM_CONFIG, ITEM_CONFIG, RESPAWN_CONFIG } from '../src/utils/constants.js';
+
+const DT = 1 / SIM_CONFIG.tickRate;
+
+// Items on the oval, with hits recorded as { kart, effect, took }
+function createItems(options) {
+  const clock = new SimulationClock(SIM_CONFIG.tickRate);
+  const track = new RaceTrack(TRACKS.oval);
+  const hits = [];
+  const items = new ItemSystem(track, {
+    clock: () => clock.now(),
+    onHit: (kart, effect, took) => hits.push({ kart, effect, took }),
+    ...options,
+  });
+  const tick = (racers, count = 1) => {
+    for (let i = 0; i < count; i++) {
+      clock.advance();
+      items.update(racers, DT);
+    }
+  };
+  return { clock, track, items, hits, tick };
+}
+
+// A kart on the start line's heading, `ahead` metres down the track from pole
+function kartAhead(track, ahead = 0) {
+  const rotation = track.getStartRotation();
+  const { x, z } = track.getStartPosition();
+  return new Kart(track, { x: x + Math.sin(rotation) * ahead, y: 0, z: z + Math.cos(rotation) * ahead }, rotation);
+}
+
+test('item odds follow race position', () => {
+  const { items } = createItems();
+  // How often each item comes out of `draws` evenly spread rolls
+  const tally = (place, count, draws = 1000) => {
+    const counts = Object.fromEntries(ITEMS.map((item) => [item, 0]));
+    for (let i = 0; i < draws; i++) {
+      items.random = () => (i + 0.5) / draws;
+      counts[items.rollItem(place, count)]++;
+    }
+    return counts;
+  };
+  // How many of `draws` picks each item should get, from a column of ITEM_CONFIG.odds
+  const expected = (column, draws = 1000) => {
+    const weights = ITEMS.map((item) => ITEM_CONFIG.odds[item][column]);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(ITEMS.map((item, i) => [item, draws * weights[i] / total]));
+  };
+
+  assert.deepEqual(tally(1, 4), expected(0));
+  assert.deepEqual(tally(4, 4), expected(3));
+  assert.equal(tally(4, 4).hazard, 0);
+  // Places in between spread across the columns; two karts use the ends
+  assert.deepEqual(tally(3, 4), expected(2));
+  assert.deepEqual(tally(2, 2), expected(3));
+  assert.deepEqual(tally(1, 1), expected(0));
+});
+
+test('a box gives an item and comes back after boxRespawnMs', () => {
+  const pickups = [];
+  const { track, items, tick } = createItems({ random: () => 0, onPickup: (kart, item) => pickups.push({ kart, item }) });
+  const box = track.getItemBoxes()[1];
+  const first = new Kart(track, box, track.getStartRotation());
+  const second = new Kart(track, box, track.getStartRotation());
+  const activeBoxes = () => items.getBoxes().filter(({ active }) => active).length;
+
+  tick([{ kart: first, place: 1 }]);
+  assert.deepEqual(pickups, [{ kart: first, item: ITEMS[0] }]);
+  assert.equal(items.getItem(first), ITEMS[0]);
+  assert.equal(activeBoxes(), track.getItemBoxes().length - 1);
+
+  // Broken: nothing for the next kart through
+  tick([{ kart: second, place: 2 }], ITEM_CONFIG.boxRespawnMs * SIM_CONFIG.tickRate / 1000 - 1);
+  assert.equal(items.getItem(second), null);
+
+  tick([{ kart: second, place: 2 }]);
+  assert.equal(pickups.length, 2);
+  assert.equal(items.getItem(second), ITEMS[0]);
+
+  // Using the item empties the kart's hands
+  assert.equal(items.use(first), ITEMS[0]);
+  assert.equal(items.getItem(first), null);
+  assert.equal(items.use(first), null);
+});
+
+test('a shield takes a hazard hit and breaks', () => {
+  const { track, items, hits, tick } = createItems();
+  const dropper = kartAhead(track, ITEM_CONFIG.hazardDropDistance);
+  const victim = kartAhead(track);
+  items.dropHazard(dropper);
+  victim.applyEffect('shield');
+
+  tick([{ kart: victim, place: 1 }]);
+  assert.deepEqual(hits, [{ kart: victim, effect: 'slow', took: false }]);
+  assert.equal(victim.isShielded(), false);
+  assert.equal(victim.isSlowed(), false);
+  assert.equal(items.getHazards().length, 0);
+});
+
+test('projectiles spin out karts, but not one immune after a respawn', () => {
+  const { track, items, hits, tick } = createItems();
+  const shooter = kartAhead(track);
+  const target = kartAhead(track, 15);
+  const racers = [{ kart: shooter, place: 2 }, { kart: target, place: 1 }];
+
+  items.fireProjectile(shooter);
+  tick(racers, 30);
+  assert.deepEqual(hits, [{ kart: target, effect: 'spin', took: true }]);
+  assert.ok(target.isSpinning());
+
+  const respawned = kartAhead(track, 15);
+  respawned.respawn(respawned.getPosition(), respawned.getRotationY(), RESPAWN_CONFIG.immunitySeconds);
+  items.fireProjectile(shooter);
+  tick([{ kart: shooter, place: 2 }, { kart: respawned, place: 1 }], 30);
+  assert.deepEqual(hits[1], { kart: respawned, effect: 'spin', took: false });
+  assert.equal(respawned.isSpinning(), false);
+  assert.equal(items.getProjectiles().length, 0);
+});
+
+test('a projectile fired at a wall is gone when it gets there', () => {
+  const { track, items, hits, tick } = createItems();
+  const shooter = kartAhead(track);
+  shooter.reset(shooter.getPosition(), shooter.getRotationY() + Math.PI / 2);
+
+  items.fireProjectile(shooter);
+  tick([{ kart: shooter, place: 1 }]);
+  assert.equal(items.getProjectiles().length, 1);
+  // Half a second: across the asphalt, but nowhere near projectileLifeMs
+  tick([{ kart: shooter, place: 1 }], 29);
+  assert.equal(items.getProjectiles().length, 0);
+  assert.deepEqual(hits, []);
+});
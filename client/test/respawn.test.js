@@ -0,0 +1,59 @@
+// Respawning at the last gate passed (src/sim/respawn.js) and its time penalty
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RaceTrack, Kart, RaceProgress, SimulationClock, respawnKart } from '../src/sim/index.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+import { SIM_CONFIG, RESPAWN_CONFIG } from '../src/utils/constants.js';
+
+// A kart on the oval, racing from GO at time 0
+function createRacer() {
+  const clock = new SimulationClock(SIM_CONFIG.tickRate);
+  const track = new RaceTrack(TRACKS.oval);
+  const kart = new Kart(track, track.getStartPosition(), track.getStartRotation());
+  const progress = new RaceProgress(track, { clock: () => clock.now() });
+  progress.update(kart.getPosition());
+  progress.beginRacing(clock.now());
+  const wait = (ms) => {
+    for (let i = 0; i < ms * SIM_CONFIG.tickRate / 1000; i++) clock.advance();
+  };
+  return { clock, track, kart, progress, wait };
+}
+
+test('penalties add to the race and lap time', () => {
+  const { progress, wait } = createRacer();
+  wait(1000);
+
+  const before = progress.getRaceTime();
+  progress.addPenalty(1000);
+  assert.equal(progress.getRaceTime(), before + 1000);
+  assert.equal(progress.getCurrentLapTime(), before + 1000);
+});
+
+test('a respawn puts the kart at the last gate passed, with a penalty and a cooldown', () => {
+  const { track, kart, progress, wait } = createRacer();
+  kart.update({ steer: 0.5, throttle: 1, brake: 0, drift: false }, 1);
+  wait(1000);
+
+  const before = progress.getRaceTime();
+  assert.equal(respawnKart(kart, progress, track), true);
+  const { position, rotation } = track.getRespawnPoint(progress.getLastGate());
+  assert.equal(kart.getPosition().x, position.x);
+  assert.equal(kart.getPosition().z, position.z);
+  assert.equal(kart.getRotationY(), rotation);
+  assert.equal(kart.getSpeed(), 0);
+  assert.ok(kart.isImmune());
+  assert.equal(progress.getRaceTime(), before + RESPAWN_CONFIG.penaltyMs);
+
+  assert.equal(respawnKart(kart, progress, track), false);
+  wait(RESPAWN_CONFIG.cooldownMs);
+  assert.equal(respawnKart(kart, progress, track), true);
+});
+
+test('karts only respawn while racing', () => {
+  const track = new RaceTrack(TRACKS.oval);
+  const kart = new Kart(track, track.getStartPosition(), track.getStartRotation());
+  const progress = new RaceProgress(track);
+  assert.equal(respawnKart(kart, progress, track), false);
+  progress.startCountdown();
+  assert.equal(respawnKart(kart, progress, track), false);
+});
@@ -0,0 +1,67 @@
+// Headless checks of the race simulation (src/sim/), run with `npm test`. The
+// server and client prediction both rely on these rules giving the same race for
+// the same inputs, so the last test drives a few AI karts twice and compares.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RaceTrack, Kart, RaceProgress, SimulationClock } from '../src/sim/index.js';
+import { AIDriver } from '../src/ai/AIDriver.js';
+import { RacingLine } from '../src/ai/RacingLine.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+import { SIM_CONFIG } from '../src/utils/constants.js';
+
+const DT = 1 / SIM_CONFIG.tickRate;
+
+// AI karts on `trackId`, each with its lap tracking, started with GO at time 0
+function createRace(trackId, count, { laps = 1 } = {}) {
+  const track = new RaceTrack(TRACKS[trackId]);
+  const line = new RacingLine(track.getPath());
+  const clock = new SimulationClock(SIM_CONFIG.tickRate);
+
+  const racers = Array.from({ length: count }, (_, slot) => {
+    const kart = new Kart(track, track.getStartPosition(slot, count), track.getStartRotation());
+    const driver = new AIDriver(kart, track, line, { difficulty: 'hard', rubberBanding: false, seed: slot });
+    const progress = new RaceProgress(track, { laps, clock: () => clock.now() });
+    progress.update(kart.getPosition());
+    progress.beginRacing(clock.now());
+    return { kart, driver, progress };
+  });
+
+  const tick = () => {
+    clock.advance();
+    racers.forEach(({ kart, driver, progress }) => {
+      if (!progress.canMove()) return;
+      const others = racers.map((racer) => racer.kart).filter((other) => other !== kart);
+      kart.update(driver.getInput(DT, { others }), DT);
+      progress.update(kart.getPosition());
+    });
+  };
+  return { track, clock, racers, tick };
+}
+
+test('RaceProgress counts laps in gate order and finishes the race', () => {
+  const laps = [];
+  const race = createRace('oval', 1, { laps: 2 });
+  const [{ progress }] = race.racers;
+  progress.onLapComplete = (lap, lapTime) => laps.push({ lap, lapTime });
+
+  for (let i = 0; i < 60 * 60 && !progress.isRaceFinished(); i++) race.tick();
+
+  assert.ok(progress.isRaceFinished());
+  assert.deepEqual(laps.map(({ lap }) => lap), [1, 2]);
+  assert.equal(progress.getTotalTime(), race.clock.now());
+  assert.equal(progress.getTotalTime(), laps[0].lapTime + laps[1].lapTime);
+  assert.equal(progress.bestLapTime, Math.min(laps[0].lapTime, laps[1].lapTime));
+});
+
+test('AI races replay identically tick for tick', () => {
+  const run = () => {
+    const race = createRace('canyon', 3);
+    for (let i = 0; i < 60 * 20; i++) race.tick();
+    return race.racers.map(({ kart, progress }) => ({ state: kart.getState(), laps: progress.lapCount, gate: progress.getLastGate() }));
+  };
+
+  const first = run();
+  assert.deepEqual(run(), first);
+  // They actually got going
+  first.forEach(({ state }) => assert.ok(Math.hypot(state.vx, state.vz) > 5));
+});
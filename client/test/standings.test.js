@@ -0,0 +1,65 @@
+// Race order and finishing results (src/sim/Standings.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Standings } from '../src/sim/index.js';
+
+// A racer `distance` metres from its next gate with `laps` and `gates` done
+function racer(name, { laps = 0, gates = 0, distance = 0, bestLap = null } = {}) {
+  return {
+    name,
+    color: name,
+    car: { getPosition: () => ({ x: 0, y: 0, z: 0 }) },
+    checkpoints: {
+      lapCount: laps,
+      bestLapTime: bestLap,
+      getCheckpointsPassed: () => gates,
+      getDistanceToNextGate: () => distance,
+    },
+  };
+}
+
+const names = (racers) => racers.map(({ name }) => name);
+
+test('racers are ranked by laps, then gates, then distance to the next gate', () => {
+  const racers = [
+    racer('ann', { laps: 1, gates: 2, distance: 30 }),
+    racer('bob', { laps: 2, gates: 0, distance: 80 }),
+    racer('cat', { laps: 1, gates: 2, distance: 10 }),
+    racer('dan', { laps: 1, gates: 3, distance: 90 }),
+  ];
+  const standings = new Standings(racers);
+  assert.deepEqual(names(standings.getOrder()), ['ann', 'bob', 'cat', 'dan'], 'as given until the first update');
+
+  standings.update();
+  assert.deepEqual(names(standings.getOrder()), ['bob', 'dan', 'cat', 'ann']);
+  assert.equal(standings.getPosition(racers[2]), 3);
+});
+
+test('finishers stay ahead in finishing order, with gaps to the winner', () => {
+  const [ann, bob, cat] = [
+    racer('ann', { laps: 3 }),
+    racer('bob', { laps: 3 }),
+    racer('cat', { laps: 2, gates: 3, bestLap: 41000 }),
+  ];
+  const standings = new Standings([ann, bob, cat]);
+
+  assert.equal(standings.recordFinish(bob, 120000, 39000), 1);
+  // Still racing, but further on the lap than the finisher's final state
+  cat.checkpoints.lapCount = 5;
+  assert.equal(standings.recordFinish(ann, 121500, 39500), 2);
+  standings.update();
+
+  assert.deepEqual(names(standings.getOrder()), ['bob', 'ann', 'cat']);
+  assert.deepEqual(names(standings.getFinishOrder()), ['bob', 'ann']);
+  assert.equal(standings.isFinished(cat), false);
+  assert.deepEqual(standings.getResults(), [
+    { position: 1, name: 'bob', color: 'bob', finished: true, totalTime: 120000, bestLap: 39000, gap: 0 },
+    { position: 2, name: 'ann', color: 'ann', finished: true, totalTime: 121500, bestLap: 39500, gap: 1500 },
+    { position: 3, name: 'cat', color: 'cat', finished: false, totalTime: null, bestLap: 41000, gap: null },
+  ]);
+
+  // Someone leaving moves everyone behind them up
+  standings.remove(bob);
+  assert.deepEqual(names(standings.getOrder()), ['ann', 'cat']);
+  assert.equal(standings.getCount(), 2);
+});
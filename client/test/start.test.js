@@ -0,0 +1,82 @@
+// The start (src/sim/RaceStart.js, Countdown.js) and grid order (src/sim/grid.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RaceTrack, Kart, RaceProgress, SimulationClock, Countdown, RaceStart, orderGrid } from '../src/sim/index.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+import { SIM_CONFIG, START_CONFIG } from '../src/utils/constants.js';
+
+// Runs a countdown, with the throttle on from `throttleAt` ms to GO (null: never).
+// Returns the start's result at GO, the kart and its lap tracking.
+function runStart(throttleAt, options) {
+  const clock = new SimulationClock(SIM_CONFIG.tickRate);
+  const track = new RaceTrack(TRACKS.oval);
+  const kart = new Kart(track, track.getStartPosition(), track.getStartRotation());
+  const progress = new RaceProgress(track, { clock: () => clock.now() });
+  const start = new RaceStart(options);
+  let result;
+  const countdown = new Countdown(() => clock.now(), {
+    onGo: (startTime) => {
+      progress.beginRacing(startTime);
+      result = start.go(kart, progress);
+    },
+  });
+  countdown.start();
+
+  while (result === undefined) {
+    clock.advance();
+    const timeToGo = countdown.isRunning() ? countdown.getTimeToGo() : 0;
+    const throttle = throttleAt !== null && timeToGo <= throttleAt ? 1 : 0;
+    if (countdown.isRunning()) start.watch(throttle, timeToGo);
+    countdown.update();
+  }
+  return { result, kart, progress };
+}
+
+test('Countdown and RaceStart catch jump starts and hand out launches', () => {
+  const jump = runStart(2000);
+  assert.equal(jump.result, 'jump');
+  assert.equal(jump.progress.getRaceTime(), START_CONFIG.jumpStartPenaltyMs);
+
+  const launch = runStart(START_CONFIG.launchWindowMs / 2);
+  assert.equal(launch.result, 'launch');
+  assert.ok(launch.kart.isBoosting());
+
+  assert.equal(runStart(null).result, null);
+  assert.equal(runStart(START_CONFIG.launchWindowMs / 2, { launchBoost: false }).result, null);
+
+  const rolling = runStart(2000, { type: 'rolling' });
+  assert.equal(rolling.result, null);
+  assert.equal(rolling.kart.getSpeed(), START_CONFIG.rollingSpeed);
+});
+
+
+test('orderGrid lines racers up by each order', () => {
+  const racers = ['ann', 'bob', 'cat', 'dan'];
+  assert.deepEqual(orderGrid(racers, 'fixed'), racers);
+  assert.deepEqual(orderGrid(racers, 'unknown'), racers);
+
+  // No time yet goes to the back, in the order given
+  const bestLaps = new Map([['bob', 41000], ['dan', 39500], ['cat', null]]);
+  assert.deepEqual(orderGrid(racers, 'qualifying', { bestLaps }), ['dan', 'bob', 'ann', 'cat']);
+
+  // Standings leader at the back; anyone not in the standings behind them
+  const standings = ['cat', 'ann', 'dan'];
+  assert.deepEqual(orderGrid(racers, 'reverse', { standings }), ['dan', 'ann', 'cat', 'bob']);
+
+  const draws = [0.9, 0.1, 0.5];
+  const shuffled = orderGrid(racers, 'random', { random: () => draws.shift() });
+  assert.deepEqual(shuffled, ['cat', 'bob', 'ann', 'dan']);
+  assert.deepEqual(racers, ['ann', 'bob', 'cat', 'dan'], 'the list passed in is left alone');
+});
+
+test('each kart starts on its own grid mark, pole first', () => {
+  const track = new RaceTrack(TRACKS.oval);
+  const slots = track.getGridSlots();
+  const positions = slots.map((_, slot) => track.getStartPosition(slot, slots.length));
+  const start = track.getStartPoint();
+  const behind = positions.map((p) => (start.x - p.x) * start.tangent.x + (start.z - p.z) * start.tangent.z);
+
+  assert.ok(behind[0] > 0, 'pole is behind the start line');
+  behind.slice(1).forEach((back, i) => assert.ok(back > behind[i]));
+  assert.deepEqual(track.getStartPosition(), positions[0]);
+});
@@ -0,0 +1,101 @@
+// Time trial splits and saved records (src/race/TimeTrial.js, records.js)
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimeTrial } from '../src/race/TimeTrial.js';
+import { loadRecord, loadRecords, clearRecords, getTheoreticalBest } from '../src/race/records.js';
+import { RaceTrack } from '../src/sim/index.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+
+// Node has no localStorage; a fresh empty one for every test
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+});
+
+const KART = { color: '#f00', model: 'classic' };
+
+// Drives a lap of `sectors` (ms each) and completes it; returns the split deltas
+function driveLap(timeTrial, sectors) {
+  let split = 0;
+  const deltas = sectors.map((sector, i) => {
+    split += sector;
+    return timeTrial.recordSplit(i, split);
+  });
+  return { deltas, newBest: timeTrial.completeLap(split) };
+}
+
+test('splits compare with the best at each gate, and best sectors can come from different laps', () => {
+  const track = new RaceTrack(TRACKS.oval);
+  const timeTrial = new TimeTrial(track, 3, KART);
+  assert.equal(track.getGates().length, 4);
+
+  const first = driveLap(timeTrial, [10000, 10000, 10000, 10000]);
+  assert.deepEqual(first.deltas, [null, null, null, null]);
+  assert.equal(first.newBest, true);
+
+  // Quicker early, slower late: 500 ms up, then 1500 ms down at the line
+  const second = driveLap(timeTrial, [9500, 10000, 12000, 10000]);
+  assert.deepEqual(second.deltas, [-500, -500, 1500, 1500]);
+  assert.equal(second.newBest, false);
+
+  const record = loadRecord('oval', 3);
+  assert.deepEqual(record.bestSplits, [9500, 19500, 30000, 40000]);
+  assert.deepEqual(record.bestSectors, [9500, 10000, 10000, 10000]);
+  assert.equal(record.bestLap.time, 40000);
+  assert.deepEqual(record.bestLap.kart, KART);
+  assert.equal(timeTrial.getTheoreticalBest(), 39500);
+  assert.equal(getTheoreticalBest(record), 39500);
+});
+
+test('a lap missing splits sets no split or sector bests', () => {
+  const timeTrial = new TimeTrial(new RaceTrack(TRACKS.oval), 3, KART);
+  timeTrial.recordSplit(2, 25000);
+  timeTrial.recordSplit(3, 35000);
+  assert.equal(timeTrial.completeLap(35000), true);
+
+  const record = loadRecord('oval', 3);
+  assert.deepEqual(record.bestSplits, []);
+  assert.equal(record.bestLap.time, 35000);
+  assert.equal(timeTrial.getTheoreticalBest(), null);
+});
+
+test('records are kept per track and lap count', () => {
+  const oval = new RaceTrack(TRACKS.oval);
+  const threeLaps = new TimeTrial(oval, 3, KART);
+  driveLap(threeLaps, [10000, 10000, 10000, 10000]);
+  assert.equal(threeLaps.finishRace(120000, [40000, 40000, 40000]), true);
+
+  const oneLap = new TimeTrial(oval, 1, KART);
+  assert.equal(oneLap.getBestLap(), null);
+  driveLap(oneLap, [11000, 11000, 11000, 11000]);
+  assert.equal(oneLap.finishRace(44000, [44000]), true);
+
+  const canyon = new TimeTrial(new RaceTrack(TRACKS.canyon), 3, KART);
+  assert.equal(canyon.getBestLap(), null);
+
+  // A slower race doesn't replace the best one
+  const again = new TimeTrial(oval, 3, KART);
+  assert.equal(again.getBestLap(), 40000);
+  assert.equal(again.finishRace(125000, [41000, 42000, 42000]), false);
+  assert.deepEqual(loadRecord('oval', 3).bestRace.lapTimes, [40000, 40000, 40000]);
+
+  assert.deepEqual(loadRecords().map(({ trackId, laps }) => [trackId, laps]), [['oval', 1], ['oval', 3]]);
+  clearRecords();
+  assert.deepEqual(loadRecords(), []);
+});
+
+test('best splits from a different set of gates are dropped', () => {
+  const oval = new RaceTrack(TRACKS.oval);
+  driveLap(new TimeTrial(oval, 3, KART), [10000, 10000, 10000, 10000]);
+
+  // The same track id after an edit took a gate out
+  const edited = new RaceTrack({ ...TRACKS.oval, checkpoints: TRACKS.oval.checkpoints.slice(0, 3) });
+  const timeTrial = new TimeTrial(edited, 3, KART);
+  assert.equal(timeTrial.recordSplit(0, 9000), null);
+  assert.equal(timeTrial.getBestLap(), 40000);
+  assert.equal(timeTrial.getTheoreticalBest(), null);
+});
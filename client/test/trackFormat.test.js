@@ -0,0 +1,60 @@
+// Track files: versions, migrations and validation (src/tracks/trackFormat.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateTrack, validateTrack } from '../src/tracks/trackFormat.js';
+import { TRACKS } from '../src/tracks/definitions/index.js';
+import { RACE_CONFIG } from '../src/utils/constants.js';
+
+// A bundled track as a version 1 file would have had it
+function versionOne(overrides = {}) {
+  const { format, version, start, props, ...track } = TRACKS.oval;
+  return { ...track, ...overrides };
+}
+
+test('version 1 files get a start line on the first point and no props', () => {
+  const track = migrateTrack(versionOne());
+  assert.equal(track.start, 0);
+  assert.deepEqual(track.props, []);
+  assert.deepEqual(validateTrack(track), []);
+});
+
+test('version 1 editor drafts keep their start line and props', () => {
+  const props = [{ type: 'tree', x: 0, z: 0 }];
+  const track = migrateTrack(versionOne({ start: 0.4, props }));
+  assert.equal(track.start, 0.4);
+  assert.deepEqual(track.props, props);
+  assert.deepEqual(validateTrack(track), []);
+});
+
+test('version 2 and 3 files load as version 4', () => {
+  const { grid, itemBoxes, ...track } = TRACKS.oval;
+  [{ ...track, version: 2 }, { ...track, grid, version: 3 }].forEach((older) => {
+    const migrated = migrateTrack(older);
+    assert.equal(migrated.version, 4);
+    assert.deepEqual(validateTrack(migrated), []);
+  });
+});
+
+test('a newer file is reported by its version', () => {
+  const errors = validateTrack(migrateTrack({ ...TRACKS.oval, version: 5, laneMarkings: true }));
+  assert.match(errors[0], /version 5, newer than this game reads \(4\)/);
+});
+
+test('surface and prop types must be ones the game has', () => {
+  const track = {
+    ...TRACKS.oval,
+    surfaces: [{ type: 'constructor', from: 0.1, to: 0.2 }],
+    props: [{ type: 'toString', x: 0, z: 0 }],
+  };
+  const errors = validateTrack(track);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /"surfaces\[0\]\.type" must be one of .*, not "constructor"/);
+  assert.match(errors[1], /"props\[0\]\.type" must be one of .*, not "toString"/);
+});
+
+test('a grid needs a slot for every kart in a race', () => {
+  const grid = TRACKS.oval.grid.slice(0, RACE_CONFIG.maxKarts - 1);
+  const errors = validateTrack({ ...TRACKS.oval, grid });
+  assert.deepEqual(errors, [`"grid" needs at least ${RACE_CONFIG.maxKarts} entries, not ${grid.length}.`]);
+  assert.deepEqual(validateTrack({ ...TRACKS.oval, grid: [...TRACKS.oval.grid, { back: 20, lateral: 0 }] }), []);
+});
@@ -0,0 +1,19 @@
+import { createServer } from 'http';
+import { Server } from '@colyseus/core';
+import { WebSocketTransport } from '@colyseus/ws-transport';
+import { RaceRoom } from './rooms/RaceRoom.js';
+
+const port = Number(process.env.PORT) || 2567;
+
+const server = new Server({
+  transport: new WebSocketTransport({
+    server: createServer(),
+  }),
+});
+
+// Register room handlers
+server.define('race', RaceRoom);
+
+server.listen(port).then(() => {
+  console.log(`Kart Racer server running on ws://localhost:${port}`);
+});
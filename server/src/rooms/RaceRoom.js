@@ -0,0 +1,351 @@
+import { Room, ServerError } from '@colyseus/core';
+import { GameState } from '../state/GameState.js';
+import { PlayerState } from '../state/PlayerState.js';
+import {
+  RaceTrack, Kart, RaceProgress, SimulationClock, Countdown, Standings, RaceStart, respawnKart,
+  TRACKS, SIM_CONFIG, RACE_CONFIG, NETWORK_CONFIG, KART_COLORS,
+} from '../shared.js';
+
+const NEUTRAL_INPUT = { steer: 0, throttle: 0, brake: 0, drift: false };
+
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, which read as 1 and 0
+const CODES_KEY = 'race:codes'; // Presence set of room codes in use
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, Number(value) || 0));
+}
+
+// Authoritative online race. Clients only send their inputs; the room drives
+// every kart with the shared simulation at SIM_CONFIG.tickRate, runs the
+// countdown (with jump starts and launches), lap tracking and finish order, and
+// Colyseus broadcasts the state
+// NETWORK_CONFIG.patchRate times a second.
+//
+// The room id is a short code players share to join. Between races the room is a
+// lobby: players pick names and colours, the host picks track and laps, and the
+// countdown starts once everyone is ready. Results stay up for
+// NETWORK_CONFIG.resultsSeconds, then it's back to the lobby.
+//
+// Messages from clients:
+//   input { seq, steer, throttle, brake, drift, respawn }: one per client tick;
+//                            respawn asks to go back to the last gate passed
+//   ready { ready }:         lobby ready toggle
+//   profile { name, color }: lobby name / kart colour
+//   settings { trackId, laps }: host only, lobby only
+// Messages to clients:
+//   left { name, disconnected }: a player left, or dropped without saying so
+export class RaceRoom extends Room {
+  maxClients = RACE_CONFIG.maxKarts;
+
+  async onCreate(options = {}) {
+    this.roomId = await this.generateCode();
+    this.setState(new GameState());
+    this.state.maxLaps = RACE_CONFIG.lapOptions.includes(options.laps) ? options.laps : RACE_CONFIG.laps;
+    this.loadTrack(TRACKS[options.trackId] ? options.trackId : 'oval');
+    // Room already has a `clock` (Colyseus timers); this one is race time
+    this.simClock = new SimulationClock(SIM_CONFIG.tickRate);
+    this.racers = new Map(); // sessionId -> racer
+    this.standings = new Standings([]);
+    this.countdown = null;
+    this.resultsTimer = null;
+
+    this.onMessage('input', (client, input) => this.onInput(client, input));
+    this.onMessage('ready', (client, message) => this.onReady(client, message));
+    this.onMessage('profile', (client, message) => this.onProfile(client, message));
+    this.onMessage('settings', (client, message) => this.onSettings(client, message));
+
+    this.setPatchRate(1000 / NETWORK_CONFIG.patchRate);
+    this.setSimulationInterval(() => this.tick(), this.simClock.getStep());
+
+    console.log(`Room ${this.roomId} created on ${this.state.trackId}`);
+  }
+
+  async onDispose() {
+    await this.presence.srem(CODES_KEY, this.roomId);
+  }
+
+  // Codes are short enough to read out, so draw until one isn't taken
+  async generateCode() {
+    const taken = await this.presence.smembers(CODES_KEY);
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < NETWORK_CONFIG.roomCodeLength; i++) {
+        code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+      }
+    } while (taken.includes(code));
+
+    await this.presence.sadd(CODES_KEY, code);
+    return code;
+  }
+
+  loadTrack(trackId) {
+    this.state.trackId = trackId;
+    this.track = new RaceTrack(TRACKS[trackId]);
+  }
+
+  // Late joiners wait for the lobby: there's no grid slot to put them on mid-race.
+  // (A full room is locked by Colyseus before this is asked.)
+  onAuth() {
+    if (this.state.status !== 'waiting') {
+      throw new ServerError(403, 'That room is in the middle of a race. Try again when it finishes.');
+    }
+    return true;
+  }
+
+  onJoin(client, options = {}) {
+    const slot = this.getFreeSlot();
+    const state = new PlayerState();
+    state.id = client.sessionId;
+    state.slot = slot;
+    state.name = this.cleanName(options.name) || `Player ${slot + 1}`;
+    state.color = this.isColorFree(options.color) ? options.color : KART_COLORS.find((c) => this.isColorFree(c));
+
+    const racer = {
+      id: client.sessionId,
+      name: state.name,
+      slot,
+      state,
+      car: null,
+      checkpoints: null,
+      inputs: [],
+      input: NEUTRAL_INPUT,
+      lastQueued: 0,
+    };
+    this.placeOnGrid(racer);
+
+    this.racers.set(client.sessionId, racer);
+    this.standings.add(racer);
+    this.writeState(racer);
+    this.state.players.set(client.sessionId, state);
+    if (!this.state.hostId) {
+      this.state.hostId = client.sessionId;
+    }
+    console.log(`${state.name} (${client.sessionId}) joined ${this.roomId}`);
+  }
+
+  onLeave(client, consented) {
+    const racer = this.racers.get(client.sessionId);
+    if (!racer) return;
+
+    console.log(`${racer.name} (${client.sessionId}) ${consented ? 'left' : 'disconnected'}`);
+    this.racers.delete(client.sessionId);
+    this.standings.remove(racer);
+    this.state.players.delete(client.sessionId);
+    this.broadcast('left', { name: racer.name, disconnected: !consented });
+
+    // The longest-standing player (lowest grid slot) takes over as host
+    if (this.state.hostId === client.sessionId) {
+      const next = [...this.racers.values()].sort((a, b) => a.slot - b.slot)[0];
+      this.state.hostId = next ? next.id : '';
+    }
+
+    if (this.racers.size === 0) {
+      this.resetRace();
+    } else if (this.state.status === 'waiting') {
+      this.checkAllReady();
+    } else if (this.state.status === 'racing') {
+      this.checkAllFinished();
+    }
+  }
+
+  getFreeSlot() {
+    const taken = [...this.racers.values()].map((racer) => racer.slot);
+    let slot = 0;
+    while (taken.includes(slot)) slot++;
+    return slot;
+  }
+
+  // New kart on the racer's grid slot and new lap tracking, for the current track and laps
+  placeOnGrid(racer) {
+    racer.car = new Kart(this.track, this.getStartPosition(racer.slot), this.track.getStartRotation());
+    racer.checkpoints = new RaceProgress(this.track, {
+      laps: this.state.maxLaps,
+      clock: () => this.simClock.now(),
+      onRaceFinish: (totalTime, bestLap) => this.onRaceFinish(racer, totalTime, bestLap),
+    });
+    racer.start = new RaceStart();
+    racer.inputs = [];
+    racer.input = NEUTRAL_INPUT;
+  }
+
+  // Grid slots are laid out for a full room so they don't move as players join
+  getStartPosition(slot) {
+    return this.track.getStartPosition(slot, this.maxClients);
+  }
+
+  onInput(client, input) {
+    const racer = this.racers.get(client.sessionId);
+    if (!racer || !input || !(input.seq > racer.lastQueued)) return;
+
+    racer.lastQueued = input.seq;
+    racer.inputs.push({
+      seq: input.seq,
+      steer: clamp(input.steer, -1, 1),
+      throttle: clamp(input.throttle, 0, 1),
+      brake: clamp(input.brake, 0, 1),
+      drift: Boolean(input.drift),
+      respawn: Boolean(input.respawn),
+    });
+    // A client running fast (or a burst after a stall) can't build up a backlog
+    if (racer.inputs.length > NETWORK_CONFIG.maxQueuedInputs) {
+      racer.inputs.splice(0, racer.inputs.length - NETWORK_CONFIG.maxQueuedInputs);
+    }
+  }
+
+  onReady(client, { ready = true } = {}) {
+    const racer = this.racers.get(client.sessionId);
+    if (!racer || this.state.status !== 'waiting') return;
+
+    racer.state.ready = Boolean(ready);
+    this.checkAllReady();
+  }
+
+  // Names end up in the other players' HUD markup, so no HTML characters
+  cleanName(name) {
+    return String(name || '').replace(/[<>&"'`]/g, '').trim().slice(0, NETWORK_CONFIG.maxNameLength);
+  }
+
+  // One kart per colour in a room
+  isColorFree(color, sessionId = null) {
+    return KART_COLORS.includes(color)
+      && [...this.racers.values()].every((racer) => racer.id === sessionId || racer.state.color !== color);
+  }
+
+  onProfile(client, { name, color } = {}) {
+    const racer = this.racers.get(client.sessionId);
+    if (!racer || this.state.status !== 'waiting') return;
+
+    const cleaned = this.cleanName(name);
+    if (cleaned) {
+      racer.name = cleaned;
+      racer.state.name = cleaned;
+    }
+    if (color !== undefined && this.isColorFree(color, client.sessionId)) {
+      racer.state.color = color;
+    }
+  }
+
+  // Host picks the track and race length. Everyone is un-readied so nobody is
+  // started on a race they didn't agree to.
+  onSettings(client, { trackId, laps } = {}) {
+    if (client.sessionId !== this.state.hostId || this.state.status !== 'waiting') return;
+
+    let changed = false;
+    if (TRACKS[trackId] && trackId !== this.state.trackId) {
+      this.loadTrack(trackId);
+      changed = true;
+    }
+    if (RACE_CONFIG.lapOptions.includes(laps) && laps !== this.state.maxLaps) {
+      this.state.maxLaps = laps;
+      changed = true;
+    }
+    if (!changed) return;
+
+    this.racers.forEach((racer) => {
+      this.placeOnGrid(racer);
+      racer.state.ready = false;
+      this.writeState(racer);
+    });
+  }
+
+  checkAllReady() {
+    const racers = [...this.racers.values()];
+    if (racers.length > 0 && racers.every((racer) => racer.state.ready)) {
+      this.startCountdown();
+    }
+  }
+
+  startCountdown() {
+    this.state.status = 'countdown';
+    this.racers.forEach((racer) => racer.checkpoints.startCountdown());
+
+    this.countdown = new Countdown(() => this.simClock.now(), {
+      onTick: (count) => {
+        this.state.countdown = count;
+      },
+      onGo: (startTime) => {
+        this.state.countdown = 0;
+        this.state.status = 'racing';
+        this.state.raceStartTime = startTime;
+        this.racers.forEach((racer) => {
+          racer.checkpoints.beginRacing(startTime);
+          racer.start.go(racer.car, racer.checkpoints);
+        });
+      },
+    });
+    this.countdown.start();
+  }
+
+  // One simulation step: each kart takes its next queued input (or keeps the last
+  // one if the client fell behind)
+  tick() {
+    this.simClock.advance();
+    if (this.countdown) this.countdown.update();
+
+    const dt = this.simClock.getStep() / 1000;
+    this.racers.forEach((racer) => {
+      const next = racer.inputs.shift();
+      if (next) {
+        racer.input = next;
+        racer.state.lastInput = next.seq;
+      }
+
+      const { car, checkpoints } = racer;
+      // Only asked for once, so not repeated when the last input is held
+      if (next && next.respawn && respawnKart(car, checkpoints, this.track)) {
+        racer.state.respawns++;
+      }
+      if (checkpoints.canMove()) {
+        car.update(racer.input, dt);
+      } else if (this.countdown && this.countdown.isRunning()
+        && racer.start.watch(racer.input.throttle, this.countdown.getTimeToGo())) {
+        racer.state.jumpStart = true;
+      }
+      checkpoints.update(car.getPosition());
+    });
+
+    this.standings.update();
+    this.racers.forEach((racer) => this.writeState(racer));
+  }
+
+  writeState(racer) {
+    const { state, car, checkpoints } = racer;
+    Object.assign(state, car.getState());
+    state.lap = checkpoints.lapCount;
+    state.checkpoint = checkpoints.currentCheckpoint;
+    state.position = this.standings.getPosition(racer);
+  }
+
+  onRaceFinish(racer, totalTime, bestLap) {
+    this.standings.recordFinish(racer, totalTime, bestLap);
+    racer.state.finished = true;
+    racer.state.finishTime = totalTime;
+    racer.state.bestLap = bestLap;
+    this.checkAllFinished();
+  }
+
+  checkAllFinished() {
+    if ([...this.racers.values()].every((racer) => racer.checkpoints.isRaceFinished())) {
+      this.state.status = 'finished';
+      this.resultsTimer = this.clock.setTimeout(() => this.resetRace(), NETWORK_CONFIG.resultsSeconds * 1000);
+    }
+  }
+
+  // Back to the lobby: karts on the grid, everyone un-readied
+  resetRace() {
+    if (this.resultsTimer) this.resultsTimer.clear();
+    this.resultsTimer = null;
+    this.countdown = null;
+    this.state.status = 'waiting';
+    this.state.countdown = 0;
+    this.state.raceStartTime = 0;
+    this.standings.reset();
+
+    this.racers.forEach((racer) => {
+      this.placeOnGrid(racer);
+      Object.assign(racer.state, { ready: false, finished: false, finishTime: 0, bestLap: 0, jumpStart: false });
+      this.writeState(racer);
+    });
+  }
+}
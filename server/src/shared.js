@@ -0,0 +1,6 @@
+// The server runs the client's own simulation package, so online races follow
+// exactly the same rules as local ones. Everything it needs from client/ comes
+// through here.
+export { RaceTrack, Kart, RaceProgress, SimulationClock, Countdown, Standings, RaceStart, respawnKart } from '../../client/src/sim/index.js';
+export { TRACKS } from '../../client/src/tracks/definitions/index.js';
+export { SIM_CONFIG, RACE_CONFIG, NETWORK_CONFIG, KART_COLORS } from '../../client/src/utils/constants.js';
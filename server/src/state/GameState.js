@@ -0,0 +1,25 @@
+import { Schema, MapSchema, defineTypes } from '@colyseus/schema';
+import { PlayerState } from './PlayerState.js';
+
+export class GameState extends Schema {
+  constructor() {
+    super();
+    this.status = 'waiting'; // waiting (in the lobby), countdown, racing, finished
+    this.hostId = ''; // Session that picks the track and laps
+    this.trackId = 'oval';
+    this.countdown = 0;
+    this.raceStartTime = 0; // Simulation ms at GO
+    this.maxLaps = 3;
+    this.players = new MapSchema();
+  }
+}
+
+defineTypes(GameState, {
+  status: 'string',
+  hostId: 'string',
+  trackId: 'string',
+  countdown: 'uint8',
+  raceStartTime: 'number',
+  maxLaps: 'uint8',
+  players: { map: PlayerState },
+});
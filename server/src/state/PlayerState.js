@@ -0,0 +1,78 @@
+import { Schema, defineTypes } from '@colyseus/schema';
+
+// One racer in a RaceRoom. The kart fields mirror Kart.getState() so a client can
+// restore its own kart from them when reconciling.
+export class PlayerState extends Schema {
+  constructor() {
+    super();
+    this.id = '';
+    this.name = '';
+    this.color = '';
+    this.slot = 0;
+    this.ready = false;
+
+    // Kart
+    this.x = 0;
+    this.y = 0;
+    this.z = 0;
+    this.rotation = 0;
+    this.vx = 0;
+    this.vz = 0;
+    this.speed = 0;
+    this.driftDirection = 0;
+    this.driftTime = 0;
+    this.boostTimer = 0;
+    this.airborne = false;
+    this.verticalSpeed = 0;
+    this.surface = 'asphalt';
+    this.immunity = 0;
+    this.spinTimer = 0;
+    this.slowTimer = 0;
+    this.shieldTimer = 0;
+    this.lastInput = 0; // Sequence number of the last input applied
+
+    // Race
+    this.lap = 0;
+    this.checkpoint = 0;
+    this.position = 0; // 1st, 2nd, ...
+    this.finished = false;
+    this.finishTime = 0;
+    this.bestLap = 0;
+    this.respawns = 0; // Times put back on the track; clients watch it change
+    this.jumpStart = false; // Caught on the throttle early in this countdown
+  }
+}
+
+defineTypes(PlayerState, {
+  id: 'string',
+  name: 'string',
+  color: 'string',
+  slot: 'uint8',
+  ready: 'boolean',
+  x: 'number',
+  y: 'number',
+  z: 'number',
+  rotation: 'number',
+  vx: 'number',
+  vz: 'number',
+  speed: 'number',
+  driftDirection: 'int8',
+  driftTime: 'number',
+  boostTimer: 'number',
+  airborne: 'boolean',
+  verticalSpeed: 'number',
+  surface: 'string',
+  immunity: 'number',
+  spinTimer: 'number',
+  slowTimer: 'number',
+  shieldTimer: 'number',
+  lastInput: 'uint32',
+  lap: 'uint8',
+  checkpoint: 'uint8',
+  position: 'uint8',
+  finished: 'boolean',
+  finishTime: 'number',
+  bestLap: 'number',
+  respawns: 'uint16',
+  jumpStart: 'boolean',
+});